@@ -0,0 +1,1016 @@
+/**
+ * DAX Lexer and Parser
+ * Tokenizes and parses DAX queries into an AST with structured diagnostics
+ * Day 16: Query Validation - DAX Parser
+ */
+
+// Token types produced by the lexer
+const TokenType = {
+  IDENTIFIER: 'IDENTIFIER',
+  NUMBER: 'NUMBER',
+  STRING: 'STRING',
+  DATETIME: 'DATETIME', // dt"2024-01-31T10:00:00"
+  TABLE_NAME: 'TABLE_NAME', // 'Quoted Table'
+  BRACKET_NAME: 'BRACKET_NAME', // [Column or Measure]
+  OPERATOR: 'OPERATOR',
+  LPAREN: 'LPAREN',
+  RPAREN: 'RPAREN',
+  LBRACE: 'LBRACE',
+  RBRACE: 'RBRACE',
+  COMMA: 'COMMA',
+  COMMENT: 'COMMENT',
+  EOF: 'EOF'
+};
+
+// Diagnostic codes returned to API callers
+const DiagnosticCode = {
+  EMPTY_QUERY: 'DAX_EMPTY_QUERY',
+  QUERY_TOO_LONG: 'DAX_QUERY_TOO_LONG',
+  INVALID_CHARACTER: 'DAX_INVALID_CHARACTER',
+  INVALID_NUMBER: 'DAX_INVALID_NUMBER',
+  INVALID_DATETIME: 'DAX_INVALID_DATETIME',
+  UNTERMINATED_STRING: 'DAX_UNTERMINATED_STRING',
+  UNTERMINATED_TABLE_NAME: 'DAX_UNTERMINATED_TABLE_NAME',
+  UNTERMINATED_BRACKET: 'DAX_UNTERMINATED_BRACKET',
+  UNTERMINATED_COMMENT: 'DAX_UNTERMINATED_COMMENT',
+  MISSING_EVALUATE: 'DAX_MISSING_EVALUATE',
+  UNEXPECTED_TOKEN: 'DAX_UNEXPECTED_TOKEN',
+  EXPECTED_EXPRESSION: 'DAX_EXPECTED_EXPRESSION',
+  UNCLOSED_PARENTHESIS: 'DAX_UNCLOSED_PARENTHESIS',
+  UNCLOSED_BRACE: 'DAX_UNCLOSED_BRACE',
+  UNMATCHED_CLOSING: 'DAX_UNMATCHED_CLOSING',
+  MISSING_RETURN: 'DAX_MISSING_RETURN',
+  INVALID_DEFINITION: 'DAX_INVALID_DEFINITION',
+  DUPLICATE_DEFINITION: 'DAX_DUPLICATE_DEFINITION',
+  EMPTY_DEFINE: 'DAX_EMPTY_DEFINE'
+};
+
+// Longest query accepted anywhere (routes validate request bodies against the same limit)
+const MAX_QUERY_LENGTH = 10000;
+const MAX_DIAGNOSTICS = 50;
+
+const DATETIME_LITERAL = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?$/;
+
+// Two-character operators must be matched before single-character ones
+const OPERATORS = ['&&', '||', '==', '<>', '<=', '>=', '+', '-', '*', '/', '^', '&', '=', '<', '>'];
+
+// Words that start or structure a query and can never be used as a value
+const RESERVED_WORDS = new Set(['EVALUATE', 'DEFINE', 'RETURN', 'ORDER', 'START', 'MEASURE']);
+
+/**
+ * Internal error used to unwind the parser to the nearest recovery point
+ */
+class DAXSyntaxError extends Error {
+  constructor(diagnostic) {
+    super(diagnostic.message);
+    this.diagnostic = diagnostic;
+  }
+}
+
+class DAXParserService {
+  constructor() {
+    this.TokenType = TokenType;
+    this.DiagnosticCode = DiagnosticCode;
+    this.maxQueryLength = MAX_QUERY_LENGTH;
+  }
+
+  /**
+   * Build a diagnostic object
+   */
+  createDiagnostic(code, message, position, severity = 'error') {
+    return {
+      code,
+      severity,
+      message,
+      line: position?.line || 1,
+      column: position?.column || 1,
+      offset: position?.offset || 0
+    };
+  }
+
+  /**
+   * Split DAX text into tokens
+   * Comments and whitespace are skipped unless includeComments is set
+   */
+  tokenize(text, options = {}) {
+    const tokens = [];
+    const diagnostics = [];
+    let offset = 0;
+    let line = 1;
+    let column = 1;
+
+    const position = () => ({ offset, line, column });
+
+    const advance = (count = 1) => {
+      for (let i = 0; i < count && offset < text.length; i++) {
+        if (text[offset] === '\n') {
+          line++;
+          column = 1;
+        } else {
+          column++;
+        }
+        offset++;
+      }
+    };
+
+    const pushToken = (type, value, start) => {
+      tokens.push({
+        type,
+        value,
+        line: start.line,
+        column: start.column,
+        offset: start.offset,
+        end: offset
+      });
+    };
+
+    // Reads a delimited name or string where a doubled delimiter escapes itself
+    const readDelimited = (close, unterminatedCode, label) => {
+      const start = position();
+      advance();
+      let value = '';
+
+      while (offset < text.length) {
+        const ch = text[offset];
+        if (ch === close) {
+          if (text[offset + 1] === close) {
+            value += close;
+            advance(2);
+            continue;
+          }
+          advance();
+          return { value, start, terminated: true };
+        }
+        value += ch;
+        advance();
+      }
+
+      diagnostics.push(this.createDiagnostic(
+        unterminatedCode,
+        `Unterminated ${label} starting here`,
+        start
+      ));
+      return { value, start, terminated: false };
+    };
+
+    while (offset < text.length) {
+      const ch = text[offset];
+      const next = text[offset + 1];
+
+      // Whitespace
+      if (/\s/.test(ch)) {
+        advance();
+        continue;
+      }
+
+      // Line comments: // and --
+      if ((ch === '/' && next === '/') || (ch === '-' && next === '-')) {
+        const start = position();
+        const endOfLine = text.indexOf('\n', offset);
+        const stop = endOfLine === -1 ? text.length : endOfLine;
+        const value = text.slice(offset, stop);
+        advance(stop - offset);
+        if (options.includeComments) {
+          pushToken(TokenType.COMMENT, value, start);
+        }
+        continue;
+      }
+
+      // Block comments: /* ... */
+      if (ch === '/' && next === '*') {
+        const start = position();
+        const close = text.indexOf('*/', offset + 2);
+        if (close === -1) {
+          diagnostics.push(this.createDiagnostic(
+            DiagnosticCode.UNTERMINATED_COMMENT,
+            'Unterminated block comment starting here',
+            start
+          ));
+          advance(text.length - offset);
+          break;
+        }
+        const value = text.slice(offset, close + 2);
+        advance(close + 2 - offset);
+        if (options.includeComments) {
+          pushToken(TokenType.COMMENT, value, start);
+        }
+        continue;
+      }
+
+      // String literals: "text" with "" as escape
+      if (ch === '"') {
+        const { value, start } = readDelimited('"', DiagnosticCode.UNTERMINATED_STRING, 'string literal');
+        pushToken(TokenType.STRING, value, start);
+        continue;
+      }
+
+      // Datetime literals: dt"2024-01-31", dt"2024-01-31T10:30:00"
+      if ((ch === 'd' || ch === 'D') && (next === 't' || next === 'T') && text[offset + 2] === '"') {
+        const start = position();
+        advance(2);
+        const { value, terminated } = readDelimited('"', DiagnosticCode.UNTERMINATED_STRING, 'datetime literal');
+        if (terminated && !DATETIME_LITERAL.test(value)) {
+          diagnostics.push(this.createDiagnostic(
+            DiagnosticCode.INVALID_DATETIME,
+            `Invalid datetime literal dt"${value}", expected dt"YYYY-MM-DD" or dt"YYYY-MM-DDThh:mm:ss"`,
+            start
+          ));
+        }
+        pushToken(TokenType.DATETIME, value, start);
+        continue;
+      }
+
+      // Quoted table names: 'Table Name' with '' as escape
+      if (ch === '\'') {
+        const { value, start } = readDelimited('\'', DiagnosticCode.UNTERMINATED_TABLE_NAME, 'table name');
+        pushToken(TokenType.TABLE_NAME, value, start);
+        continue;
+      }
+
+      // Column and measure names: [Name] with ]] as escape
+      if (ch === '[') {
+        const { value, start } = readDelimited(']', DiagnosticCode.UNTERMINATED_BRACKET, 'column or measure reference');
+        pushToken(TokenType.BRACKET_NAME, value, start);
+        continue;
+      }
+
+      // Numbers: 12, 1.5, .5, 1e3, 2.5E-2
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(next || ''))) {
+        const start = position();
+        const match = /^(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][+-]?[0-9]+)?/.exec(text.slice(offset));
+        advance(match[0].length);
+
+        // A number immediately followed by letters is not a valid token
+        const trailing = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(offset));
+        if (trailing) {
+          diagnostics.push(this.createDiagnostic(
+            DiagnosticCode.INVALID_NUMBER,
+            `Invalid number literal '${match[0]}${trailing[0]}'`,
+            start
+          ));
+          advance(trailing[0].length);
+          continue;
+        }
+
+        pushToken(TokenType.NUMBER, match[0], start);
+        continue;
+      }
+
+      // Identifiers: functions (including dotted names like PERCENTILE.INC), variables, keywords and tables
+      if (/[A-Za-z_]/.test(ch)) {
+        const start = position();
+        const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(text.slice(offset));
+        advance(match[0].length);
+        pushToken(TokenType.IDENTIFIER, match[0], start);
+        continue;
+      }
+
+      // Punctuation
+      const punctuation = {
+        '(': TokenType.LPAREN,
+        ')': TokenType.RPAREN,
+        '{': TokenType.LBRACE,
+        '}': TokenType.RBRACE,
+        ',': TokenType.COMMA
+      };
+      if (punctuation[ch]) {
+        const start = position();
+        advance();
+        pushToken(punctuation[ch], ch, start);
+        continue;
+      }
+
+      // Operators
+      const operator = OPERATORS.find(op => text.startsWith(op, offset));
+      if (operator) {
+        const start = position();
+        advance(operator.length);
+        pushToken(TokenType.OPERATOR, operator, start);
+        continue;
+      }
+
+      diagnostics.push(this.createDiagnostic(
+        DiagnosticCode.INVALID_CHARACTER,
+        `Invalid character '${ch}'`,
+        position()
+      ));
+      advance();
+    }
+
+    tokens.push({ type: TokenType.EOF, value: '', line, column, offset, end: offset });
+
+    return { tokens, diagnostics };
+  }
+
+  /**
+   * Parse a DAX query into an AST
+   * Returns { ast, diagnostics, tokens }
+   */
+  parse(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return {
+        ast: null,
+        tokens: [],
+        diagnostics: [this.createDiagnostic(DiagnosticCode.EMPTY_QUERY, 'Query cannot be empty', null)]
+      };
+    }
+
+    const { tokens, diagnostics } = this.tokenize(text);
+    const parser = new QueryParser(this, tokens, diagnostics);
+    const ast = parser.parseQuery();
+
+    return {
+      ast,
+      tokens,
+      diagnostics: diagnostics.slice(0, MAX_DIAGNOSTICS)
+    };
+  }
+
+  /**
+   * Validate a DAX query and return structured diagnostics
+   */
+  validate(text) {
+    if (typeof text === 'string' && text.length > MAX_QUERY_LENGTH) {
+      const diagnostic = this.createDiagnostic(
+        DiagnosticCode.QUERY_TOO_LONG,
+        `Query exceeds maximum length of ${MAX_QUERY_LENGTH.toLocaleString('en-US')} characters`,
+        null
+      );
+      return { isValid: false, ast: null, diagnostics: [diagnostic] };
+    }
+
+    const { ast, diagnostics } = this.parse(text);
+
+    return {
+      isValid: !diagnostics.some(d => d.severity === 'error'),
+      ast,
+      diagnostics
+    };
+  }
+
+  /**
+   * Format a diagnostic as a single human-readable line
+   */
+  formatDiagnostic(diagnostic) {
+    return `Line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message}`;
+  }
+
+  /**
+   * Walk every node of an AST depth-first
+   */
+  walk(node, visitor, parent = null) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this.walk(child, visitor, parent));
+      return;
+    }
+
+    if (node.type) {
+      visitor(node, parent);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key === 'loc') {
+        continue;
+      }
+      if (value && typeof value === 'object') {
+        this.walk(value, visitor, node.type ? node : parent);
+      }
+    }
+  }
+}
+
+/**
+ * Recursive descent parser over a token stream
+ * One instance per parse call; collects diagnostics and recovers per EVALUATE statement
+ */
+class QueryParser {
+  constructor(service, tokens, diagnostics) {
+    this.service = service;
+    this.tokens = tokens;
+    this.diagnostics = diagnostics;
+    this.position = 0;
+  }
+
+  // ---- Token helpers ----
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.position + ahead, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== TokenType.EOF) {
+      this.position++;
+    }
+    return token;
+  }
+
+  isKeyword(token, word) {
+    return token.type === TokenType.IDENTIFIER && token.value.toUpperCase() === word;
+  }
+
+  isOperator(token, op) {
+    return token.type === TokenType.OPERATOR && token.value === op;
+  }
+
+  loc(token) {
+    return { line: token.line, column: token.column, offset: token.offset };
+  }
+
+  describe(token) {
+    switch (token.type) {
+      case TokenType.EOF: return 'end of query';
+      case TokenType.STRING: return `string "${token.value}"`;
+      case TokenType.DATETIME: return `dt"${token.value}"`;
+      case TokenType.TABLE_NAME: return `'${token.value}'`;
+      case TokenType.BRACKET_NAME: return `[${token.value}]`;
+      default: return `'${token.value}'`;
+    }
+  }
+
+  fail(code, message, token) {
+    throw new DAXSyntaxError(this.service.createDiagnostic(code, message, this.loc(token)));
+  }
+
+  unexpected(token, expectation) {
+    if (token.type === TokenType.RPAREN || token.type === TokenType.RBRACE) {
+      this.fail(DiagnosticCode.UNMATCHED_CLOSING, `Unmatched closing '${token.value}'`, token);
+    }
+    this.fail(DiagnosticCode.UNEXPECTED_TOKEN, `Unexpected ${this.describe(token)}, expected ${expectation}`, token);
+  }
+
+  expectKeyword(word) {
+    const token = this.peek();
+    if (!this.isKeyword(token, word)) {
+      this.unexpected(token, word);
+    }
+    return this.next();
+  }
+
+  expectOperator(op) {
+    const token = this.peek();
+    if (!this.isOperator(token, op)) {
+      this.unexpected(token, `'${op}'`);
+    }
+    return this.next();
+  }
+
+  expectClosing(type, close, opening) {
+    const token = this.peek();
+    if (token.type === type) {
+      return this.next();
+    }
+
+    // Running into the end of the statement means the opener was never closed
+    if (token.type === TokenType.EOF || this.isStatementStart(token)) {
+      const code = type === TokenType.RPAREN ? DiagnosticCode.UNCLOSED_PARENTHESIS : DiagnosticCode.UNCLOSED_BRACE;
+      this.fail(code, `'${opening.value}' opened at line ${opening.line}, column ${opening.column} is never closed`, opening);
+    }
+
+    this.unexpected(token, `',' or '${close}'`);
+  }
+
+  isStatementStart(token) {
+    return this.isKeyword(token, 'EVALUATE') ||
+      this.isKeyword(token, 'DEFINE') ||
+      (this.isKeyword(token, 'ORDER') && this.isKeyword(this.peek(1), 'BY'));
+  }
+
+  // Skip to the next EVALUATE or DEFINE so later statements still get checked
+  synchronize() {
+    while (this.peek().type !== TokenType.EOF) {
+      const token = this.peek();
+      if (this.isKeyword(token, 'EVALUATE') || this.isKeyword(token, 'DEFINE')) {
+        return;
+      }
+      this.next();
+    }
+  }
+
+  record(error) {
+    if (!(error instanceof DAXSyntaxError)) {
+      throw error;
+    }
+    if (this.diagnostics.length < MAX_DIAGNOSTICS) {
+      this.diagnostics.push(error.diagnostic);
+    }
+  }
+
+  // ---- Statements ----
+
+  parseQuery() {
+    const query = {
+      type: 'Query',
+      definitions: [],
+      statements: [],
+      loc: this.loc(this.peek())
+    };
+
+    const first = this.peek();
+    if (!this.isKeyword(first, 'EVALUATE') && !this.isKeyword(first, 'DEFINE')) {
+      if (first.type === TokenType.EOF) {
+        if (this.diagnostics.length > 0) {
+          return query;
+        }
+        this.diagnostics.push(this.service.createDiagnostic(DiagnosticCode.EMPTY_QUERY, 'Query cannot be empty', this.loc(first)));
+        return query;
+      }
+      this.diagnostics.push(this.service.createDiagnostic(
+        DiagnosticCode.MISSING_EVALUATE,
+        `Query must start with EVALUATE or DEFINE, found ${this.describe(first)}`,
+        this.loc(first)
+      ));
+      this.synchronize();
+    }
+
+    const definedNames = new Map();
+
+    while (this.peek().type !== TokenType.EOF) {
+      const token = this.peek();
+      const statementStart = this.position;
+
+      try {
+        if (this.isKeyword(token, 'DEFINE')) {
+          const definitions = this.parseDefineBlock();
+          definitions.forEach(definition => this.checkDuplicate(definition, definedNames));
+          query.definitions.push(...definitions);
+        } else if (this.isKeyword(token, 'EVALUATE')) {
+          query.statements.push(this.parseEvaluate());
+        } else {
+          this.unexpected(token, 'EVALUATE');
+        }
+      } catch (error) {
+        this.record(error);
+        // Always make progress, but don't swallow the EVALUATE that ended a broken statement
+        if (this.position === statementStart) {
+          this.next();
+        }
+        this.synchronize();
+      }
+    }
+
+    const hasEvaluate = this.tokens.some(token => this.isKeyword(token, 'EVALUATE'));
+    if (!hasEvaluate && !this.diagnostics.some(d => d.code === DiagnosticCode.MISSING_EVALUATE)) {
+      this.diagnostics.push(this.service.createDiagnostic(
+        DiagnosticCode.MISSING_EVALUATE,
+        'Query must contain at least one EVALUATE statement',
+        this.loc(this.peek())
+      ));
+    }
+
+    return query;
+  }
+
+  checkDuplicate(definition, definedNames) {
+    const key = `${definition.kind}:${definition.table || ''}:${definition.name}`.toUpperCase();
+    if (definedNames.has(key)) {
+      this.diagnostics.push(this.service.createDiagnostic(
+        DiagnosticCode.DUPLICATE_DEFINITION,
+        `${definition.kind} '${definition.name}' is defined more than once`,
+        definition.loc
+      ));
+      return;
+    }
+    definedNames.set(key, definition);
+  }
+
+  parseDefineBlock() {
+    const defineToken = this.expectKeyword('DEFINE');
+    const definitions = [];
+
+    while (true) {
+      const token = this.peek();
+      const keyword = token.type === TokenType.IDENTIFIER ? token.value.toUpperCase() : null;
+
+      if (!['MEASURE', 'VAR', 'TABLE', 'COLUMN'].includes(keyword)) {
+        break;
+      }
+
+      // Each definition recovers on its own so one typo doesn't hide the rest of the block
+      try {
+        definitions.push(this.parseDefinition(keyword));
+      } catch (error) {
+        this.record(error);
+        this.skipToNextDefinition();
+      }
+    }
+
+    if (definitions.length === 0) {
+      const token = this.peek();
+      if (token.type === TokenType.EOF || this.isKeyword(token, 'EVALUATE')) {
+        this.diagnostics.push(this.service.createDiagnostic(
+          DiagnosticCode.EMPTY_DEFINE,
+          'DEFINE must be followed by at least one MEASURE, VAR, TABLE or COLUMN definition',
+          this.loc(defineToken)
+        ));
+      } else {
+        this.fail(
+          DiagnosticCode.INVALID_DEFINITION,
+          `Expected MEASURE, VAR, TABLE or COLUMN after DEFINE, found ${this.describe(token)}`,
+          token
+        );
+      }
+    }
+
+    return definitions;
+  }
+
+  skipToNextDefinition() {
+    let depth = 0;
+    while (this.peek().type !== TokenType.EOF) {
+      const token = this.peek();
+      if (token.type === TokenType.LPAREN || token.type === TokenType.LBRACE) depth++;
+      if (token.type === TokenType.RPAREN || token.type === TokenType.RBRACE) depth = Math.max(0, depth - 1);
+      if (depth === 0 && (
+        this.isKeyword(token, 'EVALUATE') ||
+        this.isKeyword(token, 'MEASURE') ||
+        this.isKeyword(token, 'TABLE') ||
+        this.isKeyword(token, 'COLUMN') ||
+        (this.isKeyword(token, 'VAR') && this.isOperator(this.peek(2), '='))
+      )) {
+        return;
+      }
+      this.next();
+    }
+  }
+
+  parseDefinition(keyword) {
+    const start = this.next();
+
+    if (keyword === 'MEASURE' || keyword === 'COLUMN') {
+      // MEASURE 'Table'[Name] = <expr>
+      const tableToken = this.peek();
+      if (tableToken.type !== TokenType.TABLE_NAME && tableToken.type !== TokenType.IDENTIFIER) {
+        this.fail(
+          DiagnosticCode.INVALID_DEFINITION,
+          `${keyword} must be followed by a table-qualified name like 'Table'[Name]`,
+          tableToken
+        );
+      }
+      this.next();
+
+      const nameToken = this.peek();
+      if (nameToken.type !== TokenType.BRACKET_NAME) {
+        this.fail(
+          DiagnosticCode.INVALID_DEFINITION,
+          `Expected [Name] after table ${this.describe(tableToken)} in ${keyword} definition`,
+          nameToken
+        );
+      }
+      this.next();
+      this.expectOperator('=');
+
+      return {
+        type: 'Definition',
+        kind: keyword,
+        table: tableToken.value,
+        name: nameToken.value,
+        expression: this.parseExpression(),
+        loc: this.loc(start)
+      };
+    }
+
+    // VAR name = <expr>   |   TABLE name = <expr>
+    const nameToken = this.peek();
+    const validName = nameToken.type === TokenType.IDENTIFIER ||
+      (keyword === 'TABLE' && nameToken.type === TokenType.TABLE_NAME);
+    if (!validName || RESERVED_WORDS.has(nameToken.value.toUpperCase())) {
+      this.fail(
+        DiagnosticCode.INVALID_DEFINITION,
+        `Expected a name after ${keyword}, found ${this.describe(nameToken)}`,
+        nameToken
+      );
+    }
+    this.next();
+    this.expectOperator('=');
+
+    return {
+      type: 'Definition',
+      kind: keyword,
+      name: nameToken.value,
+      expression: this.parseExpression(),
+      loc: this.loc(start)
+    };
+  }
+
+  parseEvaluate() {
+    const start = this.expectKeyword('EVALUATE');
+    const statement = {
+      type: 'Evaluate',
+      expression: this.parseExpression(),
+      orderBy: [],
+      startAt: [],
+      loc: this.loc(start)
+    };
+
+    if (this.isKeyword(this.peek(), 'ORDER')) {
+      this.next();
+      this.expectKeyword('BY');
+
+      do {
+        const expression = this.parseExpression();
+        let direction = 'ASC';
+        if (this.isKeyword(this.peek(), 'ASC') || this.isKeyword(this.peek(), 'DESC')) {
+          direction = this.next().value.toUpperCase();
+        }
+        statement.orderBy.push({ type: 'OrderByItem', expression, direction, loc: expression.loc });
+      } while (this.peek().type === TokenType.COMMA && this.next());
+
+      if (this.isKeyword(this.peek(), 'START')) {
+        const startToken = this.next();
+        this.expectKeyword('AT');
+
+        do {
+          statement.startAt.push(this.parseExpression());
+        } while (this.peek().type === TokenType.COMMA && this.next());
+
+        if (statement.startAt.length > statement.orderBy.length) {
+          this.fail(
+            DiagnosticCode.UNEXPECTED_TOKEN,
+            `START AT has ${statement.startAt.length} values but ORDER BY has only ${statement.orderBy.length} columns`,
+            startToken
+          );
+        }
+      }
+    } else if (this.isKeyword(this.peek(), 'START')) {
+      this.fail(DiagnosticCode.UNEXPECTED_TOKEN, 'START AT requires a preceding ORDER BY clause', this.peek());
+    }
+
+    const token = this.peek();
+    if (token.type !== TokenType.EOF && !this.isKeyword(token, 'EVALUATE') && !this.isKeyword(token, 'DEFINE')) {
+      this.unexpected(token, 'EVALUATE, ORDER BY or end of query');
+    }
+
+    return statement;
+  }
+
+  // ---- Expressions (lowest to highest precedence) ----
+
+  parseExpression() {
+    return this.parseOr();
+  }
+
+  parseBinaryLevel(parseOperand, operators) {
+    let left = parseOperand();
+
+    while (this.peek().type === TokenType.OPERATOR && operators.includes(this.peek().value)) {
+      const operator = this.next();
+      const right = parseOperand();
+      left = { type: 'BinaryExpression', operator: operator.value, left, right, loc: left.loc };
+    }
+
+    return left;
+  }
+
+  parseOr() {
+    return this.parseBinaryLevel(() => this.parseAnd(), ['||']);
+  }
+
+  parseAnd() {
+    return this.parseBinaryLevel(() => this.parseNot(), ['&&']);
+  }
+
+  parseNot() {
+    const token = this.peek();
+    if (this.isKeyword(token, 'NOT')) {
+      this.next();
+      return { type: 'UnaryExpression', operator: 'NOT', argument: this.parseNot(), loc: this.loc(token) };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    let left = this.parseConcat();
+
+    while (true) {
+      const token = this.peek();
+      if (token.type === TokenType.OPERATOR && ['=', '==', '<>', '<', '>', '<=', '>='].includes(token.value)) {
+        this.next();
+        const right = this.parseConcat();
+        left = { type: 'BinaryExpression', operator: token.value, left, right, loc: left.loc };
+      } else if (this.isKeyword(token, 'IN')) {
+        this.next();
+        const right = this.parseConcat();
+        left = { type: 'BinaryExpression', operator: 'IN', left, right, loc: left.loc };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  parseConcat() {
+    return this.parseBinaryLevel(() => this.parseAdditive(), ['&']);
+  }
+
+  parseAdditive() {
+    return this.parseBinaryLevel(() => this.parseMultiplicative(), ['+', '-']);
+  }
+
+  parseMultiplicative() {
+    return this.parseBinaryLevel(() => this.parseUnary(), ['*', '/']);
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (this.isOperator(token, '-') || this.isOperator(token, '+')) {
+      this.next();
+      return { type: 'UnaryExpression', operator: token.value, argument: this.parseUnary(), loc: this.loc(token) };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOperator(this.peek(), '^')) {
+      this.next();
+      const exponent = this.parseUnary();
+      return { type: 'BinaryExpression', operator: '^', left: base, right: exponent, loc: base.loc };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case TokenType.NUMBER:
+        this.next();
+        return { type: 'NumberLiteral', value: Number(token.value), raw: token.value, loc: this.loc(token) };
+
+      case TokenType.STRING:
+        this.next();
+        return { type: 'StringLiteral', value: token.value, loc: this.loc(token) };
+
+      case TokenType.DATETIME:
+        this.next();
+        return { type: 'DateTimeLiteral', value: token.value, loc: this.loc(token) };
+
+      case TokenType.TABLE_NAME:
+        this.next();
+        if (this.peek().type === TokenType.BRACKET_NAME) {
+          const column = this.next();
+          return { type: 'ColumnReference', table: token.value, column: column.value, quoted: true, loc: this.loc(token) };
+        }
+        return { type: 'TableReference', name: token.value, quoted: true, loc: this.loc(token) };
+
+      case TokenType.BRACKET_NAME:
+        this.next();
+        return { type: 'BracketReference', name: token.value, loc: this.loc(token) };
+
+      case TokenType.LPAREN:
+        return this.parseParenthesized();
+
+      case TokenType.LBRACE:
+        return this.parseTableConstructor();
+
+      case TokenType.IDENTIFIER:
+        return this.parseIdentifier();
+
+      default:
+        this.fail(
+          DiagnosticCode.EXPECTED_EXPRESSION,
+          `Expected an expression, found ${this.describe(token)}`,
+          token
+        );
+    }
+  }
+
+  parseIdentifier() {
+    const token = this.peek();
+    const upper = token.value.toUpperCase();
+
+    if (upper === 'VAR') {
+      return this.parseVarBlock();
+    }
+
+    if (RESERVED_WORDS.has(upper) && this.peek(1).type !== TokenType.LPAREN) {
+      this.fail(
+        DiagnosticCode.EXPECTED_EXPRESSION,
+        `Expected an expression, found keyword ${token.value.toUpperCase()}`,
+        token
+      );
+    }
+
+    this.next();
+
+    // Function call
+    if (this.peek().type === TokenType.LPAREN) {
+      const opening = this.next();
+      const args = [];
+
+      if (this.peek().type !== TokenType.RPAREN) {
+        while (true) {
+          // DAX allows skipping optional arguments, e.g. RANKX(T, [x], , DESC)
+          const argToken = this.peek();
+          if (argToken.type === TokenType.COMMA || argToken.type === TokenType.RPAREN) {
+            args.push({ type: 'OmittedArgument', loc: this.loc(argToken) });
+          } else {
+            args.push(this.parseExpression());
+          }
+
+          if (this.peek().type === TokenType.COMMA) {
+            this.next();
+            // Arguments can be skipped in the middle, but a call can't end with a comma
+            if (this.peek().type === TokenType.RPAREN) {
+              this.fail(DiagnosticCode.EXPECTED_EXPRESSION, `Expected an argument after ',' in ${upper}, found ')'`, this.peek());
+            }
+            continue;
+          }
+          break;
+        }
+      }
+
+      this.expectClosing(TokenType.RPAREN, ')', opening);
+      return { type: 'FunctionCall', name: upper, args, loc: this.loc(token) };
+    }
+
+    // Unquoted table with column: Sales[Amount]
+    if (this.peek().type === TokenType.BRACKET_NAME) {
+      const column = this.next();
+      return { type: 'ColumnReference', table: token.value, column: column.value, quoted: false, loc: this.loc(token) };
+    }
+
+    if (upper === 'TRUE' || upper === 'FALSE') {
+      return { type: 'BooleanLiteral', value: upper === 'TRUE', loc: this.loc(token) };
+    }
+
+    // Variable, table name or enumeration keyword (ASC, DESC, SKIP, DENSE...)
+    return { type: 'Identifier', name: token.value, loc: this.loc(token) };
+  }
+
+  parseVarBlock() {
+    const start = this.peek();
+    const variables = [];
+
+    while (this.isKeyword(this.peek(), 'VAR')) {
+      const varToken = this.next();
+      const nameToken = this.peek();
+      if (nameToken.type !== TokenType.IDENTIFIER || RESERVED_WORDS.has(nameToken.value.toUpperCase())) {
+        this.fail(DiagnosticCode.INVALID_DEFINITION, `Expected a variable name after VAR, found ${this.describe(nameToken)}`, nameToken);
+      }
+      this.next();
+      this.expectOperator('=');
+      variables.push({
+        type: 'VariableDeclaration',
+        name: nameToken.value,
+        expression: this.parseExpression(),
+        loc: this.loc(varToken)
+      });
+    }
+
+    const token = this.peek();
+    if (!this.isKeyword(token, 'RETURN')) {
+      this.fail(
+        DiagnosticCode.MISSING_RETURN,
+        `VAR block starting at line ${start.line}, column ${start.column} must end with RETURN, found ${this.describe(token)}`,
+        token
+      );
+    }
+    this.next();
+
+    return {
+      type: 'VarBlock',
+      variables,
+      body: this.parseExpression(),
+      loc: this.loc(start)
+    };
+  }
+
+  parseParenthesized() {
+    const opening = this.next();
+    const items = [this.parseExpression()];
+
+    // Row constructors inside table constructors and tuple IN: (1, "a")
+    while (this.peek().type === TokenType.COMMA) {
+      this.next();
+      items.push(this.parseExpression());
+    }
+
+    this.expectClosing(TokenType.RPAREN, ')', opening);
+
+    if (items.length === 1) {
+      return { type: 'ParenthesizedExpression', expression: items[0], loc: this.loc(opening) };
+    }
+    return { type: 'Tuple', items, loc: this.loc(opening) };
+  }
+
+  parseTableConstructor() {
+    const opening = this.next();
+    const rows = [];
+
+    if (this.peek().type !== TokenType.RBRACE) {
+      do {
+        rows.push(this.parseExpression());
+      } while (this.peek().type === TokenType.COMMA && this.next());
+    }
+
+    this.expectClosing(TokenType.RBRACE, '}', opening);
+    return { type: 'TableConstructor', rows, loc: this.loc(opening) };
+  }
+}
+
+module.exports = new DAXParserService();
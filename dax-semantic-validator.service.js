@@ -0,0 +1,368 @@
+const DAXParserService = require('./dax-parser.service');
+const MetadataExtractorService = require('./metadata-extractor.service');
+const { logger } = require('../config/logger');
+
+/**
+ * DAX Semantic Validator
+ * Checks table, column and measure references against extracted dataset metadata
+ * Day 16: Query Validation - Schema-Aware Checks
+ */
+
+const SemanticCode = {
+  UNKNOWN_TABLE: 'DAX_UNKNOWN_TABLE',
+  UNKNOWN_COLUMN: 'DAX_UNKNOWN_COLUMN',
+  UNKNOWN_MEASURE: 'DAX_UNKNOWN_MEASURE',
+  SCHEMA_EMPTY: 'DAX_SCHEMA_EMPTY'
+};
+
+// Bare words that are arguments to DAX functions rather than table names
+const ENUM_KEYWORDS = new Set([
+  'ASC', 'DESC', 'SKIP', 'DENSE', 'ABS', 'REL', 'KEEP', 'BOTH', 'NONE',
+  // Blanks placement in ORDERBY, WINDOW, INDEX and OFFSET
+  'FIRST', 'LAST', 'DEFAULT',
+  'ONEWAY', 'ONEWAY_RIGHTFILTERSLEFT', 'ONEWAY_LEFTFILTERSRIGHT',
+  'SECOND', 'MINUTE', 'HOUR', 'DAY', 'WEEK', 'MONTH', 'QUARTER', 'YEAR',
+  'INTEGER', 'DOUBLE', 'STRING', 'BOOLEAN', 'CURRENCY', 'DATETIME'
+]);
+
+// Columns produced by table constructors, GENERATESERIES and CALENDAR
+const BUILTIN_COLUMN_NAMES = ['Value', 'Date'];
+
+const MAX_SUGGESTIONS = 3;
+
+class DAXSemanticValidatorService {
+  constructor() {
+    this.daxParser = DAXParserService;
+    this.metadataExtractor = MetadataExtractorService;
+    this.SemanticCode = SemanticCode;
+  }
+
+  /**
+   * Validate a DAX query against the cached metadata of a dataset
+   * Returns null when no metadata has been extracted yet
+   */
+  async validateAgainstDataset(daxQuery, localDatasetId, tenantId) {
+    const metadata = await this.metadataExtractor.getCachedMetadata(localDatasetId, tenantId);
+
+    if (!metadata) {
+      logger.debug(`No cached metadata for dataset ${localDatasetId}, skipping schema validation`);
+      return null;
+    }
+
+    return {
+      ...this.validate(daxQuery, metadata),
+      schemaVersion: metadata.schemaVersion,
+      lastSync: metadata.lastSync
+    };
+  }
+
+  /**
+   * Validate syntax and schema references of a DAX query
+   */
+  validate(daxQuery, metadata) {
+    const { ast, diagnostics } = this.daxParser.validate(daxQuery);
+    const syntaxErrors = diagnostics.filter(d => d.severity === 'error');
+
+    // Semantic checks need a usable AST
+    if (!ast || syntaxErrors.length > 0) {
+      return { isValid: false, errors: this.formatErrors(diagnostics), diagnostics, references: null };
+    }
+
+    const schema = this.buildSchemaIndex(metadata);
+    const semantic = this.checkReferences(ast, schema);
+    const allDiagnostics = [...diagnostics, ...semantic.diagnostics];
+
+    return {
+      isValid: !allDiagnostics.some(d => d.severity === 'error'),
+      errors: this.formatErrors(allDiagnostics),
+      diagnostics: allDiagnostics,
+      references: semantic.references
+    };
+  }
+
+  formatErrors(diagnostics) {
+    return diagnostics
+      .filter(d => d.severity === 'error')
+      .map(d => this.daxParser.formatDiagnostic(d));
+  }
+
+  /**
+   * Build case-insensitive lookups for tables, columns and measures
+   */
+  buildSchemaIndex(metadata) {
+    const tables = new Map();
+    const measures = new Map();
+    const allColumns = new Map();
+
+    (metadata?.tables || []).forEach(table => {
+      tables.set(table.name.toLowerCase(), { name: table.name, columns: new Map() });
+    });
+
+    // Cached metadata nests columns in tables; freshly extracted metadata keeps them flat
+    const columns = metadata?.columns?.length
+      ? metadata.columns
+      : (metadata?.tables || []).flatMap(table =>
+        (table.columns || []).map(column => ({ ...column, tableName: table.name }))
+      );
+
+    columns.forEach(column => {
+      const table = tables.get(String(column.tableName).toLowerCase());
+      if (table) {
+        table.columns.set(column.name.toLowerCase(), column.name);
+      }
+      allColumns.set(column.name.toLowerCase(), column.name);
+    });
+
+    (metadata?.measures || []).forEach(measure => {
+      measures.set(measure.name.toLowerCase(), measure);
+    });
+
+    return { tables, measures, allColumns };
+  }
+
+  /**
+   * Walk the AST and check every reference against the schema
+   */
+  checkReferences(ast, schema) {
+    const diagnostics = [];
+    const references = { tables: new Set(), columns: new Set(), measures: new Set() };
+
+    if (schema.tables.size === 0) {
+      diagnostics.push(this.daxParser.createDiagnostic(
+        SemanticCode.SCHEMA_EMPTY,
+        'Dataset metadata contains no tables; schema references were not checked',
+        ast.loc,
+        'warning'
+      ));
+      return { diagnostics, references: this.serializeReferences(references) };
+    }
+
+    const local = this.collectLocalNames(ast);
+
+    this.daxParser.walk(ast, node => {
+      switch (node.type) {
+        case 'ColumnReference':
+          this.checkColumnReference(node, schema, local, diagnostics, references);
+          break;
+        case 'BracketReference':
+          this.checkBracketReference(node, schema, local, diagnostics, references);
+          break;
+        case 'TableReference':
+        case 'Identifier':
+          this.checkTableReference(node, schema, local, diagnostics, references);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { diagnostics, references: this.serializeReferences(references) };
+  }
+
+  /**
+   * Names introduced by the query itself: variables, DEFINE blocks and extension columns
+   */
+  collectLocalNames(ast) {
+    const local = {
+      variables: new Set(),
+      tables: new Set(),
+      measures: new Set(),
+      columns: new Set(BUILTIN_COLUMN_NAMES.map(name => name.toLowerCase()))
+    };
+
+    ast.definitions.forEach(definition => {
+      const name = definition.name.toLowerCase();
+      if (definition.kind === 'VAR') local.variables.add(name);
+      if (definition.kind === 'TABLE') local.tables.add(name);
+      if (definition.kind === 'MEASURE') local.measures.add(name);
+      if (definition.kind === 'COLUMN') local.columns.add(name);
+    });
+
+    this.daxParser.walk(ast, node => {
+      if (node.type === 'VariableDeclaration') {
+        local.variables.add(node.name.toLowerCase());
+      }
+      // Any string literal may name a column added by ADDCOLUMNS, SUMMARIZECOLUMNS, ROW...
+      if (node.type === 'StringLiteral') {
+        local.columns.add(node.value.toLowerCase());
+      }
+    });
+
+    return local;
+  }
+
+  checkTableReference(node, schema, local, diagnostics, references) {
+    const key = node.name.toLowerCase();
+
+    if (node.type === 'Identifier' && ENUM_KEYWORDS.has(node.name.toUpperCase())) {
+      return;
+    }
+    if (local.variables.has(key) || local.tables.has(key)) {
+      return;
+    }
+
+    if (schema.tables.has(key)) {
+      references.tables.add(schema.tables.get(key).name);
+      return;
+    }
+
+    const label = node.type === 'Identifier' ? 'table or variable' : 'table';
+    diagnostics.push(this.createReferenceDiagnostic(
+      SemanticCode.UNKNOWN_TABLE,
+      `Unknown ${label} '${node.name}'`,
+      node,
+      node.name,
+      Array.from(schema.tables.values()).map(table => table.name),
+      name => `'${name}'`
+    ));
+  }
+
+  checkColumnReference(node, schema, local, diagnostics, references) {
+    const tableKey = node.table.toLowerCase();
+    const columnKey = node.column.toLowerCase();
+
+    // Columns of variables and query-defined tables can't be checked statically
+    if (local.variables.has(tableKey) || local.tables.has(tableKey)) {
+      return;
+    }
+
+    const table = schema.tables.get(tableKey);
+    if (!table) {
+      diagnostics.push(this.createReferenceDiagnostic(
+        SemanticCode.UNKNOWN_TABLE,
+        `Unknown table '${node.table}' in reference '${node.table}'[${node.column}]`,
+        node,
+        node.table,
+        Array.from(schema.tables.values()).map(t => t.name),
+        name => `'${name}'[${node.column}]`
+      ));
+      return;
+    }
+
+    references.tables.add(table.name);
+
+    // Measures may be qualified with their home table
+    if (schema.measures.has(columnKey) || local.measures.has(columnKey)) {
+      references.measures.add(schema.measures.get(columnKey)?.name || node.column);
+      return;
+    }
+
+    if (table.columns.has(columnKey)) {
+      references.columns.add(`'${table.name}'[${table.columns.get(columnKey)}]`);
+      return;
+    }
+
+    // Tables without column metadata (e.g. REST fallback failed) are not checked further
+    if (table.columns.size === 0 || local.columns.has(columnKey)) {
+      return;
+    }
+
+    diagnostics.push(this.createReferenceDiagnostic(
+      SemanticCode.UNKNOWN_COLUMN,
+      `Column [${node.column}] does not exist in table '${table.name}'`,
+      node,
+      node.column,
+      Array.from(table.columns.values()),
+      name => `'${table.name}'[${name}]`
+    ));
+  }
+
+  checkBracketReference(node, schema, local, diagnostics, references) {
+    const key = node.name.toLowerCase();
+
+    if (schema.measures.has(key)) {
+      references.measures.add(schema.measures.get(key).name);
+      return;
+    }
+    if (local.measures.has(key) || local.columns.has(key)) {
+      return;
+    }
+    // Unqualified column names are valid in row context
+    if (schema.allColumns.has(key) || /^value[0-9]+$/.test(key)) {
+      return;
+    }
+
+    const candidates = [
+      ...Array.from(schema.measures.values()).map(measure => measure.name),
+      ...Array.from(schema.allColumns.values())
+    ];
+
+    diagnostics.push(this.createReferenceDiagnostic(
+      SemanticCode.UNKNOWN_MEASURE,
+      `Unknown measure or column [${node.name}]`,
+      node,
+      node.name,
+      candidates,
+      name => `[${name}]`
+    ));
+  }
+
+  createReferenceDiagnostic(code, message, node, name, candidates, format) {
+    const suggestions = this.suggest(name, candidates).map(format);
+    const diagnostic = this.daxParser.createDiagnostic(
+      code,
+      suggestions.length > 0 ? `${message}. Did you mean ${suggestions.join(', ')}?` : message,
+      node.loc
+    );
+    diagnostic.suggestions = suggestions;
+    return diagnostic;
+  }
+
+  /**
+   * Rank candidate names by similarity to an unknown name
+   */
+  suggest(name, candidates) {
+    const target = name.toLowerCase();
+    const threshold = Math.max(2, Math.floor(target.length / 3));
+    const seen = new Set();
+
+    return candidates
+      .filter(candidate => {
+        const key = candidate.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(candidate => {
+        const key = candidate.toLowerCase();
+        let score = this.levenshtein(target, key);
+        // Prefix/substring matches catch truncated names like [Sales] vs [Sales Amount]
+        if (key.includes(target) || target.includes(key)) {
+          score = Math.min(score, 1);
+        }
+        return { candidate, score };
+      })
+      .filter(entry => entry.score <= threshold)
+      .sort((a, b) => a.score - b.score || a.candidate.localeCompare(b.candidate))
+      .slice(0, MAX_SUGGESTIONS)
+      .map(entry => entry.candidate);
+  }
+
+  /**
+   * Edit distance between two strings
+   */
+  levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  serializeReferences(references) {
+    return {
+      tables: Array.from(references.tables),
+      columns: Array.from(references.columns),
+      measures: Array.from(references.measures)
+    };
+  }
+}
+
+module.exports = new DAXSemanticValidatorService();
@@ -83,6 +83,98 @@ scp src/services/metadata-extractor.service.js \
     "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
 log_success "Deployed metadata-extractor.service.js"
 
+scp src/services/dax-parser.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed dax-parser.service.js"
+
+scp src/services/dax-semantic-validator.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed dax-semantic-validator.service.js"
+
+scp src/services/xmla-query-cache.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-query-cache.service.js"
+
+scp src/services/xmla-query-scheduler.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-query-scheduler.service.js"
+
+scp src/services/xmla-throttle.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-throttle.service.js"
+
+scp src/services/xmla-circuit-breaker.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-circuit-breaker.service.js"
+
+scp src/services/xmla-credential-provider.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-credential-provider.service.js"
+
+scp src/services/xmla-impersonation-policy.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-impersonation-policy.service.js"
+
+scp src/services/xmla-state-store.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-state-store.service.js"
+
+scp src/services/xmla-cluster-stats.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-cluster-stats.service.js"
+
+scp src/services/xmla-metrics.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-metrics.service.js"
+
+scp src/services/xmla-latency-tracker.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-latency-tracker.service.js"
+
+scp src/models/xmla-slow-query.model.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/models/"
+log_success "Deployed xmla-slow-query.model.js"
+
+scp src/services/xmla-query-history.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-query-history.service.js"
+
+scp src/models/xmla-query-history.model.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/models/"
+log_success "Deployed xmla-query-history.model.js"
+
+scp src/services/xmla-saved-query.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-saved-query.service.js"
+
+scp src/models/xmla-saved-query.model.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/models/"
+log_success "Deployed xmla-saved-query.model.js"
+
+scp src/services/xmla-result-export.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-result-export.service.js"
+
+scp src/services/xmla-result-normalizer.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-result-normalizer.service.js"
+
+scp src/services/xmla-result-pager.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-result-pager.service.js"
+
+scp src/services/xmla-query-spec.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-query-spec.service.js"
+
+scp src/services/xmla-nl-query.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed xmla-nl-query.service.js"
+
+scp src/services/semantic-context-builder.service.js \
+    "$REMOTE_USER@$REMOTE_HOST:$REMOTE_DIR/src/services/"
+log_success "Deployed semantic-context-builder.service.js"
+
 # Deploy updated controller
 log_step "Deploying updated XMLA controller..."
 scp src/controllers/xmla.controller.js \
@@ -125,6 +217,12 @@ ssh "$REMOTE_USER@$REMOTE_HOST" "
   else
     echo 'Day 15 environment variables already exist'
   fi
+
+  # Paging cursors are signed with this secret, so it has to survive restarts
+  if ! grep -q 'XMLA_CURSOR_SECRET' .env 2>/dev/null; then
+    echo \"XMLA_CURSOR_SECRET=\$(openssl rand -hex 32)\" >> .env
+    echo 'XMLA_CURSOR_SECRET generated'
+  fi
 "
 log_success "Environment variables configured"
 
@@ -149,6 +247,29 @@ ssh "$REMOTE_USER@$REMOTE_HOST" "
   [ -f src/services/xmla-connection-pool.service.js ] && echo '  ✅ xmla-connection-pool.service.js' || echo '  ❌ xmla-connection-pool.service.js'
   [ -f src/services/xmla-query-executor.service.js ] && echo '  ✅ xmla-query-executor.service.js' || echo '  ❌ xmla-query-executor.service.js'
   [ -f src/services/metadata-extractor.service.js ] && echo '  ✅ metadata-extractor.service.js' || echo '  ❌ metadata-extractor.service.js'
+  [ -f src/services/dax-parser.service.js ] && echo '  ✅ dax-parser.service.js' || echo '  ❌ dax-parser.service.js'
+  [ -f src/services/dax-semantic-validator.service.js ] && echo '  ✅ dax-semantic-validator.service.js' || echo '  ❌ dax-semantic-validator.service.js'
+  [ -f src/services/xmla-query-cache.service.js ] && echo '  ✅ xmla-query-cache.service.js' || echo '  ❌ xmla-query-cache.service.js'
+  [ -f src/services/xmla-query-scheduler.service.js ] && echo '  ✅ xmla-query-scheduler.service.js' || echo '  ❌ xmla-query-scheduler.service.js'
+  [ -f src/services/xmla-throttle.service.js ] && echo '  ✅ xmla-throttle.service.js' || echo '  ❌ xmla-throttle.service.js'
+  [ -f src/services/xmla-circuit-breaker.service.js ] && echo '  ✅ xmla-circuit-breaker.service.js' || echo '  ❌ xmla-circuit-breaker.service.js'
+  [ -f src/services/xmla-credential-provider.service.js ] && echo '  ✅ xmla-credential-provider.service.js' || echo '  ❌ xmla-credential-provider.service.js'
+  [ -f src/services/xmla-impersonation-policy.service.js ] && echo '  ✅ xmla-impersonation-policy.service.js' || echo '  ❌ xmla-impersonation-policy.service.js'
+  [ -f src/services/xmla-state-store.service.js ] && echo '  ✅ xmla-state-store.service.js' || echo '  ❌ xmla-state-store.service.js'
+  [ -f src/services/xmla-cluster-stats.service.js ] && echo '  ✅ xmla-cluster-stats.service.js' || echo '  ❌ xmla-cluster-stats.service.js'
+  [ -f src/services/xmla-metrics.service.js ] && echo '  ✅ xmla-metrics.service.js' || echo '  ❌ xmla-metrics.service.js'
+  [ -f src/services/xmla-latency-tracker.service.js ] && echo '  ✅ xmla-latency-tracker.service.js' || echo '  ❌ xmla-latency-tracker.service.js'
+  [ -f src/models/xmla-slow-query.model.js ] && echo '  ✅ xmla-slow-query.model.js' || echo '  ❌ xmla-slow-query.model.js'
+  [ -f src/services/xmla-query-history.service.js ] && echo '  ✅ xmla-query-history.service.js' || echo '  ❌ xmla-query-history.service.js'
+  [ -f src/models/xmla-query-history.model.js ] && echo '  ✅ xmla-query-history.model.js' || echo '  ❌ xmla-query-history.model.js'
+  [ -f src/services/xmla-saved-query.service.js ] && echo '  ✅ xmla-saved-query.service.js' || echo '  ❌ xmla-saved-query.service.js'
+  [ -f src/models/xmla-saved-query.model.js ] && echo '  ✅ xmla-saved-query.model.js' || echo '  ❌ xmla-saved-query.model.js'
+  [ -f src/services/xmla-result-export.service.js ] && echo '  ✅ xmla-result-export.service.js' || echo '  ❌ xmla-result-export.service.js'
+  [ -f src/services/xmla-result-normalizer.service.js ] && echo '  ✅ xmla-result-normalizer.service.js' || echo '  ❌ xmla-result-normalizer.service.js'
+  [ -f src/services/xmla-result-pager.service.js ] && echo '  ✅ xmla-result-pager.service.js' || echo '  ❌ xmla-result-pager.service.js'
+  [ -f src/services/xmla-query-spec.service.js ] && echo '  ✅ xmla-query-spec.service.js' || echo '  ❌ xmla-query-spec.service.js'
+  [ -f src/services/xmla-nl-query.service.js ] && echo '  ✅ xmla-nl-query.service.js' || echo '  ❌ xmla-nl-query.service.js'
+  [ -f src/services/semantic-context-builder.service.js ] && echo '  ✅ semantic-context-builder.service.js' || echo '  ❌ semantic-context-builder.service.js'
   [ -f test-day15-xmla.sh ] && echo '  ✅ test-day15-xmla.sh' || echo '  ❌ test-day15-xmla.sh'
   [ -f DAY-15-XMLA-IMPLEMENTATION.md ] && echo '  ✅ DAY-15-XMLA-IMPLEMENTATION.md' || echo '  ❌ DAY-15-XMLA-IMPLEMENTATION.md'
   
@@ -184,6 +305,12 @@ echo ""
 echo "4. Check health:"
 echo "   curl http://$REMOTE_HOST:3000/health"
 echo ""
+echo "5. Optional: enable XLSX, Arrow and Parquet result exports (CSV needs nothing extra):"
+echo "   cd $REMOTE_DIR && npm install exceljs apache-arrow parquetjs && pm2 restart powerbi-backend"
+echo ""
+echo "6. Optional: enable /ask by pointing it at a chat completions endpoint in .env:"
+echo "   XMLA_NL_ENDPOINT=https://api.openai.com/v1  XMLA_NL_API_KEY=...  XMLA_NL_MODEL=gpt-4o-mini"
+echo ""
 echo "📚 Documentation: $REMOTE_DIR/DAY-15-XMLA-IMPLEMENTATION.md"
 echo ""
 
@@ -1,5 +1,8 @@
 const XMLAQueryExecutorService = require('./xmla-query-executor.service');
 const PowerBIAPIService = require('./powerbi-api.service');
+const XMLAQueryCacheService = require('./xmla-query-cache.service');
+const XMLAResultNormalizerService = require('./xmla-result-normalizer.service');
+const SemanticContextBuilderService = require('./semantic-context-builder.service');
 const DatasetModel = require('../models/dataset.model');
 const { logger } = require('../config/logger');
 const { query } = require('../config/database');
@@ -13,6 +16,21 @@ class MetadataExtractorService {
   constructor() {
     this.queryExecutor = XMLAQueryExecutorService;
     this.powerbiAPI = PowerBIAPIService;
+    this.queryCache = XMLAQueryCacheService;
+    this.resultNormalizer = XMLAResultNormalizerService;
+    this.contextBuilder = SemanticContextBuilderService;
+  }
+
+  /**
+   * Rows of the first table of an INFORMATION_SCHEMA query, keyed by the SELECTCOLUMNS
+   * names, or null if the query failed
+   */
+  getRows(result) {
+    if (!result.success) {
+      return null;
+    }
+    const [table] = this.resultNormalizer.normalize(result.results).tables;
+    return table ? this.resultNormalizer.toObjects(table) : null;
   }
 
   /**
@@ -93,7 +111,8 @@ class MetadataExtractorService {
           ),
           "TableName", [TABLE_NAME],
           "TableType", [TABLE_TYPE],
-          "Description", [DESCRIPTION]
+          "Description", [DESCRIPTION],
+          "IsHidden", [IS_HIDDEN]
         )
       `;
 
@@ -102,15 +121,17 @@ class MetadataExtractorService {
         tenantId,
         workspaceId,
         datasetId,
-        daxQuery
+        daxQuery,
+        { useCache: false }
       );
 
-      if (result.success && result.results?.results?.[0]?.tables?.[0]?.rows) {
-        const rows = result.results.results[0].tables[0].rows;
+      const rows = this.getRows(result);
+      if (rows) {
         return rows.map(row => ({
-          name: row['TableName'] || row[Object.keys(row)[0]],
-          type: row['TableType'] || 'TABLE',
-          description: row['Description'] || '',
+          name: row.TableName,
+          type: row.TableType || 'TABLE',
+          description: row.Description || '',
+          isHidden: row.IsHidden || false,
           columnCount: 0 // Will be populated separately
         }));
       }
@@ -141,6 +162,7 @@ class MetadataExtractorService {
           name: table.name,
           type: 'TABLE',
           description: table.description || '',
+          isHidden: table.isHidden || false,
           columnCount: table.columns?.length || 0,
           columns: table.columns?.map(col => ({
             name: col.name,
@@ -181,17 +203,18 @@ class MetadataExtractorService {
         tenantId,
         workspaceId,
         datasetId,
-        daxQuery
+        daxQuery,
+        { useCache: false }
       );
 
-      if (result.success && result.results?.results?.[0]?.tables?.[0]?.rows) {
-        const rows = result.results.results[0].tables[0].rows;
+      const rows = this.getRows(result);
+      if (rows) {
         return rows.map(row => ({
-          tableName: row['TableName'] || row[Object.keys(row)[0]],
-          name: row['ColumnName'] || row[Object.keys(row)[1]],
-          dataType: row['DataType'] || 'Unknown',
-          description: row['Description'] || '',
-          isHidden: row['IsHidden'] || false
+          tableName: row.TableName,
+          name: row.ColumnName,
+          dataType: row.DataType || 'Unknown',
+          description: row.Description || '',
+          isHidden: row.IsHidden || false
         }));
       }
 
@@ -218,7 +241,8 @@ class MetadataExtractorService {
           "TableName", [TABLE_NAME],
           "Expression", [EXPRESSION],
           "Description", [DESCRIPTION],
-          "DataType", [DATA_TYPE]
+          "DataType", [DATA_TYPE],
+          "IsHidden", [IS_HIDDEN]
         )
       `;
 
@@ -227,17 +251,19 @@ class MetadataExtractorService {
         tenantId,
         workspaceId,
         datasetId,
-        daxQuery
+        daxQuery,
+        { useCache: false }
       );
 
-      if (result.success && result.results?.results?.[0]?.tables?.[0]?.rows) {
-        const rows = result.results.results[0].tables[0].rows;
+      const rows = this.getRows(result);
+      if (rows) {
         return rows.map(row => ({
-          name: row['MeasureName'] || row[Object.keys(row)[0]],
-          tableName: row['TableName'] || '',
-          expression: row['Expression'] || '',
-          description: row['Description'] || '',
-          dataType: row['DataType'] || 'Variant'
+          name: row.MeasureName,
+          tableName: row.TableName || '',
+          expression: row.Expression || '',
+          description: row.Description || '',
+          dataType: row.DataType || 'Variant',
+          isHidden: row.IsHidden || false
         }));
       }
 
@@ -268,7 +294,8 @@ class MetadataExtractorService {
           tableName: measure.tableName || '',
           expression: measure.expression || '',
           description: measure.description || '',
-          dataType: 'Variant'
+          dataType: 'Variant',
+          isHidden: measure.isHidden || false
         }));
       }
 
@@ -305,19 +332,20 @@ class MetadataExtractorService {
         tenantId,
         workspaceId,
         datasetId,
-        daxQuery
+        daxQuery,
+        { useCache: false }
       );
 
-      if (result.success && result.results?.results?.[0]?.tables?.[0]?.rows) {
-        const rows = result.results.results[0].tables[0].rows;
+      const rows = this.getRows(result);
+      if (rows) {
         return rows.map(row => ({
-          name: row['RelationshipName'] || '',
-          fromTable: row['FromTable'] || row[Object.keys(row)[1]],
-          fromColumn: row['FromColumn'] || row[Object.keys(row)[2]],
-          toTable: row['ToTable'] || row[Object.keys(row)[3]],
-          toColumn: row['ToColumn'] || row[Object.keys(row)[4]],
-          crossFilterDirection: row['CrossFilterDirection'] || 'Single',
-          isActive: row['IsActive'] !== false
+          name: row.RelationshipName || '',
+          fromTable: row.FromTable,
+          fromColumn: row.FromColumn,
+          toTable: row.ToTable,
+          toColumn: row.ToColumn,
+          crossFilterDirection: row.CrossFilterDirection || 'Single',
+          isActive: row.IsActive !== false
         }));
       }
 
@@ -351,15 +379,16 @@ class MetadataExtractorService {
         tenantId,
         workspaceId,
         datasetId,
-        daxQuery
+        daxQuery,
+        { useCache: false }
       );
 
-      if (result.success && result.results?.results?.[0]?.tables?.[0]?.rows) {
-        const rows = result.results.results[0].tables[0].rows;
+      const rows = this.getRows(result);
+      if (rows) {
         return rows.map(row => ({
-          name: row['HierarchyName'] || row[Object.keys(row)[0]],
-          tableName: row['TableName'] || row[Object.keys(row)[1]],
-          description: row['Description'] || ''
+          name: row.HierarchyName,
+          tableName: row.TableName,
+          description: row.Description || ''
         }));
       }
 
@@ -376,7 +405,7 @@ class MetadataExtractorService {
    */
   async storeMetadata(datasetId, metadata) {
     try {
-      await query(
+      const result = await query(
         `UPDATE datasets 
          SET 
            tables = $1,
@@ -385,15 +414,22 @@ class MetadataExtractorService {
            last_schema_sync = CURRENT_TIMESTAMP,
            schema_version = schema_version + 1,
            updated_at = CURRENT_TIMESTAMP
-         WHERE dataset_id = $4`,
+         WHERE dataset_id = $4
+         RETURNING powerbi_dataset_id, schema_version`,
         [
-          JSON.stringify(metadata.tables || []),
+          JSON.stringify(this.attachColumnsToTables(metadata)),
           JSON.stringify(metadata.measures || []),
           JSON.stringify(metadata.relationships || []),
           datasetId
         ]
       );
 
+      // New schema version invalidates cached query results for this dataset
+      if (result.rows.length > 0) {
+        const { powerbi_dataset_id: powerbiDatasetId, schema_version: schemaVersion } = result.rows[0];
+        this.queryCache.updateSchemaVersion(powerbiDatasetId, schemaVersion);
+      }
+
       logger.info(`Metadata stored in database for dataset ${datasetId}`);
     } catch (error) {
       logger.error(`Failed to store metadata: ${error.message}`);
@@ -401,6 +437,28 @@ class MetadataExtractorService {
     }
   }
 
+  /**
+   * Nest extracted columns under their tables so they survive storage
+   * (the datasets table has no separate columns field)
+   */
+  attachColumnsToTables(metadata) {
+    return (metadata.tables || []).map(table => {
+      const extracted = (metadata.columns || []).filter(c => c.tableName === table.name);
+      const columns = extracted.length > 0 ? extracted : (table.columns || []);
+
+      return {
+        ...table,
+        columnCount: columns.length || table.columnCount || 0,
+        columns: columns.map(column => ({
+          name: column.name,
+          dataType: column.dataType,
+          description: column.description || '',
+          isHidden: column.isHidden || false
+        }))
+      };
+    });
+  }
+
   /**
    * Get cached metadata from database
    */
@@ -426,11 +484,17 @@ class MetadataExtractorService {
       }
 
       const row = result.rows[0];
+      const tables = row.tables || [];
+      this.queryCache.updateSchemaVersion(row.powerbi_dataset_id, row.schema_version);
+
       return {
         datasetId: row.powerbi_dataset_id,
         datasetName: row.dataset_name,
         workspaceId: row.powerbi_workspace_id,
-        tables: row.tables || [],
+        tables,
+        columns: tables.flatMap(table =>
+          (table.columns || []).map(column => ({ ...column, tableName: table.name }))
+        ),
         measures: row.measures || [],
         relationships: row.relationships || [],
         lastSync: row.last_schema_sync,
@@ -498,36 +562,50 @@ class MetadataExtractorService {
 
   /**
    * Generate semantic context for AI
+   * options.metadata (e.g. from getCachedMetadata) is used instead of extracting it live;
+   * options.question, tokenBudget and format shape textContext (see SemanticContextBuilderService).
+   * Hidden tables, columns and measures are left out of every part of the context.
    */
-  async generateSemanticContext(userId, tenantId, workspaceId, datasetId) {
+  async generateSemanticContext(userId, tenantId, workspaceId, datasetId, options = {}) {
     try {
       // Get complete metadata
-      const metadata = await this.extractCompleteMetadata(userId, tenantId, workspaceId, datasetId);
+      const metadata = options.metadata ||
+        await this.extractCompleteMetadata(userId, tenantId, workspaceId, datasetId);
       
+      const visible = this.contextBuilder.visible(metadata);
+
       // Build business glossary
-      const glossary = await this.buildBusinessGlossary(metadata);
+      const glossary = await this.buildBusinessGlossary(visible);
+
+      // Relevance-ranked prompt text within the token budget
+      const { content, ...contextReport } = this.contextBuilder.build(metadata, {
+        question: options.question,
+        tokenBudget: options.tokenBudget,
+        format: options.format
+      });
 
       // Generate human-readable context
       const context = {
         datasetName: metadata.datasetName,
         summary: {
-          tableCount: metadata.tables.length,
-          measureCount: metadata.measures.length,
-          relationshipCount: metadata.relationships.length,
-          columnCount: metadata.columns?.length || 0
+          tableCount: visible.tables.length,
+          measureCount: visible.measures.length,
+          relationshipCount: visible.relationships.length,
+          columnCount: visible.columns?.length || 0
         },
-        tables: metadata.tables.map(table => ({
+        tables: visible.tables.map(table => ({
           name: table.name,
           description: table.description,
-          columnCount: metadata.columns?.filter(c => c.tableName === table.name).length || 0
+          columnCount: visible.columns?.filter(c => c.tableName === table.name).length || 0
         })),
-        measures: metadata.measures.map(measure => ({
+        measures: visible.measures.map(measure => ({
           name: measure.name,
           description: measure.description,
           tableName: measure.tableName
         })),
         glossary,
-        textContext: this.generateTextContext(metadata, glossary)
+        textContext: content,
+        contextReport
       };
 
       return context;
@@ -540,26 +618,29 @@ class MetadataExtractorService {
 
   /**
    * Generate text-based context for AI prompts
+   * @deprecated Use generateSemanticContext's textContext, which fits a token budget and is
+   * ranked by relevance to the question. Hidden objects are left out here too.
    */
   generateTextContext(metadata, glossary) {
-    let text = `Dataset: ${metadata.datasetName}\n\n`;
+    const visible = this.contextBuilder.visible(metadata);
+    let text = `Dataset: ${visible.datasetName}\n\n`;
     
-    text += `Tables (${metadata.tables.length}):\n`;
-    metadata.tables.forEach(table => {
+    text += `Tables (${visible.tables.length}):\n`;
+    visible.tables.forEach(table => {
       text += `- ${table.name}: ${table.description || 'No description'}\n`;
-      const columns = metadata.columns?.filter(c => c.tableName === table.name) || [];
+      const columns = visible.columns?.filter(c => c.tableName === table.name) || [];
       if (columns.length > 0) {
         text += `  Columns: ${columns.map(c => c.name).join(', ')}\n`;
       }
     });
 
-    text += `\nMeasures (${metadata.measures.length}):\n`;
-    metadata.measures.forEach(measure => {
+    text += `\nMeasures (${visible.measures.length}):\n`;
+    visible.measures.forEach(measure => {
       text += `- ${measure.name}: ${measure.description || 'No description'}\n`;
     });
 
-    text += `\nRelationships (${metadata.relationships.length}):\n`;
-    metadata.relationships.forEach(rel => {
+    text += `\nRelationships (${visible.relationships.length}):\n`;
+    visible.relationships.forEach(rel => {
       text += `- ${rel.fromTable}[${rel.fromColumn}] → ${rel.toTable}[${rel.toColumn}]\n`;
     });
 
@@ -0,0 +1,457 @@
+/**
+ * Semantic Context Builder
+ * Fits a dataset's semantic model into a prompt token budget. Tables, columns and
+ * measures are ranked by relevance to an optional question (name and description
+ * similarity, spread to related tables over relationships) and added best-first until
+ * the budget is spent. Hidden objects are left out. Renders compact text, Markdown or
+ * JSON and reports what didn't make it in.
+ * Day 16: Query Builder - Semantic Context
+ */
+
+// Rough token estimate for English text and identifiers
+const CHARS_PER_TOKEN = 4;
+
+// A table passes this share of its relevance to each neighbour, per relationship hop
+const DISTANCE_DECAY = 0.5;
+const MAX_DISTANCE = 3;
+
+// Share of its table's relevance a column or measure inherits
+const TABLE_WEIGHT = 0.3;
+
+// A description word match counts for less than a name match
+const DESCRIPTION_WEIGHT = 0.5;
+
+// Question words that say nothing about which objects are relevant
+const STOP_WORDS = new Set([
+  'all', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'each', 'for', 'from', 'give', 'how', 'in',
+  'is', 'it', 'last', 'list', 'many', 'me', 'much', 'my', 'of', 'on', 'or', 'our', 'per', 'show', 'than',
+  'that', 'the', 'this', 'to', 'top', 'was', 'were', 'what', 'when', 'which', 'who', 'with'
+]);
+
+// Among objects of equal relevance: a table before its measures and relationships, columns last
+const KIND_ORDER = { table: 0, measure: 1, relationship: 2, column: 3 };
+
+const quote = name => `'${String(name).replace(/'/g, '\'\'')}'`;
+const bracket = name => `[${String(name).replace(/]/g, ']]')}]`;
+const cell = text => String(text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const relationshipRef = rel => `${quote(rel.fromTable)}${bracket(rel.fromColumn)} → ${quote(rel.toTable)}${bracket(rel.toColumn)}` +
+  `${rel.crossFilterDirection === 'Both' ? ' (both directions)' : ''}${rel.isActive === false ? ' (inactive)' : ''}`;
+
+const jsonTable = (table, columns = []) => ({ name: table.name, description: table.description || undefined, columns });
+const jsonColumn = column => ({ name: column.name, dataType: column.dataType, description: column.description || undefined });
+const jsonMeasure = measure => ({ name: measure.name, table: measure.table || undefined, description: measure.description || undefined });
+const jsonRelationship = rel => ({
+  from: `${quote(rel.fromTable)}${bracket(rel.fromColumn)}`,
+  to: `${quote(rel.toTable)}${bracket(rel.toColumn)}`,
+  crossFilterDirection: rel.crossFilterDirection,
+  isActive: rel.isActive !== false
+});
+
+// Fragments of each output format. The budget is charged per fragment and rendering
+// concatenates the same fragments, so the charged size is the output size.
+const FORMATS = {
+  text: {
+    header: metadata => `Dataset: ${metadata.datasetName || 'Unknown'}\n`,
+    tables: () => '\nTables:\n',
+    table: table => `${quote(table.name)}${table.description ? `: ${table.description}` : ''}\n`,
+    column: column => `  ${bracket(column.name)} ${column.dataType || ''}${column.description ? ` - ${column.description}` : ''}\n`,
+    measures: () => '\nMeasures:\n',
+    measure: measure => `${bracket(measure.name)}${measure.table ? ` in ${quote(measure.table)}` : ''}${measure.description ? ` - ${measure.description}` : ''}\n`,
+    relationships: () => '\nRelationships:\n',
+    relationship: rel => `${relationshipRef(rel)}\n`
+  },
+  markdown: {
+    header: metadata => `# ${metadata.datasetName || 'Unknown'}\n`,
+    tables: () => '\n## Tables\n',
+    table: table => `\n### ${table.name}\n${table.description ? `\n${cell(table.description)}\n` : ''}\n| Column | Type | Description |\n| --- | --- | --- |\n`,
+    column: column => `| ${cell(column.name)} | ${cell(column.dataType)} | ${cell(column.description)} |\n`,
+    measures: () => '\n## Measures\n\n| Measure | Table | Description |\n| --- | --- | --- |\n',
+    measure: measure => `| ${cell(measure.name)} | ${cell(measure.table)} | ${cell(measure.description)} |\n`,
+    relationships: () => '\n## Relationships\n\n',
+    relationship: rel => `- ${relationshipRef(rel)}\n`
+  },
+  // Each JSON fragment carries one separator, so the sizes add up to the stringified document
+  json: {
+    header: metadata => JSON.stringify({ datasetName: metadata.datasetName || null, tables: [], measures: [], relationships: [] }),
+    tables: () => '',
+    table: table => `${JSON.stringify(jsonTable(table))},`,
+    column: column => `${JSON.stringify(jsonColumn(column))},`,
+    measures: () => '',
+    measure: measure => `${JSON.stringify(jsonMeasure(measure))},`,
+    relationships: () => '',
+    relationship: rel => `${JSON.stringify(jsonRelationship(rel))},`
+  }
+};
+
+class SemanticContextBuilderService {
+  constructor() {
+    this.config = {
+      defaultTokenBudget: parseInt(process.env.XMLA_CONTEXT_TOKEN_BUDGET || '4000')
+    };
+  }
+
+  /**
+   * Build a prompt context from dataset metadata (as returned by getCachedMetadata or
+   * extractCompleteMetadata). Options: { question, tokenBudget, format: 'text' | 'markdown' | 'json' }
+   * Returns { content, format, tokenBudget, tokenEstimate, included, omitted, truncated }:
+   * included counts what is in content, omitted lists the visible objects that didn't fit
+   * (columns and relationships of omitted tables aren't listed again) and counts the hidden ones.
+   */
+  build(metadata, { question, tokenBudget = this.config.defaultTokenBudget, format = 'text' } = {}) {
+    const fragments = FORMATS[format];
+    if (!fragments) {
+      throw new Error(`Unknown context format "${format}"`);
+    }
+
+    const ranked = this.rank(metadata, question);
+    const budget = tokenBudget * CHARS_PER_TOKEN;
+    let used = fragments.header(metadata).length;
+
+    const included = { tables: new Set(), columns: new Set(), measures: new Set(), relationships: new Set() };
+    const omitted = { tables: new Set(), columns: [], measures: [], relationships: [] };
+
+    // Add texts to the budget (with the section heading if they open the section) if they fit
+    const take = (section, texts) => {
+      const cost = texts.reduce((sum, text) => sum + text.length, included[section].size === 0 ? fragments[section]().length : 0);
+      if (used + cost > budget) {
+        return false;
+      }
+      used += cost;
+      return true;
+    };
+
+    this.candidates(ranked).forEach(({ kind, item }) => {
+      switch (kind) {
+        case 'table':
+          if (!included.tables.has(item) && !take('tables', [fragments.table(item)])) {
+            omitted.tables.add(item);
+          } else {
+            included.tables.add(item);
+          }
+          break;
+
+        case 'column': {
+          // A column can open its table's heading, but only if both fit
+          const texts = included.tables.has(item.tableInfo)
+            ? [fragments.column(item)]
+            : [fragments.table(item.tableInfo), fragments.column(item)];
+          if (take('tables', texts)) {
+            included.tables.add(item.tableInfo);
+            omitted.tables.delete(item.tableInfo);
+            included.columns.add(item);
+          } else {
+            omitted.columns.push(item);
+          }
+          break;
+        }
+
+        case 'measure':
+          if (take('measures', [fragments.measure(item)])) {
+            included.measures.add(item);
+          } else {
+            omitted.measures.push(item);
+          }
+          break;
+
+        case 'relationship':
+          if (included.tables.has(item.from) && included.tables.has(item.to) && take('relationships', [fragments.relationship(item.rel)])) {
+            included.relationships.add(item);
+          } else {
+            omitted.relationships.push(item);
+          }
+          break;
+      }
+    });
+
+    const content = this.render(format, metadata, {
+      tables: ranked.tables.filter(table => included.tables.has(table)).map(table => ({
+        ...table,
+        columns: table.columns.filter(column => included.columns.has(column))
+      })),
+      measures: ranked.measures.filter(measure => included.measures.has(measure)),
+      relationships: ranked.relationships.filter(item => included.relationships.has(item)).map(item => item.rel)
+    });
+
+    const report = {
+      tables: Array.from(omitted.tables).map(table => table.name),
+      columns: omitted.columns
+        .filter(column => !omitted.tables.has(column.tableInfo))
+        .map(column => `${quote(column.table)}${bracket(column.name)}`),
+      measures: omitted.measures.map(measure => bracket(measure.name)),
+      relationships: omitted.relationships
+        .filter(item => !omitted.tables.has(item.from) && !omitted.tables.has(item.to))
+        .map(item => relationshipRef(item.rel))
+    };
+
+    return {
+      content,
+      format,
+      tokenBudget,
+      tokenEstimate: this.estimateTokens(content),
+      included: {
+        tables: included.tables.size,
+        columns: included.columns.size,
+        measures: included.measures.size,
+        relationships: included.relationships.size
+      },
+      omitted: { ...report, hidden: ranked.hidden },
+      truncated: Object.values(report).some(list => list.length > 0)
+    };
+  }
+
+  /**
+   * Metadata without its hidden objects, by the same rules rank applies: columns and
+   * measures of hidden tables and relationships touching them are hidden too
+   */
+  visible(metadata) {
+    const tables = (metadata?.tables || [])
+      .filter(table => !table.isHidden)
+      .map(table => table.columns ? { ...table, columns: table.columns.filter(column => !column.isHidden) } : table);
+    const names = new Set(tables.map(table => table.name));
+
+    return {
+      ...metadata,
+      tables,
+      ...(metadata?.columns ? { columns: metadata.columns.filter(column => names.has(column.tableName) && !column.isHidden) } : {}),
+      measures: (metadata?.measures || []).filter(measure => !measure.isHidden && (!measure.tableName || names.has(measure.tableName))),
+      relationships: (metadata?.relationships || []).filter(rel => names.has(rel.fromTable) && names.has(rel.toTable))
+    };
+  }
+
+  /**
+   * Visible tables (with their columns), measures and relationships, scored against the
+   * question. Without a question everything scores 0 and the best-connected tables come first.
+   */
+  rank(metadata, question) {
+    const words = Array.from(new Set(this.tokenize(question)));
+    const hidden = { tables: 0, columns: 0, measures: 0, relationships: 0 };
+
+    const tables = new Map();
+    (metadata?.tables || []).forEach((table, index) => {
+      if (table.isHidden) {
+        hidden.tables++;
+        return;
+      }
+      tables.set(table.name, {
+        name: table.name,
+        description: table.description || '',
+        columns: [],
+        measureCount: 0,
+        similarity: this.similarity(words, table.name, table.description),
+        neighbours: new Set(),
+        index
+      });
+    });
+
+    // Columns of hidden tables count as hidden too
+    const columns = metadata?.columns ||
+      (metadata?.tables || []).flatMap(table => (table.columns || []).map(column => ({ ...column, tableName: table.name })));
+    columns.forEach(column => {
+      const table = tables.get(column.tableName);
+      if (!table || column.isHidden) {
+        hidden.columns++;
+        return;
+      }
+      table.columns.push({
+        table: table.name,
+        tableInfo: table,
+        name: column.name,
+        dataType: column.dataType,
+        description: column.description || '',
+        similarity: this.similarity(words, column.name, column.description),
+        index: table.columns.length
+      });
+    });
+
+    // Measures of hidden tables are hidden; measures without a table are kept
+    const measures = [];
+    (metadata?.measures || []).forEach((measure, index) => {
+      const table = measure.tableName ? tables.get(measure.tableName) : null;
+      if (measure.isHidden || (measure.tableName && !table)) {
+        hidden.measures++;
+        return;
+      }
+      if (table) {
+        table.measureCount++;
+      }
+      measures.push({
+        name: measure.name,
+        table: table?.name || '',
+        tableInfo: table,
+        description: measure.description || '',
+        similarity: this.similarity(words, measure.name, measure.description),
+        index
+      });
+    });
+
+    const relationships = [];
+    (metadata?.relationships || []).forEach((rel, index) => {
+      const from = tables.get(rel.fromTable);
+      const to = tables.get(rel.toTable);
+      if (!from || !to) {
+        hidden.relationships++;
+        return;
+      }
+      from.neighbours.add(to);
+      to.neighbours.add(from);
+      relationships.push({ rel, from, to, index });
+    });
+
+    // A table is as relevant as the best match among its name, columns and measures...
+    tables.forEach(table => {
+      table.relevance = Math.max(table.similarity, ...table.columns.map(column => column.similarity));
+    });
+    measures.forEach(measure => {
+      if (measure.tableInfo) {
+        measure.tableInfo.relevance = Math.max(measure.tableInfo.relevance, measure.similarity);
+      }
+    });
+
+    // ...or as a table it relates to, halved per relationship hop
+    const direct = new Map(Array.from(tables.values()).map(table => [table, table.relevance]));
+    direct.forEach((score, source) => {
+      if (score === 0) {
+        return;
+      }
+      let frontier = [source];
+      const seen = new Set(frontier);
+      for (let distance = 1; distance <= MAX_DISTANCE && frontier.length > 0; distance++) {
+        const next = [];
+        frontier.forEach(table => table.neighbours.forEach(neighbour => {
+          if (!seen.has(neighbour)) {
+            seen.add(neighbour);
+            neighbour.relevance = Math.max(neighbour.relevance, score * DISTANCE_DECAY ** distance);
+            next.push(neighbour);
+          }
+        }));
+        frontier = next;
+      }
+    });
+
+    const rankedTables = Array.from(tables.values()).sort((a, b) =>
+      b.relevance - a.relevance ||
+      (b.neighbours.size + b.measureCount) - (a.neighbours.size + a.measureCount) ||
+      a.index - b.index);
+    rankedTables.forEach((table, rank) => {
+      table.rank = rank;
+    });
+
+    measures.forEach(measure => {
+      measure.score = measure.similarity + TABLE_WEIGHT * (measure.tableInfo?.relevance || 0);
+    });
+
+    return {
+      tables: rankedTables,
+      measures: measures.sort((a, b) => b.score - a.score || (a.tableInfo?.rank ?? -1) - (b.tableInfo?.rank ?? -1) || a.index - b.index),
+      relationships,
+      hidden
+    };
+  }
+
+  /**
+   * Every ranked object in the order the budget is spent on them
+   */
+  candidates({ tables, measures, relationships }) {
+    const candidates = [
+      ...tables.map(table => ({ kind: 'table', item: table, score: table.relevance, rank: table.rank, index: 0 })),
+      ...tables.flatMap(table => table.columns.map(column => ({
+        kind: 'column',
+        item: column,
+        score: column.similarity + TABLE_WEIGHT * table.relevance,
+        rank: table.rank,
+        index: column.index
+      }))),
+      ...measures.map(measure => ({ kind: 'measure', item: measure, score: measure.score, rank: measure.tableInfo?.rank ?? -1, index: measure.index })),
+      // Scored and ranked like the less relevant of its tables, so both tables come first
+      ...relationships.map(item => ({
+        kind: 'relationship',
+        item,
+        score: Math.min(item.from.relevance, item.to.relevance),
+        rank: Math.max(item.from.rank, item.to.rank),
+        index: item.index
+      }))
+    ];
+
+    return candidates.sort((a, b) =>
+      b.score - a.score || a.rank - b.rank || KIND_ORDER[a.kind] - KIND_ORDER[b.kind] || a.index - b.index);
+  }
+
+  render(format, metadata, { tables, measures, relationships }) {
+    if (format === 'json') {
+      return JSON.stringify({
+        datasetName: metadata.datasetName || null,
+        tables: tables.map(table => jsonTable(table, table.columns.map(jsonColumn))),
+        measures: measures.map(jsonMeasure),
+        relationships: relationships.map(jsonRelationship)
+      });
+    }
+
+    const fragments = FORMATS[format];
+    let content = fragments.header(metadata);
+    if (tables.length > 0) {
+      content += fragments.tables();
+      tables.forEach(table => {
+        content += fragments.table(table) + table.columns.map(fragments.column).join('');
+      });
+    }
+    if (measures.length > 0) {
+      content += fragments.measures() + measures.map(fragments.measure).join('');
+    }
+    if (relationships.length > 0) {
+      content += fragments.relationships() + relationships.map(fragments.relationship).join('');
+    }
+    return content;
+  }
+
+  /**
+   * Share of the question's words found in a name (or, at half weight, a description).
+   * Words match exactly or, from four letters on, by prefix ("cust" ~ "customer").
+   */
+  similarity(words, name, description) {
+    if (words.length === 0) {
+      return 0;
+    }
+    const nameWords = this.tokenize(name);
+    const descriptionWords = this.tokenize(description);
+
+    const matched = words.reduce((sum, word) => sum + Math.max(
+      this.matchWord(word, nameWords),
+      this.matchWord(word, descriptionWords) * DESCRIPTION_WEIGHT
+    ), 0);
+    return matched / words.length;
+  }
+
+  matchWord(word, candidates) {
+    let best = 0;
+    for (const candidate of candidates) {
+      if (candidate === word) {
+        return 1;
+      }
+      if (word.length >= 4 && candidate.length >= 4 && (candidate.startsWith(word) || word.startsWith(candidate))) {
+        best = 0.6;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Lowercase words of a name or question; camelCase is split and plurals are reduced
+   * ("OrderDates" -> order, date)
+   */
+  tokenize(text) {
+    return String(text || '')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+      .map(word => (word.length > 3 && word.endsWith('ies') ? `${word.slice(0, -3)}y` : word))
+      .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+  }
+
+  estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+}
+
+module.exports = new SemanticContextBuilderService();
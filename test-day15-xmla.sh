@@ -69,6 +69,11 @@ fi
 echo "TOKEN: ${TOKEN:0:50}..."
 echo ""
 
+# Pool and executor routes need an admin TOKEN and show only its tenant.
+# Set PLATFORM_ADMIN_TOKEN to read the global stats the counter tests check.
+STATS_TOKEN="${PLATFORM_ADMIN_TOKEN:-$TOKEN}"
+STATS_QUERY="${PLATFORM_ADMIN_TOKEN:+?scope=global}"
+
 # ============================================
 # TEST 1: Connection Pool Statistics
 # ============================================
@@ -76,8 +81,8 @@ echo "========================================"
 echo "TEST 1: Connection Pool Statistics"
 echo "========================================"
 
-RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats" \
-  -H "Authorization: Bearer $TOKEN")
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
 
 if echo "$RESPONSE" | jq -e '.stats' > /dev/null 2>&1; then
   log_success "Got connection pool stats"
@@ -95,8 +100,8 @@ echo "========================================"
 echo "TEST 2: Query Executor Statistics"
 echo "========================================"
 
-RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats" \
-  -H "Authorization: Bearer $TOKEN")
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
 
 if echo "$RESPONSE" | jq -e '.stats' > /dev/null 2>&1; then
   log_success "Got query executor stats"
@@ -405,6 +410,35 @@ else
   log_error "Invalid query was not rejected"
   echo "Response: $RESPONSE"
 fi
+
+# Brackets inside strings and comments must not be counted
+BRACKET_QUERY='// note: ( [ unbalanced in comment\nEVALUATE ROW(\"Label\", \"a)b[c\")'
+RESPONSE=$(curl -s -X POST "$BASE_URL/xmla/validate-query" \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d "{\"query\": \"$BRACKET_QUERY\"}")
+
+if echo "$RESPONSE" | jq -e '.isValid' | grep -q 'true'; then
+  log_success "Brackets in strings and comments ignored by parser"
+else
+  log_error "Brackets in strings or comments caused a false error"
+  echo "Response: $RESPONSE"
+fi
+
+# Syntax errors must come back with line and column
+UNCLOSED_QUERY='EVALUATE\nFILTER(Sales, Sales[Amount] > 100'
+RESPONSE=$(curl -s -X POST "$BASE_URL/xmla/validate-query" \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d "{\"query\": \"$UNCLOSED_QUERY\"}")
+
+if echo "$RESPONSE" | jq -e '.diagnostics[0].code == "DAX_UNCLOSED_PARENTHESIS"' > /dev/null 2>&1; then
+  log_success "Unclosed parenthesis reported with position"
+  echo "Diagnostic:" $(echo "$RESPONSE" | jq -c '.diagnostics[0] | {code, line, column}')
+else
+  log_error "Expected DAX_UNCLOSED_PARENTHESIS diagnostic"
+  echo "Response: $RESPONSE"
+fi
 echo ""
 
 # ============================================
@@ -441,8 +475,8 @@ echo "========================================"
 echo "TEST 14: Final Connection Pool Statistics"
 echo "========================================"
 
-RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats" \
-  -H "Authorization: Bearer $TOKEN")
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
 
 if echo "$RESPONSE" | jq -e '.stats' > /dev/null 2>&1; then
   log_success "Got final pool stats"
@@ -469,8 +503,8 @@ echo "========================================"
 echo "TEST 15: Final Query Executor Statistics"
 echo "========================================"
 
-RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats" \
-  -H "Authorization: Bearer $TOKEN")
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
 
 if echo "$RESPONSE" | jq -e '.stats' > /dev/null 2>&1; then
   log_success "Got final executor stats"
@@ -486,6 +520,1088 @@ else
 fi
 echo ""
 
+# ============================================
+# TEST 16: Schema-Aware Query Validation
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ]; then
+  echo "========================================"
+  echo "TEST 16: Schema-Aware Query Validation"
+  echo "========================================"
+
+  UNKNOWN_QUERY='EVALUATE ROW(\"x\", [Measure That Does Not Exist])'
+  RESPONSE=$(curl -s -X POST "$BASE_URL/xmla/validate-query" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"query\": \"$UNKNOWN_QUERY\", \"mode\": \"schema\", \"datasetId\": \"$FIRST_DATASET_ID\"}")
+
+  if echo "$RESPONSE" | jq -e '.diagnostics[] | select(.code == "DAX_UNKNOWN_MEASURE")' > /dev/null 2>&1; then
+    log_success "Unknown measure reported by schema validation"
+    echo "Errors:" $(echo "$RESPONSE" | jq -r '.errors[]')
+  elif echo "$RESPONSE" | jq -e '.error == "Not Found"' > /dev/null 2>&1; then
+    log_info "No cached metadata yet (run extract-metadata first)"
+  else
+    log_error "Schema validation did not report the unknown measure"
+    echo "Response: $RESPONSE"
+  fi
+
+  # FIRST/LAST/DEFAULT place blanks in ORDERBY, WINDOW, INDEX and OFFSET; they are not tables
+  BLANKS_QUERY='EVALUATE INDEX(1, {1, 2}, ORDERBY([Value], ASC, LAST))'
+  RESPONSE=$(curl -s -X POST "$BASE_URL/xmla/validate-query" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"query\": \"$BLANKS_QUERY\", \"mode\": \"schema\", \"datasetId\": \"$FIRST_DATASET_ID\"}")
+
+  if echo "$RESPONSE" | jq -e '.diagnostics[] | select(.code == "DAX_UNKNOWN_TABLE")' > /dev/null 2>&1; then
+    log_error "Blanks placement keyword reported as an unknown table"
+    echo "Response: $RESPONSE"
+  elif echo "$RESPONSE" | jq -e '.error == "Not Found"' > /dev/null 2>&1; then
+    log_info "No cached metadata yet (run extract-metadata first)"
+  else
+    log_success "ORDERBY(..., ASC, LAST) accepted by schema validation"
+  fi
+  echo ""
+fi
+
+# ============================================
+# TEST 17: Query Result Cache
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ]; then
+  echo "========================================"
+  echo "TEST 17: Query Result Cache"
+  echo "========================================"
+
+  CACHE_QUERY='EVALUATE ROW(\"CacheTest\", 1)'
+  curl -s -o /dev/null -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"query\": \"$CACHE_QUERY\"}"
+
+  # Same query with different formatting should be served from cache
+  CACHE_QUERY_REFORMATTED='evaluate   row( \"CacheTest\" , 1 )'
+  CACHE_HEADER=$(curl -s -D - -o /dev/null -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"query\": \"$CACHE_QUERY_REFORMATTED\"}" | grep -i '^x-cache:' | tr -d '\r')
+
+  if echo "$CACHE_HEADER" | grep -qi 'HIT'; then
+    log_success "Repeated query served from cache"
+  else
+    log_warning "Repeated query was not a cache hit (first execution may have failed)"
+    echo "Header: $CACHE_HEADER"
+  fi
+
+  RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+    -H "Authorization: Bearer $STATS_TOKEN")
+  echo "Cache hit ratio:" $(echo "$RESPONSE" | jq -r '.stats.cache.hitRatio')
+  echo ""
+fi
+
+# ============================================
+# TEST 18: Batch Execution (streamed NDJSON)
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ]; then
+  echo "========================================"
+  echo "TEST 18: Batch Execution (streamed NDJSON)"
+  echo "========================================"
+
+  RESPONSE=$(curl -s -N -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute-batch" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"queries": [{"name": "one", "query": "EVALUATE ROW(\"A\", 1)"}, {"name": "two", "query": "EVALUATE ROW(\"B\", 2)"}], "format": "ndjson"}')
+
+  RESULT_LINES=$(echo "$RESPONSE" | grep -c '"type":"result"')
+  SUMMARY=$(echo "$RESPONSE" | grep '"type":"summary"')
+
+  if [ "$RESULT_LINES" -eq 2 ] && [ -n "$SUMMARY" ]; then
+    log_success "Batch streamed 2 results followed by a summary"
+    echo "$SUMMARY" | jq '{successfulQueries, failedQueries, totalExecutionTimeMs}'
+  else
+    log_error "Batch stream incomplete"
+    echo "$RESPONSE"
+  fi
+
+  # Duplicate names are rejected before anything runs
+  STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute-batch" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"queries": [{"name": "dup", "query": "EVALUATE ROW(\"A\", 1)"}, {"name": "dup", "query": "EVALUATE ROW(\"B\", 2)"}]}')
+
+  if [ "$STATUS" = "400" ]; then
+    log_success "Duplicate query names rejected"
+  else
+    log_error "Duplicate query names not rejected (HTTP $STATUS)"
+  fi
+  echo ""
+fi
+
+# ============================================
+# TEST 19: Throttle Tracking
+# ============================================
+echo "========================================"
+echo "TEST 19: Throttle Tracking"
+echo "========================================"
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+
+if echo "$RESPONSE" | jq -e '.stats.throttle.throttledWorkspaces' > /dev/null; then
+  log_success "Executor reports per-workspace throttle state"
+  echo "$RESPONSE" | jq '.stats.throttle | {throttleResponses, queuedRequests, rejectedRequests, averageQueueTimeMs}'
+else
+  log_error "Throttle statistics missing from executor stats"
+  echo "$RESPONSE"
+fi
+echo ""
+
+# ============================================
+# TEST 20: Circuit Breakers
+# ============================================
+echo "========================================"
+echo "TEST 20: Circuit Breakers"
+echo "========================================"
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+
+if echo "$RESPONSE" | jq -e '.stats.circuitBreaker.breakers' > /dev/null; then
+  log_success "Executor reports circuit breaker states"
+  echo "$RESPONSE" | jq '.stats.circuitBreaker | {rejections, opened, closed, breakers}'
+else
+  log_error "Circuit breaker statistics missing from executor stats"
+  echo "$RESPONSE"
+fi
+
+# Reset is admin-only; non-admin test users get 403
+STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/executor/circuit-breakers/reset" \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{}')
+
+if [ "$STATUS" = "200" ] || [ "$STATUS" = "403" ]; then
+  log_success "Circuit breaker reset route responded (HTTP $STATUS)"
+else
+  log_error "Circuit breaker reset failed (HTTP $STATUS)"
+fi
+echo ""
+
+# ============================================
+# TEST 21: Query Cancellation
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ]; then
+  echo "========================================"
+  echo "TEST 21: Query Cancellation"
+  echo "========================================"
+
+  QUERY_ID="test21-$(date +%s)"
+  QUERY_ID_HEADER=$(curl -s -D - -o /dev/null -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -H "X-Query-Id: $QUERY_ID" \
+    -d '{"query": "EVALUATE ROW(\"CancelTest\", 1)", "useCache": false}' | grep -i '^x-query-id:' | tr -d '\r')
+
+  if echo "$QUERY_ID_HEADER" | grep -q "$QUERY_ID"; then
+    log_success "Query ID echoed in X-Query-Id header"
+  else
+    log_error "X-Query-Id header missing"
+    echo "Header: $QUERY_ID_HEADER"
+  fi
+
+  # The query above has finished, so cancelling it finds nothing
+  STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X DELETE "$BASE_URL/xmla/queries/$QUERY_ID" \
+    -H "Authorization: Bearer $TOKEN")
+
+  if [ "$STATUS" = "404" ]; then
+    log_success "Cancelling a finished query returns 404"
+  else
+    log_error "Unexpected status cancelling finished query (HTTP $STATUS)"
+  fi
+  echo ""
+fi
+
+# ============================================
+# TEST 22: Proactive Token Refresh
+# ============================================
+# Refresh counters are pool-wide, so only visible in the global view
+if [ -n "$PLATFORM_ADMIN_TOKEN" ]; then
+  echo "========================================"
+  echo "TEST 22: Proactive Token Refresh"
+  echo "========================================"
+
+  RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" \
+    -H "Authorization: Bearer $STATS_TOKEN")
+
+  if echo "$RESPONSE" | jq -e '.stats.tokenRefreshFailures != null' > /dev/null; then
+    log_success "Pool reports token refresh statistics"
+    echo "$RESPONSE" | jq '.stats | {tokenRefreshes, tokenRefreshFailures, lastRefreshError, pendingRefreshes}'
+  else
+    log_error "Token refresh statistics missing from pool stats"
+    echo "$RESPONSE"
+  fi
+  echo ""
+fi
+
+# ============================================
+# TEST 23: Single-Flight Connection Creation
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ] && [ -n "$PLATFORM_ADMIN_TOKEN" ]; then
+  echo "========================================"
+  echo "TEST 23: Single-Flight Connection Creation"
+  echo "========================================"
+
+  BEFORE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" -H "Authorization: Bearer $STATS_TOKEN" | jq '.stats.totalConnections')
+
+  # Fire concurrent uncached queries for the same workspace
+  for i in 1 2 3 4 5; do
+    curl -s -o /dev/null -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "{\"query\": \"EVALUATE ROW(\\\"Stampede\\\", $i)\", \"useCache\": false}" &
+  done
+  wait
+
+  RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" -H "Authorization: Bearer $STATS_TOKEN")
+  AFTER=$(echo "$RESPONSE" | jq '.stats.totalConnections')
+
+  if [ $((AFTER - BEFORE)) -le 1 ]; then
+    log_success "Concurrent requests shared one connection creation"
+  else
+    log_warning "Created $((AFTER - BEFORE)) connections for one workspace (pool may have been empty)"
+  fi
+  echo "$RESPONSE" | jq '.stats | {sharedCreations, leasedConnections, poolWaits, poolTimeouts, evictionCount}'
+  echo ""
+fi
+
+# ============================================
+# TEST 24: Credential Types
+# ============================================
+if [ -n "$FIRST_DATASET_ID" ]; then
+  echo "========================================"
+  echo "TEST 24: Credential Types"
+  echo "========================================"
+
+  RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" \
+    -H "Authorization: Bearer $STATS_TOKEN")
+  echo "Credential providers:" $(echo "$RESPONSE" | jq -c '.stats.credentials.providers')
+
+  # Unknown credential types are rejected by validation
+  STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"A\", 1)", "credentialType": "password"}')
+
+  if [ "$STATUS" = "400" ]; then
+    log_success "Unknown credential type rejected"
+  else
+    log_error "Unknown credential type not rejected (HTTP $STATUS)"
+  fi
+
+  # Service principal works when configured for the tenant, otherwise 403
+  STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"A\", 1)", "credentialType": "service-principal"}')
+
+  if [ "$STATUS" = "200" ] || [ "$STATUS" = "403" ]; then
+    log_success "Service principal request handled (HTTP $STATUS)"
+  else
+    log_error "Service principal request failed (HTTP $STATUS)"
+  fi
+  echo ""
+fi
+
+# ============================================
+# TEST 25: RLS Impersonation Policy
+# ============================================
+echo "========================================"
+echo "TEST 25: RLS Impersonation Policy"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  RESPONSE=$(curl -s -w '\n%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"A\", 1)", "impersonation": {"effectiveUserName": "rls.test@example.com"}}')
+  STATUS=$(echo "$RESPONSE" | tail -n 1)
+  BODY=$(echo "$RESPONSE" | sed '$d')
+
+  # Allowed (200) or denied by tenant policy (403) are both valid outcomes
+  if [ "$STATUS" = "200" ]; then
+    log_success "Impersonated query ran as $(echo "$BODY" | jq -r '.effectiveUserName')"
+  elif [ "$STATUS" = "403" ] && [ "$(echo "$BODY" | jq -r '.code')" = "XMLA_IMPERSONATION_DENIED" ]; then
+    log_success "Impersonation denied by tenant policy: $(echo "$BODY" | jq -r '.message')"
+  else
+    log_error "Unexpected impersonation response (HTTP $STATUS)"
+    echo "$BODY"
+  fi
+
+  RESPONSE=$(curl -s -w '\n%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"A\", 1)", "impersonation": {"effectiveUserName": "rls.test@example.com", "roles": ["Viewer"]}}')
+  STATUS=$(echo "$RESPONSE" | tail -n 1)
+  BODY=$(echo "$RESPONSE" | sed '$d')
+
+  # executeQueries can't apply a role list, so requesting roles is a validation error
+  if [ "$STATUS" = "400" ] && [ "$(echo "$BODY" | jq -r '.error')" = "Validation Error" ]; then
+    log_success "Impersonated roles refused: $(echo "$BODY" | jq -r '.message')"
+  else
+    log_error "Impersonated roles not refused (HTTP $STATUS)"
+    echo "$BODY"
+  fi
+fi
+
+# The executeQueries request body must carry the RLS identity; checked against a stubbed fetch
+if [ -f src/services/xmla-query-executor.service.js ]; then
+  OUTGOING_BODY=$(timeout 60 node -e '
+    global.fetch = async (url, init) => {
+      console.log(init.body);
+      return { ok: true, status: 200, headers: new Map(), json: async () => ({ results: [] }) };
+    };
+    const executor = require("./src/services/xmla-query-executor.service");
+    executor.postExecuteQueries("W1", "D1", "EVALUATE ROW(\"A\", 1)", {
+      accessToken: "token",
+      impersonation: { effectiveUserName: "rls.test@example.com" }
+    }).then(() => process.exit(0), error => { console.error(error.message); process.exit(1); });
+  ' 2>/dev/null | tail -n 1)
+
+  if [ "$(echo "$OUTGOING_BODY" | jq -r '.impersonatedUserName' 2>/dev/null)" = "rls.test@example.com" ]; then
+    log_success "executeQueries body carries impersonatedUserName"
+  else
+    log_error "executeQueries body is missing the impersonated identity"
+    echo "$OUTGOING_BODY"
+  fi
+else
+  log_warning "Service sources not found in $(pwd), outgoing request body test skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 26: Cluster Statistics
+# ============================================
+echo "========================================"
+echo "TEST 26: Cluster Statistics"
+echo "========================================"
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+POOL_NODES=$(echo "$RESPONSE" | jq -r '.cluster.nodeCount // 0')
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+EXECUTOR_NODES=$(echo "$RESPONSE" | jq -r '.cluster.nodeCount // 0')
+
+# Every node publishes its own snapshot, so at least this one is listed
+if [ "$POOL_NODES" -ge 1 ] && [ "$EXECUTOR_NODES" -ge 1 ]; then
+  log_success "Cluster stats from $POOL_NODES node(s): $(echo "$RESPONSE" | jq -r '.cluster.totalQueries') total queries"
+else
+  log_error "Cluster stats missing"
+  echo "$RESPONSE" | jq '.cluster'
+fi
+
+# Connection metadata and token state are written to the store as connections change, never the token
+if [ -f src/services/xmla-connection-pool.service.js ]; then
+  STATE_CHECK=$(timeout 60 node -e '
+    const pool = require("./src/services/xmla-connection-pool.service");
+    const store = require("./src/services/xmla-state-store.service");
+    store.useBackend(new store.MemoryStateStore());
+    pool.credentialProvider.getToken = async () => ({
+      accessToken: "secret-token",
+      expiresAt: new Date(Date.now() + 3600000),
+      principal: "state.test@example.com"
+    });
+    (async () => {
+      const connection = await pool.getConnection("u1", "state-tenant", "W1");
+      pool.releaseConnection(connection);
+      await Promise.all(Array.from(pool.pendingStateWrites));
+      const stored = JSON.stringify(await store.hgetall("pool:connections"));
+      const cluster = await pool.getClusterStats();
+      pool.removeConnection("u1", "state-tenant", "W1");
+      await Promise.all(Array.from(pool.pendingStateWrites));
+      const left = Object.keys(await store.hgetall("pool:connections")).length;
+      console.log(JSON.stringify({
+        principal: cluster.connections[0]?.principal,
+        usageCount: cluster.connections[0]?.usageCount,
+        hasExpiry: Boolean(cluster.connections[0]?.tokenExpiry),
+        leaksToken: stored.includes("secret-token"),
+        left
+      }));
+      process.exit(0);
+    })().catch(error => { console.error(error.message); process.exit(1); });
+  ' 2>/dev/null | tail -n 1)
+
+  if [ "$(echo "$STATE_CHECK" | jq -r '.principal')" = "state.test@example.com" ] && \
+     [ "$(echo "$STATE_CHECK" | jq -r '.hasExpiry')" = "true" ] && \
+     [ "$(echo "$STATE_CHECK" | jq -r '.leaksToken')" = "false" ] && \
+     [ "$(echo "$STATE_CHECK" | jq -r '.left')" = "0" ]; then
+    log_success "Connection record stored with token state, merged with usage and removed with the connection"
+  else
+    log_error "Pool connection state not kept in the state store"
+    echo "$STATE_CHECK"
+  fi
+else
+  log_warning "Service sources not found in $(pwd), state store test skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 27: Tenant-Scoped Operational Routes
+# ============================================
+echo "========================================"
+echo "TEST 27: Tenant-Scoped Operational Routes"
+echo "========================================"
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/pool/stats" \
+  -H "Authorization: Bearer $TOKEN")
+
+# Without ?scope=global every connection key belongs to one tenant
+if [ "$(echo "$RESPONSE" | jq -r '.scope')" = "tenant" ] && \
+   [ "$(echo "$RESPONSE" | jq '[.stats.connections[].key | split(":")[0]] | unique | length')" -le 1 ]; then
+  log_success "Pool stats filtered to the caller's tenant"
+else
+  log_error "Pool stats not tenant-scoped"
+  echo "$RESPONSE"
+fi
+
+# The global view is reserved for platform admins
+STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X GET "$BASE_URL/xmla/executor/stats?scope=global" \
+  -H "Authorization: Bearer $TOKEN")
+
+if [ "$STATUS" = "403" ] || [ "$STATUS" = "200" ]; then
+  log_success "Global stats scope enforced (HTTP $STATUS)"
+else
+  log_error "Unexpected global stats response (HTTP $STATUS)"
+fi
+
+# Workspaces that aren't synced for the tenant never get a connection
+STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/pool/test" \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"workspaceId": "00000000-0000-0000-0000-000000000000"}')
+
+if [ "$STATUS" = "404" ]; then
+  log_success "Pool test rejected an unsynced workspace"
+else
+  log_error "Pool test accepted an unsynced workspace (HTTP $STATUS)"
+fi
+echo ""
+
+# ============================================
+# TEST 28: Pool Management
+# ============================================
+echo "========================================"
+echo "TEST 28: Pool Management"
+echo "========================================"
+
+# Invalidating a workspace with no connections is a harmless no-op
+RESPONSE=$(curl -s -w '\n%{http_code}' -X POST "$BASE_URL/xmla/pool/invalidate" \
+  -H "Authorization: Bearer $TOKEN" \
+  -H "Content-Type: application/json" \
+  -d '{"workspaceId": "00000000-0000-0000-0000-000000000000"}')
+STATUS=$(echo "$RESPONSE" | tail -n 1)
+BODY=$(echo "$RESPONSE" | sed '$d')
+
+if [ "$STATUS" = "200" ] && [ "$(echo "$BODY" | jq '.invalidated | length')" = "0" ]; then
+  log_success "Pool invalidate route responded"
+else
+  log_error "Pool invalidate failed (HTTP $STATUS)"
+  echo "$BODY"
+fi
+
+# Draining affects every tenant, so tenant admins are refused
+if [ -z "$PLATFORM_ADMIN_TOKEN" ]; then
+  STATUS=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/pool/drain" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"timeoutMs": 0}')
+
+  if [ "$STATUS" = "403" ]; then
+    log_success "Pool drain restricted to platform admins"
+  else
+    log_error "Pool drain not restricted (HTTP $STATUS)"
+  fi
+fi
+echo ""
+
+# ============================================
+# TEST 29: OpenMetrics Endpoint
+# ============================================
+echo "========================================"
+echo "TEST 29: OpenMetrics Endpoint"
+echo "========================================"
+
+# Scrape with XMLA_METRICS_TOKEN when set, otherwise as a (platform) admin
+RESPONSE=$(curl -s -w '\n%{http_code}' -X GET "$BASE_URL/xmla/metrics" \
+  -H "Authorization: Bearer ${XMLA_METRICS_TOKEN:-$STATS_TOKEN}")
+STATUS=$(echo "$RESPONSE" | tail -n 1)
+BODY=$(echo "$RESPONSE" | sed '$d')
+
+if [ "$STATUS" = "200" ] && [ "$(echo "$BODY" | tail -n 1)" = "# EOF" ] && echo "$BODY" | grep -q '^xmla_pool_connections '; then
+  log_success "Metrics exported in OpenMetrics format"
+  echo "$BODY" | grep -E '^xmla_(queries_total|pool_connections |running_queries)' | head -5
+elif [ "$STATUS" = "403" ] && [ -z "$PLATFORM_ADMIN_TOKEN" ] && [ -z "$XMLA_METRICS_TOKEN" ]; then
+  log_success "Metrics restricted to platform admins and the scrape token"
+else
+  log_error "Metrics endpoint failed (HTTP $STATUS)"
+  echo "$BODY" | head -5
+fi
+echo ""
+
+# ============================================
+# TEST 30: Latency Percentiles and Slow-Query Log
+# ============================================
+echo "========================================"
+echo "TEST 30: Latency Percentiles and Slow-Query Log"
+echo "========================================"
+
+RESPONSE=$(curl -s -X GET "$BASE_URL/xmla/executor/stats$STATS_QUERY" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+
+if echo "$RESPONSE" | jq -e '.stats.latency.windows | length > 0' > /dev/null 2>&1; then
+  log_success "Latency percentiles reported"
+  echo "$RESPONSE" | jq '.stats.latency.datasets[0].percentiles // "no recent queries"'
+else
+  log_error "Latency percentiles missing from executor stats"
+fi
+
+RESPONSE=$(curl -s -w '\n%{http_code}' -X GET "$BASE_URL/xmla/executor/slow-queries?limit=5$(echo "$STATS_QUERY" | sed 's/^?/\&/')" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+STATUS=$(echo "$RESPONSE" | tail -n 1)
+BODY=$(echo "$RESPONSE" | sed '$d')
+
+if [ "$STATUS" = "200" ] && echo "$BODY" | jq -e '.slowQueries | type == "array"' > /dev/null 2>&1; then
+  log_success "Slow-query log returned $(echo "$BODY" | jq '.count') entries (threshold $(echo "$BODY" | jq '.thresholdMs')ms)"
+else
+  log_error "Slow-query log failed (HTTP $STATUS)"
+  echo "$BODY" | head -5
+fi
+
+RESPONSE=$(curl -s -o /dev/null -w '%{http_code}' -X GET "$BASE_URL/xmla/executor/slow-queries?queryHash=not-a-hash" \
+  -H "Authorization: Bearer $STATS_TOKEN")
+
+if [ "$RESPONSE" = "400" ]; then
+  log_success "Invalid slow-query filter rejected"
+else
+  log_error "Invalid slow-query filter not rejected (HTTP $RESPONSE)"
+fi
+echo ""
+
+# ============================================
+# TEST 31: Query History
+# ============================================
+echo "========================================"
+echo "TEST 31: Query History"
+echo "========================================"
+
+RESPONSE=$(curl -s -w '\n%{http_code}' -X GET "$BASE_URL/xmla/history?limit=5" \
+  -H "Authorization: Bearer $TOKEN")
+STATUS=$(echo "$RESPONSE" | tail -n 1)
+BODY=$(echo "$RESPONSE" | sed '$d')
+
+if [ "$STATUS" = "200" ] && echo "$BODY" | jq -e '.history | type == "array"' > /dev/null 2>&1; then
+  log_success "Query history returned $(echo "$BODY" | jq '.history | length') of $(echo "$BODY" | jq '.total') executions"
+  echo "$BODY" | jq '.history[0] | {queryId, datasetId, status, rowCount, durationMs, executedAt}'
+else
+  log_error "Query history failed (HTTP $STATUS)"
+  echo "$BODY" | head -5
+fi
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  RESPONSE=$(curl -s -w '\n%{http_code}' -X GET "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/history?limit=5&status=success" \
+    -H "Authorization: Bearer $TOKEN")
+  STATUS=$(echo "$RESPONSE" | tail -n 1)
+  BODY=$(echo "$RESPONSE" | sed '$d')
+
+  if [ "$STATUS" = "200" ] && echo "$BODY" | jq -e '[.history[].status] | all(. == "success")' > /dev/null 2>&1; then
+    log_success "Dataset query history filtered by status"
+  elif [ "$STATUS" = "404" ]; then
+    log_warning "Dataset not synced locally, dataset history skipped"
+  else
+    log_error "Dataset query history failed (HTTP $STATUS)"
+  fi
+fi
+
+# startRetention must purge right away and again every purgeInterval; checked against a stubbed model
+if [ -f src/services/xmla-query-history.service.js ]; then
+  PURGE_CHECK=$(timeout 60 node -e '
+    const history = require("./src/services/xmla-query-history.service");
+    const cutoffs = [];
+    history.config.enabled = true;
+    history.config.purgeInterval = 100;
+    history.model = { deleteOlderThan: async cutoff => { cutoffs.push(cutoff); return 0; } };
+    history.startRetention();
+    setTimeout(() => {
+      const first = history.getStats().lastPurgeAt;
+      setTimeout(() => {
+        const second = history.getStats().lastPurgeAt;
+        history.stopRetention();
+        console.log(JSON.stringify({ first, second, moved: !!first && second > first, deletes: cutoffs.length }));
+        process.exit(0);
+      }, 250);
+    }, 20);
+  ' 2>/dev/null | tail -n 1)
+
+  if [ "$(echo "$PURGE_CHECK" | jq -r '.first')" != "null" ] && [ "$(echo "$PURGE_CHECK" | jq -r '.moved')" = "true" ]; then
+    log_success "Retention purged at start and again on its interval ($(echo "$PURGE_CHECK" | jq -r '.deletes') deletes)"
+  else
+    log_error "Retention did not run: lastPurgeAt did not move"
+    echo "$PURGE_CHECK"
+  fi
+else
+  log_warning "Service sources not found in $(pwd), retention test skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 32: Saved Parameterized Queries
+# ============================================
+echo "========================================"
+echo "TEST 32: Saved Parameterized Queries"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  RESPONSE=$(curl -s -w '\n%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/saved-queries" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{
+      \"name\": \"Day 15 test $(date +%s)\",
+      \"query\": \"EVALUATE ROW(\\\"Label\\\", Label, \\\"Limit\\\", RowLimit, \\\"Note\\\", Note)\",
+      \"parameters\": [
+        { \"name\": \"Label\", \"type\": \"string\" },
+        { \"name\": \"RowLimit\", \"type\": \"number\", \"default\": 10 },
+        { \"name\": \"Note\", \"type\": \"string\", \"required\": false }
+      ]
+    }")
+  STATUS=$(echo "$RESPONSE" | tail -n 1)
+  BODY=$(echo "$RESPONSE" | sed '$d')
+  SAVED_QUERY_ID=$(echo "$BODY" | jq -r '.savedQuery.id // empty')
+
+  if [ "$STATUS" = "201" ] && [ -n "$SAVED_QUERY_ID" ]; then
+    log_success "Saved query created ($SAVED_QUERY_ID)"
+
+    # Quotes in a value must stay inside the string literal; the omitted optional Note is BLANK()
+    RESPONSE=$(curl -s -w '\n%{http_code}' -X POST "$BASE_URL/xmla/saved-queries/$SAVED_QUERY_ID/run" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d '{ "parameters": { "Label": "say \"hi\")) EVALUATE Secrets //" } }')
+    STATUS=$(echo "$RESPONSE" | tail -n 1)
+    BODY=$(echo "$RESPONSE" | sed '$d')
+
+    if [ "$STATUS" = "200" ] && echo "$BODY" | jq -e '.savedQuery.version == 1 and (.query | contains("VAR Note = BLANK()"))' > /dev/null 2>&1; then
+      log_success "Saved query ran with parameters"
+      echo "$BODY" | jq '.query'
+    else
+      log_error "Saved query run failed (HTTP $STATUS)"
+      echo "$BODY" | head -5
+    fi
+
+    RESPONSE=$(curl -s -o /dev/null -w '%{http_code}' -X POST "$BASE_URL/xmla/saved-queries/$SAVED_QUERY_ID/run" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d '{ "parameters": { "Label": "x", "RowLimit": "10; EVALUATE Secrets" } }')
+
+    if [ "$RESPONSE" = "400" ]; then
+      log_success "Mistyped parameter rejected"
+    else
+      log_error "Mistyped parameter not rejected (HTTP $RESPONSE)"
+    fi
+
+    RESPONSE=$(curl -s -X PUT "$BASE_URL/xmla/saved-queries/$SAVED_QUERY_ID" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d '{ "query": "EVALUATE ROW(\"Label\", Label)", "parameters": [{ "name": "Label", "type": "string" }], "expectedVersion": 1 }')
+
+    if echo "$RESPONSE" | jq -e '.savedQuery.version == 2' > /dev/null 2>&1; then
+      log_success "Saved query updated to version 2"
+    else
+      log_error "Saved query update failed"
+      echo "$RESPONSE" | head -5
+    fi
+
+    curl -s -X DELETE "$BASE_URL/xmla/saved-queries/$SAVED_QUERY_ID" \
+      -H "Authorization: Bearer $TOKEN" > /dev/null
+  else
+    log_error "Saved query creation failed (HTTP $STATUS)"
+    echo "$BODY" | head -5
+  fi
+else
+  log_warning "No dataset available, saved query tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 33: Result Export
+# ============================================
+echo "========================================"
+echo "TEST 33: Result Export"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  EXPORT_FILE=$(mktemp)
+  HEADERS=$(curl -s -D - -o "$EXPORT_FILE" -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"Label\", \"a,b\", \"Value\", 1.5)", "format": "csv"}')
+
+  if echo "$HEADERS" | grep -qi '^content-type: text/csv' && grep -q 'Label,Value' "$EXPORT_FILE"; then
+    log_success "Result exported as CSV"
+    head -3 "$EXPORT_FILE"
+  else
+    log_error "CSV export failed"
+    echo "$HEADERS" | head -1
+  fi
+
+  # ORDER BY exports are run and written page by page, so their row count isn't known up front
+  HEADERS=$(curl -s -D - -o "$EXPORT_FILE" -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE GENERATESERIES(1, 25) ORDER BY [Value]", "format": "csv", "useCache": false}')
+
+  if echo "$HEADERS" | grep -qi '^content-type: text/csv' && ! echo "$HEADERS" | grep -qi '^x-row-count:' && \
+     [ "$(tail -n +2 "$EXPORT_FILE" | grep -c .)" = "25" ]; then
+    log_success "ORDER BY result exported through the pager (25 rows)"
+  else
+    log_error "Paged CSV export failed"
+    echo "$HEADERS" | head -1
+  fi
+
+  # Formats backed by optional packages answer 501 when the package isn't installed
+  for FORMAT in xlsx arrow parquet; do
+    STATUS=$(curl -s -o "$EXPORT_FILE" -w '%{http_code}' -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "{\"query\": \"EVALUATE ROW(\\\"Value\\\", 1)\", \"format\": \"$FORMAT\"}")
+
+    if [ "$STATUS" = "200" ] && [ -s "$EXPORT_FILE" ]; then
+      log_success "Result exported as $FORMAT ($(wc -c < "$EXPORT_FILE") bytes)"
+    elif [ "$STATUS" = "501" ]; then
+      log_warning "$FORMAT export not installed on this server"
+    else
+      log_error "$FORMAT export failed (HTTP $STATUS)"
+    fi
+  done
+  rm -f "$EXPORT_FILE"
+else
+  log_warning "No dataset available, export tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 34: Normalized Result Model
+# ============================================
+echo "========================================"
+echo "TEST 34: Normalized Result Model"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  NORMALIZED=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"Label\", \"x\", \"Value\", 1.5, \"When\", DATE(2024, 1, 31))", "shape": "normalized", "useCache": false}')
+
+  COLUMN_TYPES=$(echo "$NORMALIZED" | jq -r '[.tables[0].columns[]? | "\(.name):\(.dataType)"] | join(",")')
+  if [ "$COLUMN_TYPES" = "Label:String,Value:Double,When:DateTime" ]; then
+    log_success "Normalized result has typed columns: $COLUMN_TYPES"
+    echo "$NORMALIZED" | jq '{rowCount, row: .tables[0].rows[0]}'
+  else
+    log_error "Unexpected normalized columns: $COLUMN_TYPES"
+    echo "$NORMALIZED" | jq '.'
+  fi
+
+  # The default shape is still the raw Power BI response
+  RAW_ROWS=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE ROW(\"Label\", \"x\")"}' | jq '.results.results[0].tables[0].rows | length')
+  if [ "$RAW_ROWS" = "1" ]; then
+    log_success "Raw result shape unchanged"
+  else
+    log_error "Raw result shape changed (rows: $RAW_ROWS)"
+  fi
+else
+  log_warning "No dataset available, normalized result tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 35: Paged Results
+# ============================================
+echo "========================================"
+echo "TEST 35: Paged Results"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  PAGED_QUERY='EVALUATE GENERATESERIES(1, 25, 1) ORDER BY [Value]'
+  CURSOR=""
+  PAGES=0
+  PAGED_ROWS=0
+
+  while [ $PAGES -lt 10 ]; do
+    if [ -n "$CURSOR" ]; then
+      PAGING="{\"pageSize\": 10, \"cursor\": \"$CURSOR\"}"
+    else
+      PAGING='{"pageSize": 10}'
+    fi
+    PAGE=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "{\"query\": \"$PAGED_QUERY\", \"paging\": $PAGING, \"useCache\": false}")
+
+    if [ "$(echo "$PAGE" | jq -r '.page.rowCount // empty')" = "" ]; then
+      log_error "Paged query failed"
+      echo "$PAGE" | jq '.'
+      break
+    fi
+
+    PAGES=$((PAGES + 1))
+    PAGED_ROWS=$((PAGED_ROWS + $(echo "$PAGE" | jq '.page.rowCount')))
+    CURSOR=$(echo "$PAGE" | jq -r '.page.nextCursor // empty')
+    [ -z "$CURSOR" ] && break
+  done
+
+  if [ "$PAGED_ROWS" = "25" ] && [ "$PAGES" = "3" ]; then
+    log_success "Paged through 25 rows in 3 pages"
+  else
+    log_error "Paging returned $PAGED_ROWS rows in $PAGES pages (expected 25 in 3)"
+  fi
+
+  # Paging needs an ORDER BY
+  NO_ORDER=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"query": "EVALUATE GENERATESERIES(1, 5, 1)", "paging": {"pageSize": 2}}' | jq -r '.code')
+  if [ "$NO_ORDER" = "XMLA_PAGING_UNSUPPORTED" ]; then
+    log_success "Paging without ORDER BY rejected"
+  else
+    log_error "Paging without ORDER BY not rejected (got $NO_ORDER)"
+  fi
+
+  # A tampered cursor is refused
+  BAD_CURSOR=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/execute" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d "{\"query\": \"$PAGED_QUERY\", \"paging\": {\"cursor\": \"e30.invalid\"}}" | jq -r '.code')
+  if [ "$BAD_CURSOR" = "XMLA_CURSOR_INVALID" ]; then
+    log_success "Tampered cursor rejected"
+  else
+    log_error "Tampered cursor not rejected (got $BAD_CURSOR)"
+  fi
+else
+  log_warning "No dataset available, paging tests skipped"
+fi
+
+# DAX compares strings case-insensitively, so "B" and "b" are one ORDER BY key and must share a page
+if [ -f src/services/xmla-result-pager.service.js ]; then
+  PAGE_CHECK=$(timeout 60 node -e '
+    const pager = require("./src/services/xmla-result-pager.service");
+    const query = "EVALUATE Products ORDER BY Products[Name]";
+    const scope = { tenantId: "tenant", datasetId: "D1", identity: "effective:a@example.com" };
+    const plan = pager.plan(query, { pageSize: 2 }, scope);
+    const rows = ["a", "B", "b"];
+    const { page } = pager.paginate({
+      results: { results: [{ tables: [{ rows: rows.map(name => ({ "Products[Name]": name })) }] }] },
+      metadata: {}
+    }, plan);
+    const literal = pager.toLiteral("DateTime", "2024-01-02T03:04:05.678Z");
+    const replayed = [{ identity: "effective:b@example.com" }, { datasetId: "D2" }].map(change => {
+      try {
+        pager.plan(query, { cursor: page.nextCursor }, { ...scope, ...change });
+        return "accepted";
+      } catch (error) {
+        return error.code;
+      }
+    });
+    console.log(JSON.stringify({ rowCount: page.rowCount, hasMore: page.hasMore, keepsMilliseconds: literal.includes("678"), replayed }));
+    process.exit(0);
+  ' 2>/dev/null | tail -n 1)
+
+  if [ "$(echo "$PAGE_CHECK" | jq -r '.rowCount')" = "3" ] && [ "$(echo "$PAGE_CHECK" | jq -r '.hasMore')" = "true" ]; then
+    log_success "Page extended over rows tied only by case"
+  else
+    log_error "Page split rows tied only by case"
+    echo "$PAGE_CHECK"
+  fi
+
+  if [ "$(echo "$PAGE_CHECK" | jq -r '.keepsMilliseconds')" = "true" ]; then
+    log_success "DateTime cursor keys keep milliseconds"
+  else
+    log_error "DateTime cursor keys drop milliseconds"
+  fi
+
+  if [ "$(echo "$PAGE_CHECK" | jq -r '.replayed | map(select(. == "XMLA_CURSOR_INVALID")) | length')" = "2" ]; then
+    log_success "Cursor rejected under another identity or dataset"
+  else
+    log_error "Cursor replayed under another identity or dataset: $(echo "$PAGE_CHECK" | jq -c '.replayed')"
+  fi
+else
+  log_warning "Service sources not found in $(pwd), paging tie tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 36: Structured Query Specs
+# ============================================
+echo "========================================"
+echo "TEST 36: Structured Query Specs"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  # Build a spec from the dataset's own metadata: the first column of its first table
+  SPEC_METADATA=$(curl -s -X GET "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/cached-metadata" \
+    -H "Authorization: Bearer $TOKEN")
+  SPEC_TABLE=$(echo "$SPEC_METADATA" | jq -r '[.metadata.tables[]? | select((.columns | length) > 0)][0].name // empty')
+  SPEC_COLUMN=$(echo "$SPEC_METADATA" | jq -r --arg t "$SPEC_TABLE" '[.metadata.tables[]? | select(.name == $t)][0].columns[0].name // empty')
+
+  if [ -n "$SPEC_TABLE" ] && [ -n "$SPEC_COLUMN" ]; then
+    SPEC=$(jq -n --arg t "$SPEC_TABLE" --arg c "$SPEC_COLUMN" \
+      '{groupBy: [{table: $t, column: $c}], orderBy: [{column: {table: $t, column: $c}}], top: 5}')
+
+    COMPILED=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/query" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "$(echo "$SPEC" | jq '. + {compileOnly: true}')")
+    if echo "$COMPILED" | jq -e '.query | contains("SUMMARIZECOLUMNS") and contains("TOPN")' > /dev/null; then
+      log_success "Query spec compiled to DAX"
+      echo "$COMPILED" | jq -r '.query'
+    else
+      log_error "Query spec compilation failed"
+      echo "$COMPILED" | jq '.'
+    fi
+
+    SPEC_RESULT=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/query" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "$SPEC")
+    if [ "$(echo "$SPEC_RESULT" | jq -r '.message')" = "Query executed successfully" ]; then
+      log_success "Query spec executed ($(echo "$SPEC_RESULT" | jq '.rowCount') rows)"
+    else
+      log_error "Query spec execution failed"
+      echo "$SPEC_RESULT" | jq '.'
+    fi
+  else
+    log_warning "No cached columns for the dataset, skipping spec execution"
+  fi
+
+  # Unknown references are reported with suggestions instead of reaching Power BI
+  INVALID_SPEC=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/query" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"measures": [{"name": "No Such Measure"}]}')
+  INVALID_ERROR=$(echo "$INVALID_SPEC" | jq -r '.error')
+  if [ "$INVALID_ERROR" = "Invalid Query Spec" ] || [ "$INVALID_ERROR" = "Not Found" ]; then
+    log_success "Invalid query spec rejected ($INVALID_ERROR)"
+  else
+    log_error "Invalid query spec not rejected"
+    echo "$INVALID_SPEC" | jq '.'
+  fi
+else
+  log_warning "No dataset available, query spec tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 37: Natural Language Questions
+# ============================================
+echo "========================================"
+echo "TEST 37: Natural Language Questions"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  ANSWER=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/ask" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"question": "What are the total sales by year?", "execute": false}')
+  ANSWER_CODE=$(echo "$ANSWER" | jq -r '.code // empty')
+
+  if [ "$ANSWER_CODE" = "XMLA_NL_UNAVAILABLE" ]; then
+    log_warning "No model provider configured, natural language tests skipped"
+  elif [ "$(echo "$ANSWER" | jq -r '.error')" = "Not Found" ]; then
+    log_warning "No cached metadata for the dataset, natural language tests skipped"
+  elif echo "$ANSWER" | jq -e '.dax | startswith("EVALUATE") or startswith("DEFINE")' > /dev/null; then
+    log_success "Question answered with DAX ($(echo "$ANSWER" | jq -r '.provider'), $(echo "$ANSWER" | jq '.attempts') attempt(s))"
+    echo "$ANSWER" | jq -r '.dax'
+    echo "$ANSWER" | jq -r '.explanation'
+
+    ASK_RESULT=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/ask" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d '{"question": "What are the total sales by year?", "shape": "normalized"}')
+    if [ "$(echo "$ASK_RESULT" | jq -r '.message')" = "Query executed successfully" ]; then
+      log_success "Answer executed ($(echo "$ASK_RESULT" | jq '.rowCount') rows)"
+    else
+      log_error "Answer execution failed"
+      echo "$ASK_RESULT" | jq '.'
+    fi
+  elif [ "$(echo "$ANSWER" | jq -r '.error')" = "Unprocessable Entity" ]; then
+    log_warning "Model provider wrote DAX that failed validation"
+    echo "$ANSWER" | jq '.errors'
+  else
+    log_error "Question not answered"
+    echo "$ANSWER" | jq '.'
+  fi
+
+  # Empty questions never reach the model provider
+  EMPTY_QUESTION=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/ask" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"question": ""}')
+  if [ "$(echo "$EMPTY_QUESTION" | jq -r '.error')" = "Validation Error" ]; then
+    log_success "Empty question rejected"
+  else
+    log_error "Empty question not rejected"
+    echo "$EMPTY_QUESTION" | jq '.'
+  fi
+else
+  log_warning "No dataset available, natural language tests skipped"
+fi
+echo ""
+
+# ============================================
+# TEST 38: Token-Budgeted Semantic Context
+# ============================================
+echo "========================================"
+echo "TEST 38: Token-Budgeted Semantic Context"
+echo "========================================"
+
+if [ -n "$FIRST_DATASET_ID" ]; then
+  for CONTEXT_FORMAT in text markdown json; do
+    BUDGETED_CONTEXT=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/semantic-context" \
+      -H "Authorization: Bearer $TOKEN" \
+      -H "Content-Type: application/json" \
+      -d "{\"question\": \"total sales by year\", \"tokenBudget\": 300, \"format\": \"$CONTEXT_FORMAT\"}")
+    CONTEXT_TOKENS=$(echo "$BUDGETED_CONTEXT" | jq -r '.context.contextReport.tokenEstimate // empty')
+
+    if [ -z "$CONTEXT_TOKENS" ]; then
+      log_error "Semantic context ($CONTEXT_FORMAT) failed"
+      echo "$BUDGETED_CONTEXT" | jq '.'
+    elif [ "$CONTEXT_TOKENS" -le 300 ] || [ "$(echo "$BUDGETED_CONTEXT" | jq '.context.contextReport.included.tables')" = "0" ]; then
+      log_success "Semantic context ($CONTEXT_FORMAT) fits the budget: $CONTEXT_TOKENS tokens, truncated: $(echo "$BUDGETED_CONTEXT" | jq '.context.contextReport.truncated')"
+      echo "$BUDGETED_CONTEXT" | jq -c '.context.contextReport.omitted | {tables: (.tables | length), columns: (.columns | length), measures: (.measures | length), hidden}'
+    else
+      log_error "Semantic context ($CONTEXT_FORMAT) exceeds the budget: $CONTEXT_TOKENS tokens"
+    fi
+  done
+
+  if [ "$(echo "$BUDGETED_CONTEXT" | jq -r '.context.textContext | fromjson | .datasetName != null' 2>/dev/null)" = "true" ]; then
+    log_success "JSON context parses"
+  else
+    log_warning "JSON context did not parse"
+  fi
+
+  BAD_BUDGET=$(curl -s -X POST "$BASE_URL/xmla/datasets/$FIRST_DATASET_ID/semantic-context" \
+    -H "Authorization: Bearer $TOKEN" \
+    -H "Content-Type: application/json" \
+    -d '{"tokenBudget": 10}')
+  if [ "$(echo "$BAD_BUDGET" | jq -r '.error')" = "Validation Error" ]; then
+    log_success "Token budget below the minimum rejected"
+  else
+    log_error "Token budget below the minimum not rejected"
+    echo "$BAD_BUDGET" | jq '.'
+  fi
+else
+  log_warning "No dataset available, semantic context tests skipped"
+fi
+echo ""
+
 # ============================================
 # FINAL SUMMARY
 # ============================================
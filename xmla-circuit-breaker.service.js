@@ -0,0 +1,219 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Circuit Breaker
+ * Fails queries fast while a workspace or Premium capacity keeps failing,
+ * instead of running every request through the full retry cycle
+ * Day 16: Query Performance - Circuit Breaker
+ */
+
+const CircuitState = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class XMLACircuitBreakerService {
+  constructor() {
+    this.config = {
+      // Consecutive failures that open the circuit
+      failureThreshold: parseInt(process.env.XMLA_BREAKER_FAILURE_THRESHOLD || '5'),
+      // How long an open circuit rejects before allowing trial queries
+      cooldown: parseInt(process.env.XMLA_BREAKER_COOLDOWN || '30000'),
+      // Concurrent trial queries allowed while half-open
+      halfOpenMaxCalls: parseInt(process.env.XMLA_BREAKER_HALF_OPEN_MAX_CALLS || '1')
+    };
+
+    // 'workspace:<id>' / 'capacity:<id>' -> breaker
+    this.breakers = new Map();
+
+    this.stats = {
+      rejections: 0,
+      opened: 0,
+      closed: 0
+    };
+
+    this.CircuitState = CircuitState;
+
+    logger.info('XMLA circuit breaker initialized', this.config);
+  }
+
+  /**
+   * Breaker keys guarding a query: always the workspace, plus the capacity when known
+   */
+  getKeys(workspaceId, capacityId) {
+    const keys = [`workspace:${workspaceId}`];
+    if (capacityId) {
+      keys.push(`capacity:${capacityId}`);
+    }
+    return keys;
+  }
+
+  getBreaker(key) {
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, {
+        state: CircuitState.CLOSED,
+        failures: 0,
+        openedAt: null,
+        halfOpenCalls: 0,
+        lastError: null,
+        lastFailureAt: null
+      });
+    }
+    return this.breakers.get(key);
+  }
+
+  /**
+   * Admit a query or throw XMLA_CIRCUIT_OPEN. An admitted query must report its
+   * outcome through recordSuccess or recordFailure.
+   */
+  check(keys) {
+    const now = Date.now();
+
+    // Check every key before taking any half-open slot
+    for (const key of keys) {
+      const breaker = this.breakers.get(key);
+      if (!breaker) {
+        continue;
+      }
+
+      if (breaker.state === CircuitState.OPEN && now - breaker.openedAt >= this.config.cooldown) {
+        this.transition(key, breaker, CircuitState.HALF_OPEN);
+      }
+
+      if (breaker.state === CircuitState.OPEN) {
+        throw this.createOpenError(key, breaker, breaker.openedAt + this.config.cooldown - now);
+      }
+
+      if (breaker.state === CircuitState.HALF_OPEN && breaker.halfOpenCalls >= this.config.halfOpenMaxCalls) {
+        throw this.createOpenError(key, breaker, 0);
+      }
+    }
+
+    keys.forEach(key => {
+      const breaker = this.breakers.get(key);
+      if (breaker && breaker.state === CircuitState.HALF_OPEN) {
+        breaker.halfOpenCalls++;
+      }
+    });
+  }
+
+  recordSuccess(keys) {
+    keys.forEach(key => {
+      const breaker = this.breakers.get(key);
+      if (!breaker) {
+        return;
+      }
+
+      if (breaker.state === CircuitState.HALF_OPEN) {
+        this.transition(key, breaker, CircuitState.CLOSED);
+      }
+
+      // Healthy closed breakers carry no state worth keeping
+      if (breaker.state === CircuitState.CLOSED) {
+        this.breakers.delete(key);
+      }
+    });
+  }
+
+  /**
+   * An admitted query ended without an outcome (e.g. cancelled); free its half-open slot
+   */
+  release(keys) {
+    keys.forEach(key => {
+      const breaker = this.breakers.get(key);
+      if (breaker && breaker.state === CircuitState.HALF_OPEN && breaker.halfOpenCalls > 0) {
+        breaker.halfOpenCalls--;
+      }
+    });
+  }
+
+  recordFailure(keys, error) {
+    const now = Date.now();
+
+    keys.forEach(key => {
+      const breaker = this.getBreaker(key);
+      breaker.failures++;
+      breaker.lastError = error.message;
+      breaker.lastFailureAt = new Date(now);
+
+      if (breaker.state === CircuitState.HALF_OPEN) {
+        // Trial query failed, start a new cool-down
+        this.transition(key, breaker, CircuitState.OPEN);
+      } else if (breaker.state === CircuitState.CLOSED && breaker.failures >= this.config.failureThreshold) {
+        this.transition(key, breaker, CircuitState.OPEN);
+      }
+    });
+  }
+
+  transition(key, breaker, state) {
+    const previous = breaker.state;
+    breaker.state = state;
+    breaker.halfOpenCalls = 0;
+
+    if (state === CircuitState.OPEN) {
+      breaker.openedAt = Date.now();
+      this.stats.opened++;
+      logger.warn(`Circuit ${key} opened after ${breaker.failures} failures (${breaker.lastError})`);
+    } else if (state === CircuitState.CLOSED) {
+      breaker.failures = 0;
+      breaker.openedAt = null;
+      this.stats.closed++;
+      logger.info(`Circuit ${key} closed`);
+    } else {
+      logger.info(`Circuit ${key} ${previous} -> ${state}, allowing trial queries`);
+    }
+  }
+
+  createOpenError(key, breaker, retryAfterMs) {
+    this.stats.rejections++;
+
+    const error = new Error(`Circuit open for ${key} after repeated failures (${breaker.lastError}); retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    error.code = 'XMLA_CIRCUIT_OPEN';
+    error.breakerKey = key;
+    error.retryAfterMs = Math.max(retryAfterMs, 0);
+    return error;
+  }
+
+  /**
+   * Reset one breaker, or all of them when no key is given
+   */
+  reset(key) {
+    if (key) {
+      const existed = this.breakers.delete(key);
+      logger.info(`Circuit ${key} reset`);
+      return existed ? 1 : 0;
+    }
+
+    const count = this.breakers.size;
+    this.breakers.clear();
+    logger.info(`Reset ${count} circuit breakers`);
+    return count;
+  }
+
+  /**
+   * Get circuit breaker statistics
+   */
+  getStats() {
+    const now = Date.now();
+
+    return {
+      ...this.stats,
+      config: this.config,
+      breakers: Array.from(this.breakers.entries()).map(([key, breaker]) => ({
+        key,
+        state: breaker.state === CircuitState.OPEN && now - breaker.openedAt >= this.config.cooldown
+          ? CircuitState.HALF_OPEN
+          : breaker.state,
+        failures: breaker.failures,
+        lastError: breaker.lastError,
+        lastFailureAt: breaker.lastFailureAt,
+        retryAfterMs: breaker.state === CircuitState.OPEN
+          ? Math.max(breaker.openedAt + this.config.cooldown - now, 0)
+          : 0
+      }))
+    };
+  }
+}
+
+module.exports = new XMLACircuitBreakerService();
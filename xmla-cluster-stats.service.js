@@ -0,0 +1,142 @@
+const os = require('os');
+const XMLAStateStoreService = require('./xmla-state-store.service');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Cluster Statistics
+ * Each API instance publishes snapshots of its pool and executor state to the
+ * shared state store; stats endpoints read every live node's snapshot back
+ * Day 16: XMLA Connection Manager - Cluster State
+ */
+class XMLAClusterStatsService {
+  constructor() {
+    this.store = XMLAStateStoreService;
+
+    this.config = {
+      nodeId: process.env.XMLA_NODE_ID || `${os.hostname()}:${process.pid}`,
+      publishInterval: parseInt(process.env.XMLA_STATS_PUBLISH_INTERVAL || '15000'),
+      // Snapshots older than this belong to nodes that stopped or crashed
+      staleAfter: parseInt(process.env.XMLA_STATS_STALE_AFTER || '60000')
+    };
+
+    // source name -> function returning this node's snapshot
+    this.sources = new Map();
+    this.publishTimer = null;
+  }
+
+  /**
+   * Publish a snapshot source under the given name, e.g. 'pool' or 'executor'
+   */
+  register(name, getSnapshot) {
+    this.sources.set(name, getSnapshot);
+    this.startPublishing();
+  }
+
+  /**
+   * Write this node's snapshots to the store; one failing source doesn't block the rest
+   */
+  async publish(names = Array.from(this.sources.keys())) {
+    await Promise.all(names.map(async name => {
+      try {
+        const snapshot = {
+          nodeId: this.config.nodeId,
+          publishedAt: Date.now(),
+          stats: this.sources.get(name)()
+        };
+        await this.store.hset(`cluster:${name}`, this.config.nodeId, JSON.stringify(snapshot));
+      } catch (error) {
+        logger.warn(`Failed to publish ${name} stats to state store: ${error.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Snapshots of every live node for a source, this node's freshly published
+   */
+  async getNodeSnapshots(name) {
+    await this.publish([name]);
+
+    const entries = await this.store.hgetall(`cluster:${name}`);
+    const now = Date.now();
+    const snapshots = [];
+    const stale = [];
+
+    Object.entries(entries || {}).forEach(([nodeId, value]) => {
+      try {
+        const snapshot = JSON.parse(value);
+        if (now - snapshot.publishedAt > this.config.staleAfter) {
+          stale.push(nodeId);
+        } else {
+          snapshots.push(snapshot);
+        }
+      } catch (error) {
+        stale.push(nodeId);
+      }
+    });
+
+    if (stale.length > 0) {
+      await this.store.hdel(`cluster:${name}`, ...stale);
+      logger.info(`Dropped ${name} stats for ${stale.length} stale nodes`);
+    }
+
+    return snapshots.sort((a, b) => a.nodeId.localeCompare(b.nodeId));
+  }
+
+  /**
+   * Sum numeric counters across node snapshots
+   */
+  sum(snapshots, fields) {
+    return Object.fromEntries(fields.map(field => [
+      field,
+      snapshots.reduce((total, snapshot) => total + (Number(snapshot.stats[field]) || 0), 0)
+    ]));
+  }
+
+  startPublishing() {
+    if (this.publishTimer) {
+      return;
+    }
+
+    this.publishTimer = setInterval(() => {
+      this.publish();
+    }, this.config.publishInterval);
+
+    // Publishing alone shouldn't keep the process alive
+    this.publishTimer.unref();
+
+    logger.info(`Cluster stats publishing started for node ${this.config.nodeId}`);
+  }
+
+  stopPublishing() {
+    if (this.publishTimer) {
+      clearInterval(this.publishTimer);
+      this.publishTimer = null;
+      logger.info('Cluster stats publishing stopped');
+    }
+  }
+
+  /**
+   * Remove this node's snapshots, e.g. on graceful shutdown
+   */
+  async unpublish() {
+    await Promise.all(Array.from(this.sources.keys()).map(name =>
+      this.store.hdel(`cluster:${name}`, this.config.nodeId)
+    ));
+  }
+
+  /**
+   * Stop publishing, leave the cluster and close the state store
+   */
+  async shutdown() {
+    this.stopPublishing();
+
+    try {
+      await this.unpublish();
+      await this.store.close();
+    } catch (error) {
+      logger.warn(`Failed to leave cluster stats cleanly: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new XMLAClusterStatsService();
@@ -1,4 +1,7 @@
-const OAuthTokenModel = require('../models/oauth-token.model');
+const XMLACredentialProviderService = require('./xmla-credential-provider.service');
+const XMLAClusterStatsService = require('./xmla-cluster-stats.service');
+const XMLAStateStoreService = require('./xmla-state-store.service');
+const XMLAMetricsService = require('./xmla-metrics.service');
 const { logger } = require('../config/logger');
 
 /**
@@ -10,84 +13,142 @@ class XMLAConnectionPoolService {
   constructor() {
     // Connection pool storage
     this.connectionPool = new Map();
+
+    // Token sources: delegated user tokens or per-tenant service principals
+    this.credentialProvider = XMLACredentialProviderService;
     
     // Pool configuration
     this.config = {
       maxPoolSize: parseInt(process.env.XMLA_CONNECTION_POOL_SIZE || '10'),
-      maxConnectionAge: 30 * 60 * 1000, // 30 minutes
+      // Connections are recycled after this age (default 2 hours). It must outlast the token
+      // lifetime (one hour for Power BI) or connections are recycled before refresh-ahead reaches them.
+      maxConnectionAge: parseInt(process.env.XMLA_MAX_CONNECTION_AGE || String(2 * 60 * 60 * 1000)),
       tokenExpiryBuffer: 5 * 60 * 1000, // 5 minutes before expiry
-      cleanupInterval: 5 * 60 * 1000 // Cleanup every 5 minutes
+      cleanupInterval: 5 * 60 * 1000, // Cleanup every 5 minutes
+      // Refresh 10 minutes before expiry, or within the credential provider's renewal window if shorter
+      tokenRefreshAhead: parseInt(process.env.XMLA_TOKEN_REFRESH_AHEAD || String(10 * 60 * 1000)),
+      tokenRefreshInterval: 60 * 1000, // Check for expiring tokens every minute
+      poolWaitTimeout: parseInt(process.env.XMLA_POOL_WAIT_TIMEOUT || '10000'), // Wait for a free connection when the pool is full
+      drainTimeout: parseInt(process.env.XMLA_POOL_DRAIN_TIMEOUT || '30000') // Wait for leased connections when draining
     };
 
+    // In-flight drain; while set (or once closed for shutdown) no connections are handed out
+    this.drainPromise = null;
+    this.closed = false;
+
+    // connectionKey -> in-flight refresh promise, shared by concurrent callers
+    this.pendingRefreshes = new Map();
+
+    // connectionKey -> in-flight creation promise, shared by concurrent callers
+    this.pendingCreations = new Map();
+
+    // Slots held by creations in progress, and callers waiting for a slot
+    this.reservedSlots = 0;
+    this.slotWaiters = [];
+
     // Statistics tracking
     this.stats = {
       totalConnections: 0,
       activeConnections: 0,
       reuseCount: 0,
       expiryCount: 0,
-      errorCount: 0
+      errorCount: 0,
+      sharedCreations: 0,
+      evictionCount: 0,
+      poolWaits: 0,
+      poolTimeouts: 0,
+      tokenRefreshes: 0,
+      tokenRefreshFailures: 0,
+      lastRefreshError: null
     };
 
-    // Start periodic cleanup
+    // Start periodic cleanup and background token refresh
     this.startCleanupJob();
+    this.startRefreshJob();
+
+    // Share this node's pool state with the rest of the cluster: counters and usage in published
+    // snapshots, connection metadata and token state in the store as connections change
+    this.clusterStats = XMLAClusterStatsService;
+    this.clusterStats.register('pool', () => this.getSnapshot());
+    this.store = XMLAStateStoreService;
+    this.pendingStateWrites = new Set();
+
+    XMLAMetricsService.registerCollector(() => this.collectMetrics());
     
     logger.info('XMLA Connection Pool initialized', this.config);
   }
 
   /**
    * Generate connection key for pooling
+   * App-only connections are shared by every user of the tenant
    */
-  getConnectionKey(tenantId, workspaceId, userId) {
-    return `${tenantId}:${workspaceId}:${userId}`;
+  getConnectionKey(tenantId, workspaceId, userId, credentialType = 'delegated') {
+    const principal = credentialType === 'delegated' ? userId : 'app';
+    return `${tenantId}:${workspaceId}:${credentialType}:${principal}`;
   }
 
   /**
    * Get connection from pool or create new one
+   * The connection is leased to the caller, who must hand it back with releaseConnection()
+   * Options:
+   *   credentialType - 'delegated' (the user's own token, default) or 'service-principal'
    */
-  async getConnection(userId, tenantId, workspaceId) {
-    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId);
+  async getConnection(userId, tenantId, workspaceId, options = {}) {
+    const credentialType = options.credentialType || 'delegated';
+    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId, credentialType);
     
     try {
+      if (this.drainPromise || this.closed) {
+        const error = new Error(this.closed ? 'Connection pool is shut down' : 'Connection pool is draining; retry shortly');
+        error.code = 'XMLA_POOL_DRAINING';
+        throw error;
+      }
+
       // Check if connection exists and is valid
       if (this.connectionPool.has(connectionKey)) {
         const connection = this.connectionPool.get(connectionKey);
         
+        // Token about to expire: wait for the (shared) refresh instead of reconnecting
+        if (this.isRefreshable(connection) && this.isTokenExpiring(connection, this.config.tokenExpiryBuffer)) {
+          await this.refreshConnection(connectionKey).catch(() => null);
+        }
+
         // Validate connection
         if (this.isConnectionValid(connection)) {
           logger.debug(`Reusing connection: ${connectionKey}`);
           this.stats.reuseCount++;
-          connection.lastUsed = new Date();
-          connection.usageCount++;
-          return connection;
-        } else {
-          // Connection expired or invalid
+          return this.leaseConnection(connection);
+        }
+
+        // Connection expired or invalid; another caller may already have replaced it
+        if (this.connectionPool.get(connectionKey) === connection) {
           logger.debug(`Connection expired: ${connectionKey}`);
-          this.connectionPool.delete(connectionKey);
+          this.deleteConnection(connectionKey);
           this.stats.expiryCount++;
         }
       }
 
-      // Create new connection
-      const connection = await this.createConnection(userId, tenantId, workspaceId);
-      
-      // Add to pool if space available
-      if (this.connectionPool.size < this.config.maxPoolSize) {
-        this.connectionPool.set(connectionKey, connection);
-        logger.debug(`Added connection to pool: ${connectionKey} (Pool size: ${this.connectionPool.size})`);
-      } else {
-        // Pool is full, remove oldest connection
-        const oldestKey = this.findOldestConnection();
-        if (oldestKey) {
-          this.connectionPool.delete(oldestKey);
-          logger.debug(`Removed oldest connection: ${oldestKey}`);
-        }
-        this.connectionPool.set(connectionKey, connection);
+      // Share a creation already in flight for this key
+      if (this.pendingCreations.has(connectionKey)) {
+        logger.debug(`Waiting for in-flight connection: ${connectionKey}`);
+        this.stats.sharedCreations++;
+        const connection = await this.pendingCreations.get(connectionKey);
+        return this.leaseConnection(connection);
       }
 
-      this.stats.totalConnections++;
-      this.stats.activeConnections = this.connectionPool.size;
-      
-      return connection;
+      const creation = this.createPooledConnection(connectionKey, userId, tenantId, workspaceId, credentialType);
+      this.pendingCreations.set(connectionKey, creation);
+
+      let connection;
+      try {
+        connection = await creation;
+      } finally {
+        this.pendingCreations.delete(connectionKey);
+        // Wakes a drain waiting on this creation, including when it failed
+        this.notifySlotWaiters();
+      }
+
+      return this.leaseConnection(connection);
       
     } catch (error) {
       this.stats.errorCount++;
@@ -97,37 +158,154 @@ class XMLAConnectionPoolService {
   }
 
   /**
-   * Create new XMLA connection
+   * Create a connection and add it to the pool, waiting for a free slot if the pool is full
    */
-  async createConnection(userId, tenantId, workspaceId) {
+  async createPooledConnection(connectionKey, userId, tenantId, workspaceId, credentialType) {
+    await this.reserveSlot();
+
     try {
-      logger.info(`Creating new XMLA connection for workspace ${workspaceId}`);
+      const connection = await this.createConnection(userId, tenantId, workspaceId, credentialType);
 
-      // Get fresh OAuth token
-      const tokenData = await OAuthTokenModel.getValidToken(userId, 'powerbi');
-      
-      if (!tokenData) {
-        throw new Error('No valid Power BI token found. Please reconnect your Power BI account.');
+      this.connectionPool.set(connectionKey, connection);
+      this.saveConnectionState(connectionKey, connection);
+      logger.debug(`Added connection to pool: ${connectionKey} (Pool size: ${this.connectionPool.size})`);
+
+      this.stats.totalConnections++;
+      this.stats.activeConnections = this.connectionPool.size;
+
+      return connection;
+    } finally {
+      this.reservedSlots--;
+      this.notifySlotWaiters();
+    }
+  }
+
+  /**
+   * Reserve room for one new connection. Idle connections are evicted LRU-first;
+   * when every connection is leased, wait up to poolWaitTimeout for one to be released.
+   */
+  async reserveSlot() {
+    const deadline = Date.now() + this.config.poolWaitTimeout;
+    let waited = false;
+
+    while (true) {
+      if (this.connectionPool.size + this.reservedSlots < this.config.maxPoolSize) {
+        this.reservedSlots++;
+        return;
+      }
+
+      const oldestKey = this.findOldestConnection();
+      if (oldestKey) {
+        this.deleteConnection(oldestKey);
+        this.stats.evictionCount++;
+        logger.debug(`Removed oldest idle connection: ${oldestKey}`);
+        this.reservedSlots++;
+        return;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        this.stats.poolTimeouts++;
+        const error = new Error(`Connection pool exhausted: all ${this.config.maxPoolSize} connections busy for ${this.config.poolWaitTimeout}ms`);
+        error.code = 'XMLA_POOL_TIMEOUT';
+        throw error;
+      }
+
+      if (!waited) {
+        waited = true;
+        this.stats.poolWaits++;
+        logger.warn(`Connection pool full (${this.config.maxPoolSize}), waiting for a free connection`);
+      }
+
+      await this.waitForSlot(remaining);
+    }
+  }
+
+  /**
+   * Resolve when a slot may have freed up, or after timeoutMs
+   */
+  waitForSlot(timeoutMs) {
+    return new Promise(resolve => {
+      const waiter = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.slotWaiters = this.slotWaiters.filter(w => w !== waiter);
+        resolve();
+      }, timeoutMs);
+
+      this.slotWaiters.push(waiter);
+    });
+  }
+
+  notifySlotWaiters() {
+    const waiters = this.slotWaiters.splice(0);
+    waiters.forEach(waiter => waiter());
+  }
+
+  leaseConnection(connection) {
+    connection.activeLeases++;
+    connection.lastUsed = new Date();
+    connection.usageCount++;
+    return connection;
+  }
+
+  /**
+   * Return a leased connection to the pool
+   */
+  releaseConnection(connection) {
+    if (!connection || connection.activeLeases === 0) {
+      return;
+    }
+
+    connection.activeLeases--;
+    connection.lastUsed = new Date();
+
+    if (connection.activeLeases === 0) {
+      // Invalidated while leased: remove it now that its last query is done
+      const key = this.getConnectionKey(connection.tenantId, connection.workspaceId, connection.userId, connection.credentialType);
+      if (!connection.isValid && this.connectionPool.get(key) === connection) {
+        this.deleteConnection(key);
+        this.stats.activeConnections = this.connectionPool.size;
       }
+      this.notifySlotWaiters();
+    }
+  }
+
+  /**
+   * Create new XMLA connection
+   */
+  async createConnection(userId, tenantId, workspaceId, credentialType = 'delegated') {
+    try {
+      logger.info(`Creating new XMLA connection for workspace ${workspaceId} (${credentialType})`);
+
+      // Get fresh token from the credential provider
+      const token = await this.credentialProvider.getToken(credentialType, { userId, tenantId });
 
       const connection = {
         // Identity
         workspaceId,
         tenantId,
         userId,
+        credentialType,
+        principal: token.principal,
         
         // Token information
-        accessToken: tokenData.access_token,
-        tokenExpiry: new Date(tokenData.expires_at),
+        accessToken: token.accessToken,
+        tokenExpiry: token.expiresAt,
         
         // Connection metadata
         endpoint: this.buildXMLAEndpoint(workspaceId),
-        connectionString: this.buildConnectionString(workspaceId, tokenData.access_token),
+        connectionString: this.buildConnectionString(workspaceId, token.accessToken),
         
         // Lifecycle tracking
         createdAt: new Date(),
         lastUsed: new Date(),
         usageCount: 0,
+        activeLeases: 0,
+        lastRefreshedAt: null,
+        refreshError: null,
         
         // Status
         isValid: true
@@ -191,13 +369,112 @@ class XMLAConnectionPoolService {
   }
 
   /**
-   * Find oldest connection in pool
+   * Check whether the connection's token expires within the given window
+   */
+  isTokenExpiring(connection, withinMs) {
+    return connection.tokenExpiry.getTime() - Date.now() < withinMs;
+  }
+
+  /**
+   * A connection is worth refreshing if only its token is the problem
+   */
+  isRefreshable(connection) {
+    const connectionAge = Date.now() - connection.createdAt.getTime();
+    return connection.isValid && connectionAge <= this.config.maxConnectionAge;
+  }
+
+  /**
+   * Refresh a pooled connection's token through its credential provider
+   * (the stored token, renewed by the OAuth token model, for delegated connections; a new
+   * app-only token for service principals).
+   * Concurrent callers for the same key share one in-flight refresh.
+   */
+  refreshConnection(connectionKey) {
+    if (this.pendingRefreshes.has(connectionKey)) {
+      return this.pendingRefreshes.get(connectionKey);
+    }
+
+    const connection = this.connectionPool.get(connectionKey);
+    if (!connection) {
+      return Promise.resolve(null);
+    }
+
+    const refresh = (async () => {
+      try {
+        logger.debug(`Refreshing token for pooled connection: ${connectionKey}`);
+        const token = await this.credentialProvider.refreshToken(connection.credentialType, {
+          userId: connection.userId,
+          tenantId: connection.tenantId
+        });
+
+        // Not renewed yet (e.g. the stored token is outside its renewal window): nothing changed
+        if (token.expiresAt.getTime() <= connection.tokenExpiry.getTime()) {
+          logger.debug(`Token not renewed yet for pooled connection: ${connectionKey}`);
+          return connection;
+        }
+
+        connection.accessToken = token.accessToken;
+        connection.tokenExpiry = token.expiresAt;
+        connection.connectionString = this.buildConnectionString(connection.workspaceId, token.accessToken);
+        connection.lastRefreshedAt = new Date();
+        connection.refreshError = null;
+        this.saveConnectionState(connectionKey, connection);
+
+        this.stats.tokenRefreshes++;
+        logger.info(`Token refreshed for pooled connection: ${connectionKey}`);
+        return connection;
+      } catch (error) {
+        connection.refreshError = error.message;
+        this.saveConnectionState(connectionKey, connection);
+        this.stats.tokenRefreshFailures++;
+        this.stats.lastRefreshError = {
+          connectionKey,
+          message: error.message,
+          at: new Date()
+        };
+        logger.error(`Token refresh failed for ${connectionKey}: ${error.message}`);
+        throw error;
+      } finally {
+        this.pendingRefreshes.delete(connectionKey);
+      }
+    })();
+
+    this.pendingRefreshes.set(connectionKey, refresh);
+    return refresh;
+  }
+
+  /**
+   * Refresh tokens that will expire within tokenRefreshAhead (capped at the provider's
+   * renewal window), before any caller hits them
+   */
+  refreshExpiringConnections() {
+    for (const [key, connection] of this.connectionPool.entries()) {
+      const refreshAhead = Math.min(
+        this.config.tokenRefreshAhead,
+        this.credentialProvider.getRenewalWindow(connection.credentialType)
+      );
+
+      if (this.isRefreshable(connection) &&
+          this.isTokenExpiring(connection, refreshAhead) &&
+          !this.pendingRefreshes.has(key)) {
+        // Failures are recorded in stats; the connection is dropped once its token expires
+        this.refreshConnection(key).catch(() => null);
+      }
+    }
+  }
+
+  /**
+   * Find least recently used connection that isn't leased
    */
   findOldestConnection() {
     let oldestKey = null;
-    let oldestTime = Date.now();
+    let oldestTime = Infinity;
 
     for (const [key, connection] of this.connectionPool.entries()) {
+      if (connection.activeLeases > 0) {
+        continue;
+      }
+
       const lastUsedTime = connection.lastUsed.getTime();
       if (lastUsedTime < oldestTime) {
         oldestTime = lastUsedTime;
@@ -211,8 +488,8 @@ class XMLAConnectionPoolService {
   /**
    * Invalidate connection (mark for removal)
    */
-  invalidateConnection(userId, tenantId, workspaceId) {
-    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId);
+  invalidateConnection(userId, tenantId, workspaceId, credentialType = 'delegated') {
+    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId, credentialType);
     
     if (this.connectionPool.has(connectionKey)) {
       const connection = this.connectionPool.get(connectionKey);
@@ -221,16 +498,137 @@ class XMLAConnectionPoolService {
     }
   }
 
+  /**
+   * Invalidate every connection matching the filter { tenantId, workspaceId, userId, credentialType }.
+   * Idle connections are removed now, leased ones as soon as their queries finish.
+   * Returns the keys invalidated.
+   */
+  invalidateConnections(filter = {}) {
+    const keys = this.findConnections(filter);
+
+    keys.forEach(key => {
+      const connection = this.connectionPool.get(key);
+      connection.isValid = false;
+      if (connection.activeLeases === 0) {
+        this.deleteConnection(key);
+      }
+    });
+
+    this.stats.activeConnections = this.connectionPool.size;
+    logger.info(`Invalidated ${keys.length} connections`, filter);
+    this.notifySlotWaiters();
+    return keys;
+  }
+
+  /**
+   * Remove every connection matching the filter immediately; queries holding a lease
+   * finish on their connection, but it is never handed out again
+   */
+  evictConnections(filter = {}) {
+    const keys = this.findConnections(filter);
+
+    keys.forEach(key => {
+      this.connectionPool.get(key).isValid = false;
+      this.deleteConnection(key);
+      this.stats.evictionCount++;
+    });
+
+    this.stats.activeConnections = this.connectionPool.size;
+    logger.info(`Evicted ${keys.length} connections`, filter);
+    this.notifySlotWaiters();
+    return keys;
+  }
+
+  /**
+   * Keys of pooled connections matching every given filter field.
+   * userId matches delegated connections only; app-only connections belong to the tenant.
+   */
+  findConnections({ tenantId, workspaceId, userId, credentialType } = {}) {
+    return Array.from(this.connectionPool.entries())
+      .filter(([, connection]) =>
+        (!tenantId || connection.tenantId === tenantId) &&
+        (!workspaceId || connection.workspaceId === workspaceId) &&
+        (!credentialType || connection.credentialType === credentialType) &&
+        (!userId || (connection.credentialType === 'delegated' && connection.userId === userId)))
+      .map(([key]) => key);
+  }
+
+  /**
+   * Stop handing out connections, wait up to timeout for leased connections to be
+   * released, then clear the pool. With reopen (the default) the pool accepts
+   * connections again afterwards; shutdown drains without reopening.
+   */
+  drain({ timeout = this.config.drainTimeout, reopen = true } = {}) {
+    if (this.drainPromise) {
+      return this.drainPromise;
+    }
+
+    const startedAt = Date.now();
+    logger.info(`Draining connection pool (${this.connectionPool.size} connections)`);
+
+    this.drainPromise = (async () => {
+      const deadline = startedAt + timeout;
+
+      while (this.countLeased() > 0 || this.pendingCreations.size > 0) {
+        const remaining = deadline - Date.now();
+        if (remaining <= 0) {
+          break;
+        }
+        await this.waitForSlot(remaining);
+      }
+
+      const abandonedLeases = this.countLeased();
+      const drained = this.connectionPool.size;
+      this.clearPool();
+
+      if (abandonedLeases > 0) {
+        logger.warn(`Pool drain timed out with ${abandonedLeases} connections still leased`);
+      }
+
+      return { drained, abandonedLeases, durationMs: Date.now() - startedAt };
+    })().finally(() => {
+      this.closed = this.closed || !reopen;
+      this.drainPromise = null;
+    });
+
+    return this.drainPromise;
+  }
+
+  countLeased() {
+    return Array.from(this.connectionPool.values()).filter(c => c.activeLeases > 0).length;
+  }
+
+  /**
+   * Graceful shutdown: stop background jobs, then drain the pool for good
+   */
+  async shutdown({ timeout = this.config.drainTimeout } = {}) {
+    this.stopCleanupJob();
+    this.closed = true;
+    const result = await this.drain({ timeout, reopen: false });
+    // The drain removed every connection's record; let those deletes reach the store before it closes
+    await Promise.all(Array.from(this.pendingStateWrites));
+    return result;
+  }
+
+  /**
+   * Remove a connection from the pool map and its record from the state store
+   */
+  deleteConnection(connectionKey) {
+    this.connectionPool.delete(connectionKey);
+    this.deleteConnectionState(connectionKey);
+  }
+
   /**
    * Remove connection from pool
    */
-  removeConnection(userId, tenantId, workspaceId) {
-    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId);
+  removeConnection(userId, tenantId, workspaceId, credentialType = 'delegated') {
+    const connectionKey = this.getConnectionKey(tenantId, workspaceId, userId, credentialType);
     
     if (this.connectionPool.has(connectionKey)) {
-      this.connectionPool.delete(connectionKey);
+      this.deleteConnection(connectionKey);
       this.stats.activeConnections = this.connectionPool.size;
       logger.info(`Connection removed: ${connectionKey}`);
+      this.notifySlotWaiters();
       return true;
     }
     
@@ -251,13 +649,14 @@ class XMLAConnectionPoolService {
     }
 
     keysToRemove.forEach(key => {
-      this.connectionPool.delete(key);
+      this.deleteConnection(key);
       this.stats.expiryCount++;
     });
 
     if (keysToRemove.length > 0) {
       logger.info(`Cleaned up ${keysToRemove.length} expired connections`);
       this.stats.activeConnections = this.connectionPool.size;
+      this.notifySlotWaiters();
     }
   }
 
@@ -269,6 +668,9 @@ class XMLAConnectionPoolService {
       this.cleanupExpiredConnections();
     }, this.config.cleanupInterval);
 
+    // Housekeeping alone shouldn't keep the process alive
+    this.cleanupInterval.unref();
+
     logger.info('XMLA connection pool cleanup job started');
   }
 
@@ -281,27 +683,301 @@ class XMLAConnectionPoolService {
       this.cleanupInterval = null;
       logger.info('XMLA connection pool cleanup job stopped');
     }
+    this.stopRefreshJob();
   }
 
   /**
-   * Get pool statistics
+   * Start background token refresh job
    */
-  getPoolStats() {
+  startRefreshJob() {
+    this.refreshInterval = setInterval(() => {
+      this.refreshExpiringConnections();
+    }, this.config.tokenRefreshInterval);
+    this.refreshInterval.unref();
+
+    logger.info('XMLA connection pool token refresh job started');
+  }
+
+  /**
+   * Stop background token refresh job
+   */
+  stopRefreshJob() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+      logger.info('XMLA connection pool token refresh job stopped');
+    }
+  }
+
+  /**
+   * Get pool statistics; with a tenantId, only that tenant's connections and no global counters
+   */
+  getPoolStats(tenantId = null) {
+    if (tenantId) {
+      const connections = this.describeConnections(key => this.isTenantKey(key, tenantId));
+      const credentials = this.credentialProvider.getStats();
+
+      return {
+        tenantId,
+        currentPoolSize: connections.length,
+        maxPoolSize: this.config.maxPoolSize,
+        leasedConnections: connections.filter(c => c.activeLeases > 0).length,
+        credentials: {
+          ...credentials,
+          servicePrincipals: credentials.servicePrincipals.filter(sp => sp.tenantId === tenantId)
+        },
+        connections
+      };
+    }
+
     return {
       ...this.stats,
       currentPoolSize: this.connectionPool.size,
       maxPoolSize: this.config.maxPoolSize,
-      connections: Array.from(this.connectionPool.keys()).map(key => {
-        const connection = this.connectionPool.get(key);
-        return {
-          key,
-          createdAt: connection.createdAt,
-          lastUsed: connection.lastUsed,
-          usageCount: connection.usageCount,
-          isValid: this.isConnectionValid(connection),
-          tokenExpiresIn: Math.floor((connection.tokenExpiry.getTime() - Date.now()) / 1000) + 's'
-        };
+      leasedConnections: Array.from(this.connectionPool.values()).filter(c => c.activeLeases > 0).length,
+      pendingCreations: this.pendingCreations.size,
+      waitingForSlot: this.slotWaiters.length,
+      pendingRefreshes: this.pendingRefreshes.size,
+      draining: Boolean(this.drainPromise),
+      closed: this.closed,
+      credentials: this.credentialProvider.getStats(),
+      connections: this.describeConnections()
+    };
+  }
+
+  /**
+   * Connection keys start with the tenant ID (see getConnectionKey)
+   */
+  isTenantKey(key, tenantId) {
+    return key.startsWith(`${tenantId}:`);
+  }
+
+  describeConnections(filter = () => true) {
+    return Array.from(this.connectionPool.keys()).filter(filter).map(key => {
+      const connection = this.connectionPool.get(key);
+      return {
+        key,
+        credentialType: connection.credentialType,
+        createdAt: connection.createdAt,
+        lastUsed: connection.lastUsed,
+        usageCount: connection.usageCount,
+        activeLeases: connection.activeLeases,
+        isValid: this.isConnectionValid(connection),
+        tokenExpiresIn: Math.floor((connection.tokenExpiry.getTime() - Date.now()) / 1000) + 's',
+        lastRefreshedAt: connection.lastRefreshedAt || null,
+        refreshing: this.pendingRefreshes.has(key),
+        refreshError: connection.refreshError || null
+      };
+    });
+  }
+
+  /**
+   * Pool gauges and counters sampled at scrape time. Token expiry is reported per
+   * tenant, workspace and credential type (soonest expiry wins), so its series are
+   * bounded by the pool size rather than by the number of users.
+   */
+  collectMetrics() {
+    const stats = this.getPoolStats();
+    const gauge = (name, help, value) => ({ name, type: 'gauge', help, samples: [{ labels: {}, value }] });
+    const counter = (name, help, value) => ({ name, type: 'counter', help, samples: [{ suffix: '_total', labels: {}, value }] });
+
+    const soonestExpiry = new Map();
+    for (const connection of this.connectionPool.values()) {
+      const key = [connection.tenantId, connection.workspaceId, connection.credentialType].join('\u0000');
+      const expiresIn = (connection.tokenExpiry.getTime() - Date.now()) / 1000;
+      if (!soonestExpiry.has(key) || expiresIn < soonestExpiry.get(key).value) {
+        soonestExpiry.set(key, {
+          labels: {
+            tenant: connection.tenantId,
+            workspace: connection.workspaceId,
+            credential_type: connection.credentialType
+          },
+          value: Math.round(expiresIn)
+        });
+      }
+    }
+
+    return [
+      gauge('xmla_pool_connections', 'Connections currently pooled', stats.currentPoolSize),
+      gauge('xmla_pool_max_connections', 'Configured pool size', stats.maxPoolSize),
+      gauge('xmla_pool_leased_connections', 'Pooled connections in use by a query', stats.leasedConnections),
+      gauge('xmla_pool_slot_waiters', 'Callers waiting for a free pool slot', stats.waitingForSlot),
+      counter('xmla_pool_connections_created', 'Connections created', stats.totalConnections),
+      counter('xmla_pool_reuses', 'Requests served by an existing connection', stats.reuseCount),
+      counter('xmla_pool_expirations', 'Connections dropped because they expired or were invalidated', stats.expiryCount),
+      counter('xmla_pool_evictions', 'Connections evicted to make room or by an admin', stats.evictionCount),
+      counter('xmla_pool_errors', 'Failed connection requests', stats.errorCount),
+      counter('xmla_pool_timeouts', 'Requests that timed out waiting for a pool slot', stats.poolTimeouts),
+      {
+        name: 'xmla_pool_token_refreshes',
+        type: 'counter',
+        help: 'Background token refreshes',
+        samples: [
+          { suffix: '_total', labels: { result: 'success' }, value: stats.tokenRefreshes },
+          { suffix: '_total', labels: { result: 'failure' }, value: stats.tokenRefreshFailures }
+        ]
+      },
+      {
+        name: 'xmla_pool_token_expiry_seconds',
+        type: 'gauge',
+        help: 'Seconds until the soonest pooled token expires',
+        samples: Array.from(soonestExpiry.values())
+      }
+    ];
+  }
+
+  /**
+   * Pool state published to the cluster: counters and per-connection usage, which changes on
+   * every lease (connection metadata and token state are kept in the store, see saveConnectionState)
+   */
+  getSnapshot() {
+    const { credentials, connections, ...counters } = this.getPoolStats();
+
+    return {
+      ...counters,
+      connections: Array.from(this.connectionPool.entries()).map(([key, connection]) => ({
+        key,
+        lastUsed: connection.lastUsed,
+        usageCount: connection.usageCount,
+        activeLeases: connection.activeLeases
+      }))
+    };
+  }
+
+  /**
+   * Store field of a connection's record: connection keys are only unique within a node
+   */
+  getStateField(connectionKey) {
+    return `${this.clusterStats.config.nodeId}/${connectionKey}`;
+  }
+
+  /**
+   * Write a connection's metadata and token state (never the token) to the state store.
+   * Store failures are logged, not thrown: the pool works on without the store.
+   */
+  saveConnectionState(connectionKey, connection) {
+    const record = {
+      nodeId: this.clusterStats.config.nodeId,
+      key: connectionKey,
+      credentialType: connection.credentialType,
+      principal: connection.principal,
+      createdAt: connection.createdAt,
+      tokenExpiry: connection.tokenExpiry,
+      lastRefreshedAt: connection.lastRefreshedAt || null,
+      refreshError: connection.refreshError || null
+    };
+
+    return this.trackStateWrite(() =>
+      this.store.hset('pool:connections', this.getStateField(connectionKey), JSON.stringify(record)));
+  }
+
+  deleteConnectionState(...connectionKeys) {
+    if (connectionKeys.length === 0) {
+      return Promise.resolve();
+    }
+    return this.trackStateWrite(() =>
+      this.store.hdel('pool:connections', ...connectionKeys.map(key => this.getStateField(key))));
+  }
+
+  trackStateWrite(write) {
+    const pending = Promise.resolve()
+      .then(write)
+      .catch(error => {
+        logger.warn(`Failed to update pool state in state store: ${error.message}`);
       })
+      .finally(() => this.pendingStateWrites.delete(pending));
+
+    this.pendingStateWrites.add(pending);
+    return pending;
+  }
+
+  /**
+   * Connection records of every live node, with each node's published usage merged in.
+   * Records left behind by nodes that stopped publishing are dropped.
+   */
+  async getClusterConnections(nodes) {
+    const records = await this.store.hgetall('pool:connections');
+    const usage = new Map(nodes.map(({ nodeId, stats }) => [
+      nodeId,
+      new Map(stats.connections.map(connection => [connection.key, connection]))
+    ]));
+    const connections = [];
+    const stale = [];
+
+    Object.entries(records || {}).forEach(([field, value]) => {
+      try {
+        const record = JSON.parse(value);
+        if (usage.has(record.nodeId)) {
+          const { key, ...used } = usage.get(record.nodeId).get(record.key) || {};
+          connections.push({ ...record, ...used });
+        } else {
+          stale.push(field);
+        }
+      } catch (error) {
+        stale.push(field);
+      }
+    });
+
+    if (stale.length > 0) {
+      await this.store.hdel('pool:connections', ...stale);
+    }
+
+    return connections.sort((a, b) => a.nodeId.localeCompare(b.nodeId) || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Pool statistics combined across every node sharing the state store;
+   * with a tenantId, only that tenant's connections
+   */
+  async getClusterStats(tenantId = null) {
+    const nodes = await this.clusterStats.getNodeSnapshots('pool');
+    const now = Date.now();
+    const connections = (await this.getClusterConnections(nodes))
+      .filter(connection => !tenantId || this.isTenantKey(connection.key, tenantId))
+      .map(connection => ({
+        ...connection,
+        tokenExpiresIn: Math.floor((new Date(connection.tokenExpiry).getTime() - now) / 1000) + 's'
+      }));
+
+    if (tenantId) {
+      return {
+        nodeCount: nodes.length,
+        tenantId,
+        currentPoolSize: connections.length,
+        leasedConnections: connections.filter(c => c.activeLeases > 0).length,
+        connections
+      };
+    }
+
+    return {
+      nodeCount: nodes.length,
+      ...this.clusterStats.sum(nodes, [
+        'totalConnections',
+        'activeConnections',
+        'reuseCount',
+        'expiryCount',
+        'errorCount',
+        'sharedCreations',
+        'evictionCount',
+        'poolWaits',
+        'poolTimeouts',
+        'tokenRefreshes',
+        'tokenRefreshFailures',
+        'currentPoolSize',
+        'maxPoolSize',
+        'leasedConnections',
+        'pendingCreations',
+        'waitingForSlot',
+        'pendingRefreshes'
+      ]),
+      nodes: nodes.map(({ nodeId, publishedAt, stats }) => ({
+        nodeId,
+        publishedAt: new Date(publishedAt),
+        currentPoolSize: stats.currentPoolSize,
+        maxPoolSize: stats.maxPoolSize,
+        lastRefreshError: stats.lastRefreshError
+      })),
+      connections
     };
   }
 
@@ -310,21 +986,25 @@ class XMLAConnectionPoolService {
    */
   clearPool() {
     const size = this.connectionPool.size;
+    this.deleteConnectionState(...this.connectionPool.keys());
     this.connectionPool.clear();
     this.stats.activeConnections = 0;
     logger.info(`Cleared ${size} connections from pool`);
+    this.notifySlotWaiters();
   }
 
   /**
    * Test connection health
    */
-  async testConnection(userId, tenantId, workspaceId) {
+  async testConnection(userId, tenantId, workspaceId, credentialType = 'delegated') {
     try {
-      const connection = await this.getConnection(userId, tenantId, workspaceId);
+      const connection = await this.getConnection(userId, tenantId, workspaceId, { credentialType });
+      this.releaseConnection(connection);
       
       return {
         success: true,
-        connectionKey: this.getConnectionKey(tenantId, workspaceId, userId),
+        connectionKey: this.getConnectionKey(tenantId, workspaceId, userId, credentialType),
+        credentialType,
         endpoint: connection.endpoint,
         tokenExpiresIn: Math.floor((connection.tokenExpiry.getTime() - Date.now()) / 1000),
         usageCount: connection.usageCount,
@@ -0,0 +1,322 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const OAuthTokenModel = require('../models/oauth-token.model');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Credential Providers
+ * Supplies access tokens for XMLA connections: per-user delegated OAuth tokens, or
+ * app-only service principal tokens (client secret or certificate) configured per tenant
+ * Day 16: XMLA Connection Manager - Authentication Modes
+ */
+
+const CredentialType = {
+  DELEGATED: 'delegated',
+  SERVICE_PRINCIPAL: 'service-principal'
+};
+
+const POWERBI_SCOPE = 'https://analysis.windows.net/powerbi/api/.default';
+const AUTHORITY = process.env.AZURE_AUTHORITY_HOST || 'https://login.microsoftonline.com';
+
+// Renew app-only tokens this long before they expire
+const APP_TOKEN_EXPIRY_BUFFER = 5 * 60 * 1000;
+
+// How close to expiry the OAuth token model renews a stored Power BI token; must match its setting
+const DELEGATED_TOKEN_RENEWAL_WINDOW = parseInt(process.env.POWERBI_TOKEN_RENEWAL_WINDOW || String(5 * 60 * 1000));
+
+/**
+ * Per-user token stored by the Power BI OAuth flow
+ */
+class DelegatedCredentialProvider {
+  constructor() {
+    // Refreshing earlier than this only re-reads the token the connection already has
+    this.renewalWindow = DELEGATED_TOKEN_RENEWAL_WINDOW;
+  }
+
+  async getToken({ userId }) {
+    const tokenData = await OAuthTokenModel.getValidToken(userId, 'powerbi');
+
+    if (!tokenData) {
+      throw new Error('No valid Power BI token found. Please reconnect your Power BI account.');
+    }
+
+    return this.toToken(tokenData, userId);
+  }
+
+  /**
+   * getValidToken renews the stored token with its refresh token once it is within
+   * renewalWindow of expiry, so refreshing is re-reading it; before that window it
+   * returns the same token
+   */
+  async refreshToken({ userId }) {
+    return this.getToken({ userId });
+  }
+
+  getPrincipal({ userId }) {
+    return userId;
+  }
+
+  toToken(tokenData, userId) {
+    return {
+      accessToken: tokenData.access_token,
+      expiresAt: new Date(tokenData.expires_at),
+      principal: userId
+    };
+  }
+}
+
+/**
+ * App-only token from the client credentials flow, using the tenant's service principal
+ */
+class ServicePrincipalCredentialProvider {
+  constructor(getConfig) {
+    this.getConfig = getConfig;
+
+    // tenantId -> cached token, and in-flight token requests
+    this.tokens = new Map();
+    this.pendingTokens = new Map();
+  }
+
+  async getToken({ tenantId }) {
+    const cached = this.tokens.get(tenantId);
+    if (cached && cached.expiresAt.getTime() - Date.now() > APP_TOKEN_EXPIRY_BUFFER) {
+      return cached;
+    }
+
+    return this.refreshToken({ tenantId });
+  }
+
+  refreshToken({ tenantId }) {
+    if (this.pendingTokens.has(tenantId)) {
+      return this.pendingTokens.get(tenantId);
+    }
+
+    const request = this.requestToken(tenantId)
+      .then(token => {
+        this.tokens.set(tenantId, token);
+        return token;
+      })
+      .finally(() => {
+        this.pendingTokens.delete(tenantId);
+      });
+
+    this.pendingTokens.set(tenantId, request);
+    return request;
+  }
+
+  getPrincipal({ tenantId }) {
+    return this.getConfig(tenantId).clientId;
+  }
+
+  async requestToken(tenantId) {
+    const config = this.getConfig(tenantId);
+    const tokenUrl = `${AUTHORITY}/${config.aadTenantId}/oauth2/v2.0/token`;
+
+    const params = new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_id: config.clientId,
+      scope: POWERBI_SCOPE
+    });
+
+    if (config.clientSecret) {
+      params.set('client_secret', config.clientSecret);
+    } else {
+      params.set('client_assertion_type', 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer');
+      params.set('client_assertion', this.buildClientAssertion(config, tokenUrl));
+    }
+
+    logger.info(`Requesting service principal token for tenant ${tenantId} (client ${config.clientId})`);
+
+    const response = await fetch(tokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: params
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Service principal authentication failed: ${body.error_description || body.error || response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      accessToken: body.access_token,
+      expiresAt: new Date(Date.now() + body.expires_in * 1000),
+      principal: config.clientId
+    };
+  }
+
+  /**
+   * Signed JWT proving possession of the certificate's private key
+   */
+  buildClientAssertion(config, audience) {
+    const certificate = fs.readFileSync(config.certificatePath, 'utf8');
+    const privateKey = config.privateKeyPath
+      ? fs.readFileSync(config.privateKeyPath, 'utf8')
+      : certificate;
+
+    const thumbprint = new crypto.X509Certificate(certificate).fingerprint.replace(/:/g, '');
+    const now = Math.floor(Date.now() / 1000);
+
+    const header = { alg: 'RS256', typ: 'JWT', x5t: Buffer.from(thumbprint, 'hex').toString('base64url') };
+    const payload = {
+      aud: audience,
+      iss: config.clientId,
+      sub: config.clientId,
+      jti: crypto.randomUUID(),
+      nbf: now,
+      exp: now + 10 * 60
+    };
+
+    const unsigned = [header, payload]
+      .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+
+    return `${unsigned}.${signature}`;
+  }
+}
+
+class XMLACredentialProviderService {
+  constructor() {
+    // Per-tenant service principals, e.g.
+    // XMLA_SERVICE_PRINCIPALS='{"<tenantId>": {"aadTenantId": "...", "clientId": "...", "clientSecret": "..."}}'
+    // Use "certificatePath" (and optionally "privateKeyPath") instead of "clientSecret" for certificate auth.
+    // "allowAllUsers": true lets non-admin users of the tenant run queries as the service principal.
+    this.servicePrincipals = new Map();
+    Object.entries(this.parseServicePrincipals(process.env.XMLA_SERVICE_PRINCIPALS))
+      .forEach(([tenantId, config]) => this.registerServicePrincipal(tenantId, config));
+
+    this.providers = new Map();
+    this.registerProvider(CredentialType.DELEGATED, new DelegatedCredentialProvider());
+    this.registerProvider(
+      CredentialType.SERVICE_PRINCIPAL,
+      new ServicePrincipalCredentialProvider(tenantId => this.getServicePrincipal(tenantId))
+    );
+
+    this.CredentialType = CredentialType;
+
+    logger.info('XMLA credential providers initialized', {
+      providers: Array.from(this.providers.keys()),
+      servicePrincipalTenants: this.servicePrincipals.size
+    });
+  }
+
+  parseServicePrincipals(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Invalid XMLA_SERVICE_PRINCIPALS, ignoring: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Add a credential provider; it must implement getToken, refreshToken and getPrincipal.
+   * A provider that can only renew close to expiry sets renewalWindow (ms).
+   */
+  registerProvider(type, provider) {
+    this.providers.set(type, provider);
+  }
+
+  /**
+   * Configure (or replace) a tenant's service principal
+   */
+  registerServicePrincipal(tenantId, config) {
+    if (!config || !config.aadTenantId || !config.clientId || !(config.clientSecret || config.certificatePath)) {
+      logger.warn(`Service principal for tenant ${tenantId} needs aadTenantId, clientId and clientSecret or certificatePath; ignoring`);
+      return false;
+    }
+
+    this.servicePrincipals.set(tenantId, config);
+    logger.info(`Service principal configured for tenant ${tenantId} (${config.clientSecret ? 'secret' : 'certificate'})`);
+    return true;
+  }
+
+  getServicePrincipal(tenantId) {
+    const config = this.servicePrincipals.get(tenantId);
+
+    if (!config) {
+      const error = new Error('No service principal is configured for this tenant');
+      error.code = 'XMLA_CREDENTIALS_NOT_CONFIGURED';
+      throw error;
+    }
+
+    return config;
+  }
+
+  getProvider(type) {
+    const provider = this.providers.get(type);
+
+    if (!provider) {
+      const error = new Error(`Unknown credential type: ${type}`);
+      error.code = 'XMLA_CREDENTIALS_NOT_CONFIGURED';
+      throw error;
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get an access token; context is { userId, tenantId }
+   */
+  getToken(type, context) {
+    return this.getProvider(type).getToken(context);
+  }
+
+  refreshToken(type, context) {
+    return this.getProvider(type).refreshToken(context);
+  }
+
+  /**
+   * How long before expiry refreshToken can return a new token (Infinity: any time)
+   */
+  getRenewalWindow(type) {
+    return this.getProvider(type).renewalWindow ?? Infinity;
+  }
+
+  /**
+   * Identity the token acts as: the user for delegated tokens, the client ID for app-only ones
+   */
+  getPrincipal(type, context) {
+    return this.getProvider(type).getPrincipal(context);
+  }
+
+  /**
+   * Whether a user may run queries with the given credential type
+   */
+  isAllowed(type, tenantId, user) {
+    if (type === CredentialType.DELEGATED) {
+      return true;
+    }
+
+    if (type === CredentialType.SERVICE_PRINCIPAL) {
+      const config = this.servicePrincipals.get(tenantId);
+      return Boolean(config) && (user?.role === 'admin' || config.allowAllUsers === true);
+    }
+
+    return this.providers.has(type) && user?.role === 'admin';
+  }
+
+  /**
+   * Get credential provider statistics (no secrets)
+   */
+  getStats() {
+    return {
+      providers: Array.from(this.providers.keys()),
+      servicePrincipals: Array.from(this.servicePrincipals.entries()).map(([tenantId, config]) => ({
+        tenantId,
+        clientId: config.clientId,
+        authMethod: config.clientSecret ? 'secret' : 'certificate',
+        allowAllUsers: config.allowAllUsers === true
+      }))
+    };
+  }
+}
+
+module.exports = new XMLACredentialProviderService();
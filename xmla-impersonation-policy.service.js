@@ -0,0 +1,132 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Impersonation Policy
+ * Decides per tenant who may run queries as another user's RLS identity
+ * and which identities they may assume
+ * Day 16: Row-Level Security - Impersonation
+ */
+
+// Applied to tenants without a configured policy: admins only, any identity
+const DEFAULT_POLICY = {
+  allowedRoles: ['admin'],
+  allowedUserIds: [],
+  effectiveUserPatterns: ['*']
+};
+
+class XMLAImpersonationPolicyService {
+  constructor() {
+    // Per-tenant policies, e.g.
+    // XMLA_IMPERSONATION_POLICIES='{"<tenantId>": {"allowedRoles": ["admin", "embed"], "effectiveUserPatterns": ["*@customer.com"]}}'
+    // Set "enabled": false to forbid impersonation for a tenant entirely.
+    this.policies = new Map();
+    Object.entries(this.parsePolicies(process.env.XMLA_IMPERSONATION_POLICIES))
+      .forEach(([tenantId, policy]) => this.registerPolicy(tenantId, policy));
+
+    this.stats = {
+      granted: 0,
+      denied: 0
+    };
+  }
+
+  parsePolicies(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Invalid XMLA_IMPERSONATION_POLICIES, ignoring: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Configure (or replace) a tenant's impersonation policy
+   */
+  registerPolicy(tenantId, policy) {
+    this.policies.set(tenantId, { ...DEFAULT_POLICY, ...policy });
+    logger.info(`Impersonation policy configured for tenant ${tenantId}`);
+  }
+
+  getPolicy(tenantId) {
+    return this.policies.get(tenantId) || DEFAULT_POLICY;
+  }
+
+  /**
+   * Trim the username so equivalent requests share cache entries
+   */
+  normalize(impersonation) {
+    if (!impersonation || !impersonation.effectiveUserName) {
+      return null;
+    }
+
+    return {
+      effectiveUserName: impersonation.effectiveUserName.trim()
+    };
+  }
+
+  /**
+   * Check whether a user may run queries as the requested identity
+   * Returns { allowed, reason }
+   */
+  authorize(tenantId, user, impersonation) {
+    const policy = this.getPolicy(tenantId);
+    const result = this.evaluate(policy, user, impersonation);
+
+    if (result.allowed) {
+      this.stats.granted++;
+    } else {
+      this.stats.denied++;
+      logger.warn('Impersonation denied', {
+        tenantId,
+        userId: user?.userId,
+        effectiveUserName: impersonation.effectiveUserName,
+        reason: result.reason
+      });
+    }
+
+    return result;
+  }
+
+  evaluate(policy, user, impersonation) {
+    if (policy.enabled === false) {
+      return { allowed: false, reason: 'Impersonation is disabled for this tenant' };
+    }
+
+    const callerAllowed = policy.allowedRoles.includes(user?.role) ||
+      policy.allowedUserIds.includes(user?.userId);
+    if (!callerAllowed) {
+      return { allowed: false, reason: 'User is not permitted to impersonate' };
+    }
+
+    const name = impersonation.effectiveUserName.toLowerCase();
+    if (!policy.effectiveUserPatterns.some(pattern => this.matchPattern(pattern, name))) {
+      return { allowed: false, reason: `Effective user ${impersonation.effectiveUserName} is outside the tenant's allowed identities` };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Case-insensitive match where "*" matches any run of characters
+   */
+  matchPattern(pattern, value) {
+    const regex = new RegExp('^' + pattern
+      .toLowerCase()
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*') + '$');
+    return regex.test(value);
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      configuredTenants: this.policies.size
+    };
+  }
+}
+
+module.exports = new XMLAImpersonationPolicyService();
@@ -0,0 +1,135 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Latency Tracker
+ * Keeps recent query durations per dataset and reports p50/p90/p99 over sliding
+ * time windows, so slow outliers aren't averaged away
+ * Day 16: Query Performance - Latency Percentiles
+ */
+class XMLALatencyTrackerService {
+  constructor() {
+    this.config = {
+      // Sliding windows in ms, e.g. 1, 5 and 15 minutes
+      windows: (process.env.XMLA_LATENCY_WINDOWS || '60000,300000,900000')
+        .split(',')
+        .map(value => parseInt(value.trim()))
+        .filter(value => value > 0)
+        .sort((a, b) => a - b),
+      // Samples kept per dataset; the oldest are dropped first
+      maxSamplesPerDataset: parseInt(process.env.XMLA_LATENCY_MAX_SAMPLES || '2000'),
+      // Datasets tracked; the least recently queried is dropped first
+      maxDatasets: parseInt(process.env.XMLA_LATENCY_MAX_DATASETS || '500')
+    };
+
+    // '<tenantId>:<datasetId>' -> { tenantId, datasetId, samples: [{ at, durationMs }] }
+    // Samples are oldest first; the map is least recently used first
+    this.datasets = new Map();
+
+    logger.info('XMLA latency tracker initialized', this.config);
+  }
+
+  record(tenantId, datasetId, durationMs) {
+    const now = Date.now();
+    const key = `${tenantId}:${datasetId}`;
+    const entry = this.datasets.get(key) || { tenantId, datasetId, samples: [] };
+
+    // Re-insert to keep the map in least-recently-used order
+    this.datasets.delete(key);
+    this.datasets.set(key, entry);
+
+    entry.samples.push({ at: now, durationMs });
+    this.prune(entry, now);
+
+    if (this.datasets.size > this.config.maxDatasets) {
+      this.datasets.delete(this.datasets.keys().next().value);
+    }
+  }
+
+  prune(entry, now) {
+    const horizon = now - this.config.windows[this.config.windows.length - 1];
+    let drop = Math.max(entry.samples.length - this.config.maxSamplesPerDataset, 0);
+
+    while (drop < entry.samples.length && entry.samples[drop].at < horizon) {
+      drop++;
+    }
+
+    if (drop > 0) {
+      entry.samples.splice(0, drop);
+    }
+  }
+
+  /**
+   * Percentiles for one dataset, keyed by window ('1m', '5m', ...)
+   */
+  getPercentiles(tenantId, datasetId) {
+    const entry = this.datasets.get(`${tenantId}:${datasetId}`);
+    if (!entry) {
+      return null;
+    }
+
+    return this.computePercentiles(entry);
+  }
+
+  computePercentiles(entry) {
+    const now = Date.now();
+    this.prune(entry, now);
+
+    return Object.fromEntries(this.config.windows.map(windowMs => {
+      const durations = entry.samples
+        .filter(sample => sample.at >= now - windowMs)
+        .map(sample => sample.durationMs)
+        .sort((a, b) => a - b);
+
+      return [this.formatWindow(windowMs), {
+        count: durations.length,
+        p50: this.percentile(durations, 50),
+        p90: this.percentile(durations, 90),
+        p99: this.percentile(durations, 99),
+        max: durations.length > 0 ? durations[durations.length - 1] : null
+      }];
+    }));
+  }
+
+  /**
+   * Nearest-rank percentile of sorted values
+   */
+  percentile(sorted, p) {
+    if (sorted.length === 0) {
+      return null;
+    }
+    return sorted[Math.max(Math.ceil((p / 100) * sorted.length) - 1, 0)];
+  }
+
+  formatWindow(windowMs) {
+    if (windowMs % 3600000 === 0) {
+      return `${windowMs / 3600000}h`;
+    }
+    if (windowMs % 60000 === 0) {
+      return `${windowMs / 60000}m`;
+    }
+    return `${Math.round(windowMs / 1000)}s`;
+  }
+
+  /**
+   * Percentiles per dataset, optionally only a tenant's datasets
+   */
+  getStats(tenantId = null) {
+    return {
+      windows: this.config.windows.map(windowMs => this.formatWindow(windowMs)),
+      datasets: Array.from(this.datasets.values())
+        .filter(entry => !tenantId || entry.tenantId === tenantId)
+        .map(entry => ({
+          datasetId: entry.datasetId,
+          tenantId: entry.tenantId,
+          percentiles: this.computePercentiles(entry)
+        }))
+        .filter(dataset => Object.values(dataset.percentiles).some(window => window.count > 0))
+    };
+  }
+
+  reset() {
+    this.datasets.clear();
+  }
+}
+
+module.exports = new XMLALatencyTrackerService();
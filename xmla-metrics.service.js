@@ -0,0 +1,231 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Metrics
+ * Query, retry and pool metrics in OpenMetrics text format for Prometheus scraping
+ * Day 16: Observability - Metrics Export
+ */
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Label value used once a metric reaches its series limit
+const OVERFLOW_LABEL = '__overflow__';
+
+// Query latency buckets in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/**
+ * One metric and its labelled series. New label combinations beyond maxSeries
+ * are folded into a single overflow series so tenant/workspace labels can't grow unbounded.
+ */
+class MetricFamily {
+  constructor({ name, type, help, labelNames, maxSeries, buckets, onOverflow }) {
+    this.name = name;
+    this.type = type;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.maxSeries = maxSeries;
+    this.buckets = buckets;
+    this.onOverflow = onOverflow;
+    this.series = new Map();
+  }
+
+  getSeries(labels) {
+    let values = this.labelNames.map(label => String(labels[label] ?? ''));
+    let key = values.join('\u0000');
+
+    if (!this.series.has(key) && this.series.size >= this.maxSeries) {
+      values = this.labelNames.map(() => OVERFLOW_LABEL);
+      key = values.join('\u0000');
+      this.onOverflow(this.name);
+    }
+
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        labels: Object.fromEntries(this.labelNames.map((label, i) => [label, values[i]])),
+        value: 0,
+        sum: 0,
+        bucketCounts: this.buckets ? this.buckets.map(() => 0) : null
+      });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    series.value++;
+    series.sum += value;
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.bucketCounts[i]++;
+      }
+    });
+  }
+
+  /**
+   * Samples in the shape collectors return: [{ suffix, labels, value }]
+   */
+  getSamples() {
+    return Array.from(this.series.values()).flatMap(series => {
+      if (this.type === 'counter') {
+        return [{ suffix: '_total', labels: series.labels, value: series.value }];
+      }
+
+      return [
+        ...this.buckets.map((bound, i) => ({
+          suffix: '_bucket',
+          labels: { ...series.labels, le: String(bound) },
+          value: series.bucketCounts[i]
+        })),
+        { suffix: '_bucket', labels: { ...series.labels, le: '+Inf' }, value: series.value },
+        { suffix: '_sum', labels: series.labels, value: series.sum },
+        { suffix: '_count', labels: series.labels, value: series.value }
+      ];
+    });
+  }
+}
+
+class XMLAMetricsService {
+  constructor() {
+    this.config = {
+      // Distinct label combinations kept per metric before folding into the overflow series
+      maxSeries: parseInt(process.env.XMLA_METRICS_MAX_SERIES || '500')
+    };
+
+    this.contentType = CONTENT_TYPE;
+    this.overflows = 0;
+
+    const family = options => new MetricFamily({
+      maxSeries: this.config.maxSeries,
+      onOverflow: name => this.recordOverflow(name),
+      ...options
+    });
+
+    this.queries = family({
+      name: 'xmla_queries',
+      type: 'counter',
+      help: 'DAX queries executed, by outcome',
+      labelNames: ['tenant', 'workspace', 'status']
+    });
+    this.queryDuration = family({
+      name: 'xmla_query_duration_seconds',
+      type: 'histogram',
+      help: 'DAX query latency including retries and queueing',
+      labelNames: ['tenant', 'workspace'],
+      buckets: DURATION_BUCKETS
+    });
+    this.retries = family({
+      name: 'xmla_query_retries',
+      type: 'counter',
+      help: 'DAX query retry attempts, by the reason of the failed attempt',
+      labelNames: ['tenant', 'workspace', 'reason']
+    });
+    this.failures = family({
+      name: 'xmla_query_failures',
+      type: 'counter',
+      help: 'Failed DAX queries, by failure reason',
+      labelNames: ['tenant', 'workspace', 'reason']
+    });
+    this.families = [this.queries, this.queryDuration, this.retries, this.failures];
+
+    // Functions returning metric families sampled at scrape time, e.g. pool gauges
+    this.collectors = [];
+  }
+
+  /**
+   * Record a finished query; status is success, cache_hit, failed or cancelled
+   */
+  observeQuery({ tenantId, workspaceId, status, durationMs, reason }) {
+    const labels = { tenant: tenantId, workspace: workspaceId };
+
+    this.queries.inc({ ...labels, status });
+    this.queryDuration.observe(labels, durationMs / 1000);
+
+    if (status === 'failed' || status === 'cancelled') {
+      this.failures.inc({ ...labels, reason });
+    }
+  }
+
+  recordRetry({ tenantId, workspaceId, reason }) {
+    this.retries.inc({ tenant: tenantId, workspace: workspaceId, reason });
+  }
+
+  recordOverflow(name) {
+    if (this.overflows === 0) {
+      logger.warn(`Metric ${name} reached ${this.config.maxSeries} series; further label combinations are folded into "${OVERFLOW_LABEL}"`);
+    }
+    this.overflows++;
+  }
+
+  /**
+   * Add a scrape-time collector returning [{ name, type, help, samples: [{ suffix?, labels, value }] }].
+   * Collectors are responsible for keeping their own label cardinality bounded.
+   */
+  registerCollector(collect) {
+    this.collectors.push(collect);
+  }
+
+  /**
+   * Render all metrics in OpenMetrics text format
+   */
+  render() {
+    const families = [
+      ...this.families.map(family => ({
+        name: family.name,
+        type: family.type,
+        help: family.help,
+        samples: family.getSamples()
+      })),
+      ...this.collectors.flatMap(collect => {
+        try {
+          return collect();
+        } catch (error) {
+          logger.error(`Metrics collector failed: ${error.message}`);
+          return [];
+        }
+      }),
+      {
+        name: 'xmla_metrics_series_overflow',
+        type: 'counter',
+        help: 'Samples folded into the overflow series by the cardinality guard',
+        samples: [{ suffix: '_total', labels: {}, value: this.overflows }]
+      }
+    ];
+
+    const lines = families.flatMap(family => [
+      `# TYPE ${family.name} ${family.type}`,
+      `# HELP ${family.name} ${family.help}`,
+      ...family.samples.map(sample =>
+        `${family.name}${sample.suffix || ''}${this.formatLabels(sample.labels)} ${this.formatValue(sample.value)}`)
+    ]);
+
+    return lines.join('\n') + '\n# EOF\n';
+  }
+
+  formatLabels(labels = {}) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+      return '';
+    }
+
+    const escaped = entries.map(([name, value]) =>
+      `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${escaped.join(',')}}`;
+  }
+
+  formatValue(value) {
+    if (value === Infinity) {
+      return '+Inf';
+    }
+    if (value === -Infinity) {
+      return '-Inf';
+    }
+    return Number.isFinite(value) ? String(value) : 'NaN';
+  }
+}
+
+module.exports = new XMLAMetricsService();
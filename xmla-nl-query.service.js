@@ -0,0 +1,231 @@
+const DAXSemanticValidatorService = require('./dax-semantic-validator.service');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Natural Language Queries
+ * Answers questions about a dataset by prompting a model provider with the dataset's
+ * semantic context and validating the DAX it writes against the parser and schema.
+ * Providers are pluggable: "openai-compatible" calls a chat completions endpoint,
+ * "stub" answers locally and deterministically for tests.
+ * Day 16: Query Builder - Natural Language to DAX
+ */
+
+const SYSTEM_PROMPT = `You write DAX queries for a Power BI dataset.
+Answer the user's question with one DAX query that starts with EVALUATE (optionally preceded by DEFINE).
+Only use the tables, columns and measures listed in the dataset description. Prefer existing measures over
+aggregating columns yourself, and limit large results with TOPN.
+Reply with JSON only: {"dax": "<query>", "explanation": "<one or two sentences on what the query returns>"}`;
+
+/**
+ * Chat completions API (OpenAI or any compatible server)
+ */
+class ChatCompletionsProvider {
+  constructor({ endpoint, apiKey, model, timeout }) {
+    this.name = 'openai-compatible';
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async generate({ messages, signal }) {
+    const timeout = AbortSignal.timeout(this.timeout);
+    const response = await fetch(`${this.endpoint}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model: this.model, messages, temperature: 0 }),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(`Model provider returned ${response.status}: ${body.error?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return { text: body.choices?.[0]?.message?.content || '', model: body.model || this.model };
+  }
+}
+
+/**
+ * Local provider for tests: pairs the measure and column whose names share the most
+ * words with the question. Never calls out, always answers the same way.
+ */
+class StubModelProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  async generate({ question, context }) {
+    const words = new Set(question.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+    const score = name => name.toLowerCase().split(/[^a-z0-9]+/).filter(word => words.has(word)).length;
+    const best = candidates => candidates.reduce((top, candidate) => (
+      !top || candidate.score > top.score ? candidate : top
+    ), null);
+
+    const glossary = context.glossary || { tables: {}, measures: {} };
+    const measure = best(Object.keys(glossary.measures).map(name => ({ name, score: score(name) })));
+    const column = best(Object.entries(glossary.tables).flatMap(([table, { columns }]) =>
+      columns.filter(c => !c.isHidden).map(c => ({ table, name: c.name, score: score(`${table} ${c.name}`) }))));
+
+    const quote = table => `'${table.replace(/'/g, '\'\'')}'`;
+    const bracket = name => `[${name.replace(/]/g, ']]')}]`;
+    let dax;
+    let explanation;
+
+    if (measure && column?.score > 0) {
+      dax = `EVALUATE\n  SUMMARIZECOLUMNS(${quote(column.table)}${bracket(column.name)}, "${measure.name.replace(/"/g, '""')}", ${bracket(measure.name)})`;
+      explanation = `${measure.name} by ${column.table} ${column.name}.`;
+    } else if (measure) {
+      dax = `EVALUATE\n  ROW("${measure.name.replace(/"/g, '""')}", ${bracket(measure.name)})`;
+      explanation = `The total of ${measure.name}.`;
+    } else {
+      const table = Object.keys(glossary.tables)[0];
+      dax = table ? `EVALUATE\n  TOPN(10, ${quote(table)})` : 'EVALUATE\n  ROW("Answer", BLANK())';
+      explanation = table ? `The first 10 rows of ${table}.` : 'The dataset has no tables to query.';
+    }
+
+    return { text: JSON.stringify({ dax, explanation }), model: 'stub' };
+  }
+}
+
+class XMLANaturalLanguageQueryService {
+  constructor() {
+    this.semanticValidator = DAXSemanticValidatorService;
+
+    this.config = {
+      provider: process.env.XMLA_NL_PROVIDER || (process.env.XMLA_NL_ENDPOINT ? 'openai-compatible' : null),
+      endpoint: process.env.XMLA_NL_ENDPOINT,
+      apiKey: process.env.XMLA_NL_API_KEY,
+      model: process.env.XMLA_NL_MODEL || 'gpt-4o-mini',
+      timeout: parseInt(process.env.XMLA_NL_TIMEOUT || '30000'),
+      // Attempts per question; later attempts get the validation errors of the previous one
+      maxAttempts: parseInt(process.env.XMLA_NL_MAX_ATTEMPTS || '2')
+    };
+
+    this.providers = new Map();
+    this.registerProvider(new StubModelProvider());
+    if (this.config.endpoint) {
+      this.registerProvider(new ChatCompletionsProvider(this.config));
+    }
+  }
+
+  /**
+   * Add (or replace) a model provider: { name, generate({ messages, question, context, signal }) -> { text, model } }
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider() {
+    const provider = this.providers.get(this.config.provider);
+    if (!provider) {
+      const error = new Error(this.config.provider
+        ? `Model provider "${this.config.provider}" is not available`
+        : 'No model provider configured; set XMLA_NL_PROVIDER or XMLA_NL_ENDPOINT');
+      error.code = 'XMLA_NL_UNAVAILABLE';
+      throw error;
+    }
+    return provider;
+  }
+
+  /**
+   * Prompt messages for a question, from the dataset's semantic context (see generateSemanticContext)
+   */
+  buildMessages(question, context) {
+    return [
+      { role: 'system', content: `${SYSTEM_PROMPT}\n\n${context.textContext}` },
+      { role: 'user', content: question }
+    ];
+  }
+
+  /**
+   * Pull { dax, explanation } out of a model reply: JSON (possibly fenced), else a ```dax block
+   */
+  parseReply(text) {
+    const fenced = /```(?:json)?\s*(\{[\s\S]*?\})\s*```/i.exec(text);
+    const json = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+
+    try {
+      const parsed = JSON.parse(json);
+      if (typeof parsed.dax === 'string' && parsed.dax.trim()) {
+        return { dax: parsed.dax.trim(), explanation: String(parsed.explanation || '').trim() };
+      }
+    } catch (error) {
+      // Not JSON; try a DAX code block
+    }
+
+    const daxBlock = /```dax\s*([\s\S]*?)```/i.exec(text);
+    if (daxBlock) {
+      return { dax: daxBlock[1].trim(), explanation: text.replace(daxBlock[0], '').trim() };
+    }
+    return null;
+  }
+
+  /**
+   * Syntax and schema checks of a generated query (including the parser's length limit).
+   * Returns { isValid, errors, diagnostics }.
+   */
+  validate(dax, metadata) {
+    const { isValid, errors, diagnostics } = this.semanticValidator.validate(dax, metadata);
+    return { isValid, errors, diagnostics };
+  }
+
+  /**
+   * Turn a question into a validated DAX query. Throws XMLA_NL_UNAVAILABLE without a
+   * provider and XMLA_NL_PROVIDER_FAILED if the provider errors.
+   * Returns { dax, explanation, validation, provider, model, attempts }; dax is null if
+   * no attempt produced a query.
+   */
+  async ask({ question, context, metadata, signal }) {
+    const provider = this.getProvider();
+    const messages = this.buildMessages(question, context);
+    let answer = { dax: null, explanation: '', validation: { isValid: false, errors: [], diagnostics: [] } };
+    let model = null;
+    let attempts = 0;
+
+    while (attempts < this.config.maxAttempts) {
+      attempts++;
+      let reply;
+      try {
+        reply = await provider.generate({ messages, question, context, signal });
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        logger.error(`Model provider ${provider.name} failed: ${error.message}`);
+        const failed = new Error(`Model provider failed: ${error.message}`);
+        failed.code = 'XMLA_NL_PROVIDER_FAILED';
+        throw failed;
+      }
+      model = reply.model;
+
+      const parsed = this.parseReply(reply.text);
+      answer = parsed
+        ? { ...parsed, validation: this.validate(parsed.dax, metadata) }
+        : { dax: null, explanation: '', validation: { isValid: false, errors: ['Reply did not contain a DAX query'], diagnostics: [] } };
+
+      if (answer.validation.isValid) {
+        break;
+      }
+
+      messages.push(
+        { role: 'assistant', content: reply.text },
+        { role: 'user', content: `That query is not valid for this dataset:\n${answer.validation.errors.join('\n')}\nReply with corrected JSON.` }
+      );
+    }
+
+    logger.info(`Answered question with ${provider.name} in ${attempts} attempt(s)`, {
+      model,
+      isValid: answer.validation.isValid
+    });
+
+    return { ...answer, provider: provider.name, model, attempts };
+  }
+}
+
+module.exports = new XMLANaturalLanguageQueryService();
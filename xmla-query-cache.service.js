@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const DAXParserService = require('./dax-parser.service');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Query Result Cache
+ * In-memory LRU cache of DAX results with per-dataset TTLs and schema-aware invalidation
+ * Day 16: Query Performance - Result Cache
+ */
+class XMLAQueryCacheService {
+  constructor() {
+    // Map preserves insertion order, which we use as LRU order
+    this.cache = new Map();
+
+    this.config = {
+      enabled: process.env.XMLA_CACHE_ENABLED !== 'false',
+      defaultTTL: parseInt(process.env.XMLA_CACHE_TTL || '300000'), // 5 minutes
+      maxEntries: parseInt(process.env.XMLA_CACHE_MAX_ENTRIES || '500'),
+      maxRowsPerEntry: parseInt(process.env.XMLA_CACHE_MAX_ROWS || '10000')
+    };
+
+    // Per-dataset TTL overrides, e.g. XMLA_CACHE_DATASET_TTLS='{"<datasetId>": 60000}'
+    this.datasetTTLs = new Map(Object.entries(this.parseDatasetTTLs(process.env.XMLA_CACHE_DATASET_TTLS)));
+
+    // Last known schema_version per dataset
+    this.schemaVersions = new Map();
+
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      sets: 0,
+      evictions: 0,
+      expirations: 0,
+      invalidations: 0
+    };
+
+    logger.info('XMLA query cache initialized', this.config);
+  }
+
+  parseDatasetTTLs(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Invalid XMLA_CACHE_DATASET_TTLS, ignoring: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Normalize query text so formatting, comments and keyword case don't split the cache
+   */
+  normalizeQuery(daxQuery) {
+    const { tokens, diagnostics } = DAXParserService.tokenize(daxQuery);
+
+    // Fall back to whitespace folding for text the lexer can't handle cleanly
+    if (diagnostics.length > 0) {
+      return daxQuery.trim().replace(/\s+/g, ' ');
+    }
+
+    const { TokenType } = DAXParserService;
+    return tokens
+      .filter(token => token.type !== TokenType.EOF)
+      .map(token => {
+        switch (token.type) {
+          case TokenType.IDENTIFIER: return token.value.toUpperCase();
+          case TokenType.STRING: return `"${token.value.replace(/"/g, '""')}"`;
+          case TokenType.TABLE_NAME: return `'${token.value.replace(/'/g, '\'\'')}'`;
+          case TokenType.BRACKET_NAME: return `[${token.value.replace(/]/g, ']]')}]`;
+          default: return token.value;
+        }
+      })
+      .join(' ');
+  }
+
+  /**
+   * Build cache key from tenant, dataset, RLS identity and normalized query
+   */
+  buildKey({ tenantId, datasetId, daxQuery, identity }) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(this.normalizeQuery(daxQuery))
+      .digest('hex');
+
+    return `${tenantId}:${datasetId}:${identity}:${hash}`;
+  }
+
+  getTTL(datasetId) {
+    return this.datasetTTLs.has(datasetId)
+      ? this.datasetTTLs.get(datasetId)
+      : this.config.defaultTTL;
+  }
+
+  /**
+   * Override TTL for a dataset (0 disables caching for it)
+   */
+  setDatasetTTL(datasetId, ttlMs) {
+    this.datasetTTLs.set(datasetId, ttlMs);
+    logger.info(`Cache TTL for dataset ${datasetId} set to ${ttlMs}ms`);
+  }
+
+  /**
+   * Look up a cached result
+   */
+  get(keyParts) {
+    if (!this.config.enabled) {
+      return null;
+    }
+
+    const key = this.buildKey(keyParts);
+    const entry = this.cache.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.cache.delete(key);
+      this.stats.expirations++;
+      this.stats.misses++;
+      return null;
+    }
+
+    // Move to the end of the LRU order
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    this.stats.hits++;
+    entry.hitCount++;
+
+    return entry;
+  }
+
+  /**
+   * Store a result
+   */
+  set(keyParts, results, rowCount) {
+    const ttl = this.getTTL(keyParts.datasetId);
+
+    if (!this.config.enabled || ttl <= 0) {
+      return false;
+    }
+
+    if (rowCount > this.config.maxRowsPerEntry) {
+      logger.debug(`Result too large to cache (${rowCount} rows)`);
+      return false;
+    }
+
+    const key = this.buildKey(keyParts);
+    this.cache.delete(key);
+
+    while (this.cache.size >= this.config.maxEntries) {
+      const oldestKey = this.cache.keys().next().value;
+      this.cache.delete(oldestKey);
+      this.stats.evictions++;
+    }
+
+    const now = Date.now();
+    this.cache.set(key, {
+      tenantId: keyParts.tenantId,
+      datasetId: keyParts.datasetId,
+      results,
+      rowCount,
+      cachedAt: new Date(now),
+      expiresAt: now + ttl,
+      hitCount: 0
+    });
+    this.stats.sets++;
+
+    return true;
+  }
+
+  /**
+   * Drop all cached results for a dataset
+   */
+  invalidateDataset(datasetId, reason = 'manual') {
+    let removed = 0;
+
+    for (const [key, entry] of this.cache.entries()) {
+      if (entry.datasetId === datasetId) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+
+    this.stats.invalidations += removed;
+
+    if (removed > 0) {
+      logger.info(`Invalidated ${removed} cached results for dataset ${datasetId} (${reason})`);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Record the dataset's schema_version; a change invalidates its cached results.
+   * Results cached before any version was seen are treated as stale too.
+   */
+  updateSchemaVersion(datasetId, schemaVersion) {
+    const known = this.schemaVersions.get(datasetId);
+    this.schemaVersions.set(datasetId, schemaVersion);
+
+    if (known !== schemaVersion) {
+      return this.invalidateDataset(datasetId, `schema version ${known ?? 'unknown'} -> ${schemaVersion}`);
+    }
+
+    return 0;
+  }
+
+  /**
+   * Clear the whole cache
+   */
+  clear() {
+    const size = this.cache.size;
+    this.cache.clear();
+    logger.info(`Cleared ${size} cached query results`);
+  }
+
+  /**
+   * Get cache statistics
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      enabled: this.config.enabled,
+      entries: this.cache.size,
+      maxEntries: this.config.maxEntries,
+      defaultTTLMs: this.config.defaultTTL,
+      hitRatio: lookups > 0
+        ? ((this.stats.hits / lookups) * 100).toFixed(2) + '%'
+        : '0%'
+    };
+  }
+}
+
+module.exports = new XMLAQueryCacheService();
@@ -1,7 +1,22 @@
+const crypto = require('crypto');
 const PowerBIAPIService = require('./powerbi-api.service');
 const XMLAConnectionPoolService = require('./xmla-connection-pool.service');
+const DAXParserService = require('./dax-parser.service');
+const XMLAQueryCacheService = require('./xmla-query-cache.service');
+const XMLAQuerySchedulerService = require('./xmla-query-scheduler.service');
+const XMLAThrottleService = require('./xmla-throttle.service');
+const XMLACircuitBreakerService = require('./xmla-circuit-breaker.service');
+const XMLAClusterStatsService = require('./xmla-cluster-stats.service');
+const XMLAMetricsService = require('./xmla-metrics.service');
+const XMLALatencyTrackerService = require('./xmla-latency-tracker.service');
+const XMLASlowQueryModel = require('../models/xmla-slow-query.model');
+const XMLAQueryHistoryService = require('./xmla-query-history.service');
+const XMLAResultNormalizerService = require('./xmla-result-normalizer.service');
 const { logger } = require('../config/logger');
 
+// Power BI REST API root; executeQueries is called with the pooled connection's token
+const POWERBI_API_URL = process.env.POWERBI_API_URL || 'https://api.powerbi.com/v1.0/myorg';
+
 /**
  * XMLA Query Executor with Retry Logic
  * Handles DAX query execution with intelligent retry and error handling
@@ -11,13 +26,23 @@ class XMLAQueryExecutorService {
   constructor() {
     this.powerbiAPI = PowerBIAPIService;
     this.connectionPool = XMLAConnectionPoolService;
+    this.daxParser = DAXParserService;
+    this.queryCache = XMLAQueryCacheService;
+    this.scheduler = XMLAQuerySchedulerService;
+    this.throttle = XMLAThrottleService;
+    this.circuitBreaker = XMLACircuitBreakerService;
+
+    // workspaceId -> { capacityId, expiresAt }: Premium capacity for the per-capacity circuit breaker
+    this.workspaceCapacities = new Map();
+    this.capacityCacheTTL = parseInt(process.env.XMLA_CAPACITY_CACHE_TTL || '3600000'); // 1 hour
     
     // Retry configuration
     this.retryConfig = {
       maxRetries: parseInt(process.env.XMLA_MAX_RETRIES || '3'),
       baseDelay: 1000, // 1 second
       maxDelay: 10000, // 10 seconds
-      timeout: parseInt(process.env.XMLA_QUERY_TIMEOUT || '30000') // 30 seconds
+      timeout: parseInt(process.env.XMLA_QUERY_TIMEOUT || '30000'), // 30 seconds
+      requestDeadline: parseInt(process.env.XMLA_REQUEST_DEADLINE || '120000') // 2 minutes across all attempts
     };
 
     // Query statistics
@@ -26,49 +51,201 @@ class XMLAQueryExecutorService {
       successfulQueries: 0,
       failedQueries: 0,
       retriedQueries: 0,
-      totalExecutionTime: 0
+      totalExecutionTime: 0,
+      cancelledQueries: 0
     };
+
+    // queryId -> { controller, userId, tenantId, workspaceId, datasetId, startedAt }
+    this.runningQueries = new Map();
+
+    // tenantId -> query counters, for tenant-scoped stats
+    this.tenantStats = new Map();
+
+    // Graceful shutdown: how long running queries get to finish
+    this.shutdownTimeout = parseInt(process.env.XMLA_SHUTDOWN_TIMEOUT || '30000');
+    this.shuttingDown = false;
+    this.shutdownPromise = null;
+    this.started = false;
+
+    // Share this node's counters with the rest of the cluster
+    this.clusterStats = XMLAClusterStatsService;
+    this.clusterStats.register('executor', () => this.getSnapshot());
+
+    this.metrics = XMLAMetricsService;
+    this.metrics.registerCollector(() => this.collectMetrics());
+
+    // Latency percentiles per dataset, and the persisted log of queries slower than the threshold
+    this.latencyTracker = XMLALatencyTrackerService;
+    this.slowQueryLog = XMLASlowQueryModel;
+    this.slowQueryThreshold = parseInt(process.env.XMLA_SLOW_QUERY_THRESHOLD || '5000');
+
+    // Audit trail of every execution, purged per tenant retention policy
+    this.history = XMLAQueryHistoryService;
+
+    // Row counts of raw responses
+    this.resultNormalizer = XMLAResultNormalizerService;
+  }
+
+  /**
+   * Premium capacity hosting a workspace, or null on shared capacity or when the lookup
+   * fails. Cached per workspace, failures included, so queries don't wait on it every time.
+   */
+  async resolveCapacityId(userId, workspaceId) {
+    const cached = this.workspaceCapacities.get(workspaceId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.capacityId;
+    }
+
+    let capacityId = null;
+    try {
+      const response = await this.powerbiAPI.makeRequest(
+        userId,
+        'GET',
+        `/groups?$filter=${encodeURIComponent(`id eq '${workspaceId}'`)}`
+      );
+      const workspace = response?.value?.[0];
+      capacityId = workspace?.isOnDedicatedCapacity ? workspace.capacityId || null : null;
+    } catch (error) {
+      logger.debug(`Capacity lookup failed for workspace ${workspaceId}: ${error.message}`);
+    }
+
+    this.workspaceCapacities.set(workspaceId, { capacityId, expiresAt: Date.now() + this.capacityCacheTTL });
+    return capacityId;
   }
 
   /**
    * Execute DAX query with retry logic
+   * Options:
+   *   useCache - serve and store results in the query cache (default true)
+   *   identity - RLS identity the results are valid for (defaults to the calling user)
+   *   deadline - epoch ms after which no further attempts are made (defaults to now + requestDeadline)
+   *   capacityId - Premium capacity hosting the workspace, adds a per-capacity circuit breaker
+   *                (looked up from the workspace when omitted, see resolveCapacityId)
+   *   queryId - ID the query can be cancelled by (generated when omitted)
+   *   signal - AbortSignal that cancels the query, e.g. on client disconnect
+   *   credentialType - 'delegated' (default) or 'service-principal' for app-only access
+   *   impersonation - { effectiveUserName } RLS identity the query runs as; callers must
+   *                   check it against XMLAImpersonationPolicyService first
+   *   parameters - values substituted into the query, recorded in the query history
+   * Successful outcomes carry the raw response as results; callers that want typed tables
+   * normalize it (see XMLAResultNormalizerService.normalize).
    */
-  async executeDAXQuery(userId, tenantId, workspaceId, datasetId, daxQuery) {
+  async executeDAXQuery(userId, tenantId, workspaceId, datasetId, daxQuery, options = {}) {
     const startTime = Date.now();
     this.stats.totalQueries++;
 
+    const { queryId, signal, unregister } = this.registerQuery(
+      { userId, tenantId, workspaceId, datasetId },
+      options
+    );
+
+    const deadline = options.deadline || startTime + this.retryConfig.requestDeadline;
+    const credentialType = options.credentialType || 'delegated';
+    const impersonation = options.impersonation || null;
+    const useCache = options.useCache !== false;
+    const cacheKey = {
+      tenantId,
+      datasetId,
+      daxQuery,
+      identity: options.identity || this.getCacheIdentity(userId, credentialType, impersonation)
+    };
+    let connection;
+    let outcome = null;
+    let attempts = 0;
+
     try {
+      if (this.shuttingDown) {
+        const error = new Error('Query executor is shutting down; retry shortly');
+        error.code = 'XMLA_SHUTTING_DOWN';
+        throw error;
+      }
+
+      if (useCache) {
+        const cached = this.queryCache.get(cacheKey);
+        if (cached) {
+          const executionTime = Date.now() - startTime;
+          this.stats.successfulQueries++;
+          this.stats.totalExecutionTime += executionTime;
+
+          outcome = {
+            success: true,
+            queryId,
+            query: daxQuery,
+            results: cached.results,
+            executionTimeMs: executionTime,
+            metadata: {
+              workspaceId,
+              datasetId,
+              rowCount: cached.rowCount
+            },
+            cache: {
+              hit: true,
+              cachedAt: cached.cachedAt,
+              expiresAt: new Date(cached.expiresAt)
+            }
+          };
+          return outcome;
+        }
+      }
+
+      const capacityId = options.capacityId || await this.resolveCapacityId(userId, workspaceId);
+
       // Get connection from pool
-      const connection = await this.connectionPool.getConnection(userId, tenantId, workspaceId);
+      connection = await this.connectionPool.getConnection(userId, tenantId, workspaceId, { credentialType });
       
       // Execute with retry
       const result = await this.executeWithRetry(
         userId,
+        tenantId,
         workspaceId,
         datasetId,
         daxQuery,
-        connection
+        connection,
+        {
+          deadline,
+          signal,
+          breakerKeys: this.circuitBreaker.getKeys(workspaceId, capacityId),
+          impersonation,
+          onAttempt: attempt => {
+            attempts = attempt;
+          }
+        }
       );
 
       const executionTime = Date.now() - startTime;
       this.stats.successfulQueries++;
       this.stats.totalExecutionTime += executionTime;
 
-      return {
+      const rowCount = this.resultNormalizer.countRows(result);
+      if (useCache) {
+        this.queryCache.set(cacheKey, result, rowCount);
+      }
+
+      outcome = {
         success: true,
+        queryId,
         query: daxQuery,
         results: result,
         executionTimeMs: executionTime,
         metadata: {
           workspaceId,
           datasetId,
-          rowCount: this.extractRowCount(result)
+          rowCount
+        },
+        attempts,
+        cache: {
+          hit: false
         }
       };
+      return outcome;
       
     } catch (error) {
       const executionTime = Date.now() - startTime;
+      const cancelled = error.code === 'XMLA_QUERY_CANCELLED';
       this.stats.failedQueries++;
+      if (cancelled) {
+        this.stats.cancelledQueries++;
+      }
       
       logger.error('DAX query execution failed:', {
         error: error.message,
@@ -77,24 +254,286 @@ class XMLAQueryExecutorService {
         executionTime
       });
 
-      return {
+      // Surface throttling so callers can pass Retry-After on to their clients
+      const throttleDelay = error.code === 'XMLA_THROTTLED'
+        ? error.retryAfterMs
+        : this.throttle.getThrottleDelay(error);
+
+      outcome = {
         success: false,
+        queryId,
         query: daxQuery,
         error: error.message,
+        code: error.code,
+        cancelled,
+        throttled: throttleDelay !== null && throttleDelay !== undefined,
+        circuitOpen: error.code === 'XMLA_CIRCUIT_OPEN',
+        retryAfterMs: throttleDelay ?? error.retryAfterMs,
+        failureReason: this.getFailureReason(error),
+        attempts,
         executionTimeMs: executionTime
       };
+      return outcome;
+    } finally {
+      this.connectionPool.releaseConnection(connection);
+      unregister();
+      this.recordTenantStats(tenantId, outcome);
+      this.recordQueryMetrics(tenantId, workspaceId, outcome);
+      this.recordLatency({ queryId, userId, tenantId, workspaceId, datasetId, daxQuery, outcome });
+      this.recordHistory({ queryId, userId, tenantId, workspaceId, datasetId, daxQuery, credentialType, impersonation, outcome, parameters: options.parameters });
+
+      if (impersonation) {
+        this.auditImpersonation({ queryId, userId, tenantId, workspaceId, datasetId, credentialType, impersonation, outcome });
+      }
+    }
+  }
+
+  recordTenantStats(tenantId, outcome) {
+    if (!outcome) {
+      return;
+    }
+
+    if (!this.tenantStats.has(tenantId)) {
+      this.tenantStats.set(tenantId, {
+        totalQueries: 0,
+        successfulQueries: 0,
+        failedQueries: 0,
+        cancelledQueries: 0,
+        cacheHits: 0,
+        totalExecutionTime: 0
+      });
+    }
+
+    const stats = this.tenantStats.get(tenantId);
+    stats.totalQueries++;
+    stats.totalExecutionTime += outcome.executionTimeMs;
+    if (outcome.success) {
+      stats.successfulQueries++;
+      if (outcome.cache.hit) {
+        stats.cacheHits++;
+      }
+    } else {
+      stats.failedQueries++;
+      if (outcome.cancelled) {
+        stats.cancelledQueries++;
+      }
+    }
+  }
+
+  /**
+   * success, cache_hit, failed or cancelled
+   */
+  getOutcomeStatus(outcome) {
+    if (outcome.success) {
+      return outcome.cache.hit ? 'cache_hit' : 'success';
+    }
+    return outcome.cancelled ? 'cancelled' : 'failed';
+  }
+
+  recordQueryMetrics(tenantId, workspaceId, outcome) {
+    if (!outcome) {
+      return;
+    }
+
+    this.metrics.observeQuery({
+      tenantId,
+      workspaceId,
+      status: this.getOutcomeStatus(outcome),
+      durationMs: outcome.executionTimeMs,
+      reason: outcome.failureReason
+    });
+  }
+
+  /**
+   * Feed the latency percentiles and log queries over the slow-query threshold.
+   * Cache hits are skipped; cancelled queries are logged but don't count towards percentiles.
+   */
+  recordLatency({ queryId, userId, tenantId, workspaceId, datasetId, daxQuery, outcome }) {
+    if (!outcome || outcome.cache?.hit) {
+      return;
+    }
+
+    if (!outcome.cancelled) {
+      this.latencyTracker.record(tenantId, datasetId, outcome.executionTimeMs);
+    }
+
+    if (outcome.executionTimeMs < this.slowQueryThreshold) {
+      return;
+    }
+
+    logger.warn(`Slow DAX query ${queryId}: ${outcome.executionTimeMs}ms on dataset ${datasetId}`, {
+      attempts: outcome.attempts,
+      status: this.getOutcomeStatus(outcome)
+    });
+
+    this.slowQueryLog.create({
+      queryId,
+      tenantId,
+      userId,
+      workspaceId,
+      datasetId,
+      queryHash: crypto.createHash('sha256').update(daxQuery).digest('hex'),
+      status: this.getOutcomeStatus(outcome),
+      errorCode: outcome.code,
+      attempts: outcome.attempts,
+      durationMs: outcome.executionTimeMs
+    }).catch(error => {
+      logger.warn(`Failed to record slow query ${queryId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Store the execution in the query history, cache hits included
+   */
+  recordHistory({ queryId, userId, tenantId, workspaceId, datasetId, daxQuery, parameters, credentialType, impersonation, outcome }) {
+    if (!outcome) {
+      return;
+    }
+
+    this.history.record({
+      queryId,
+      tenantId,
+      userId,
+      workspaceId,
+      datasetId,
+      queryText: daxQuery,
+      parameters,
+      credentialType,
+      impersonation,
+      status: this.getOutcomeStatus(outcome),
+      errorClass: outcome.failureReason,
+      errorCode: outcome.code,
+      errorMessage: outcome.error,
+      rowCount: outcome.metadata?.rowCount,
+      attempts: outcome.attempts,
+      durationMs: outcome.executionTimeMs
+    });
+  }
+
+  /**
+   * Search the slow-query log (see XMLASlowQueryModel.find for filters)
+   */
+  getSlowQueries(filters) {
+    return this.slowQueryLog.find(filters);
+  }
+
+  /**
+   * Audit trail for queries run under another user's RLS identity
+   */
+  auditImpersonation({ queryId, userId, tenantId, workspaceId, datasetId, credentialType, impersonation, outcome }) {
+    logger.info('XMLA impersonated query', {
+      audit: true,
+      queryId,
+      tenantId,
+      userId,
+      workspaceId,
+      datasetId,
+      credentialType,
+      effectiveUserName: impersonation.effectiveUserName,
+      success: outcome?.success ?? false,
+      cacheHit: outcome?.cache?.hit ?? false,
+      error: outcome?.error
+    });
+  }
+
+  /**
+   * Whose data a result reflects: the effective (RLS) user, the calling user's own
+   * token, or the service principal, which sees the same data for every user of the tenant
+   */
+  getCacheIdentity(userId, credentialType, impersonation) {
+    if (impersonation) {
+      return `effective:${impersonation.effectiveUserName.toLowerCase()}`;
+    }
+    return credentialType === 'delegated' ? `user:${userId}` : `app:${credentialType}`;
+  }
+
+  /**
+   * Track a running query so it can be cancelled by ID.
+   * The returned signal aborts on cancelQuery() or when options.signal aborts.
+   */
+  registerQuery(context, options = {}) {
+    const queryId = options.queryId || crypto.randomUUID();
+    const controller = new AbortController();
+
+    const onParentAbort = () => {
+      // Keep the reason when a cancelled batch propagates to its queries
+      const reason = options.signal.reason?.code === 'XMLA_QUERY_CANCELLED'
+        ? options.signal.reason.message
+        : 'Query cancelled by caller';
+      controller.abort(this.createCancelledError(queryId, reason));
+    };
+    if (options.signal) {
+      if (options.signal.aborted) {
+        onParentAbort();
+      } else {
+        options.signal.addEventListener('abort', onParentAbort, { once: true });
+      }
+    }
+
+    this.runningQueries.set(queryId, { ...context, controller, startedAt: new Date() });
+
+    return {
+      queryId,
+      signal: controller.signal,
+      unregister: () => {
+        options.signal?.removeEventListener('abort', onParentAbort);
+        if (this.runningQueries.get(queryId)?.controller === controller) {
+          this.runningQueries.delete(queryId);
+        }
+      }
+    };
+  }
+
+  getRunningQuery(queryId) {
+    return this.runningQueries.get(queryId) || null;
+  }
+
+  /**
+   * Abort a running query; returns false when it isn't running
+   */
+  cancelQuery(queryId, reason = 'Query cancelled') {
+    const running = this.runningQueries.get(queryId);
+    if (!running) {
+      return false;
+    }
+
+    logger.info(`Cancelling DAX query ${queryId}: ${reason}`);
+    running.controller.abort(this.createCancelledError(queryId, reason));
+    return true;
+  }
+
+  createCancelledError(queryId, reason) {
+    const error = new Error(reason);
+    error.code = 'XMLA_QUERY_CANCELLED';
+    error.queryId = queryId;
+    return error;
+  }
+
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw signal.reason;
     }
   }
 
   /**
    * Execute with exponential backoff retry
+   * Throttle responses wait for the server's Retry-After instead of the backoff,
+   * and no attempt is started that can't finish before the deadline.
+   * Options:
+   *   deadline    - epoch ms after which no further attempts are made
+   *   breakerKeys - circuit breakers that must be closed for an attempt to start
+   *   signal      - AbortSignal that cancels the in-flight attempt and any pending retry
+   *   impersonation - { effectiveUserName } sent to Power BI as impersonatedUserName
+   *   onAttempt   - called with the attempt number as each attempt starts
    */
-  async executeWithRetry(userId, workspaceId, datasetId, daxQuery, connection) {
+  async executeWithRetry(userId, tenantId, workspaceId, datasetId, daxQuery, connection, options = {}) {
+    const { deadline = Infinity, breakerKeys = [], signal, impersonation, onAttempt } = options;
     let lastError;
     let attempt = 0;
 
     while (attempt < this.retryConfig.maxRetries) {
       attempt++;
+      onAttempt?.(attempt);
       
       try {
         logger.debug(`DAX query attempt ${attempt}/${this.retryConfig.maxRetries}`, {
@@ -102,13 +541,43 @@ class XMLAQueryExecutorService {
           datasetId
         });
 
+        // Queue behind an already-throttled workspace
+        const { probe } = await this.throttle.acquire(workspaceId, deadline, signal);
+        try {
+          this.throwIfCancelled(signal);
+
+          // Fail fast while the workspace or capacity keeps failing
+          this.circuitBreaker.check(breakerKeys);
+        } catch (error) {
+          if (probe) {
+            this.throttle.releaseProbe(workspaceId);
+          }
+          throw error;
+        }
+
         // Execute the query
-        const result = await this.executeSingleQuery(
-          userId,
-          workspaceId,
-          datasetId,
-          daxQuery
-        );
+        let result;
+        try {
+          result = await this.executeSingleQuery(userId, workspaceId, datasetId, daxQuery, {
+            timeout: Math.min(this.retryConfig.timeout, deadline - Date.now()),
+            signal,
+            // Read per attempt: the pool may have refreshed the token since the last one
+            accessToken: connection.accessToken,
+            impersonation
+          });
+        } catch (error) {
+          // A cancelled attempt tells us nothing about the service's health
+          if (error.code === 'XMLA_QUERY_CANCELLED') {
+            if (probe) {
+              this.throttle.releaseProbe(workspaceId);
+            }
+            this.circuitBreaker.release(breakerKeys);
+          }
+          throw error;
+        }
+
+        this.throttle.recordSuccess(workspaceId);
+        this.circuitBreaker.recordSuccess(breakerKeys);
 
         if (attempt > 1) {
           logger.info(`DAX query succeeded on attempt ${attempt}`);
@@ -119,9 +588,39 @@ class XMLAQueryExecutorService {
         
       } catch (error) {
         lastError = error;
+
+        // Throttle outlasts the deadline; another attempt can't succeed in time
+        if (error.code === 'XMLA_THROTTLED') {
+          logger.warn(`DAX query gave up waiting for throttled workspace ${workspaceId}`);
+          break;
+        }
+
+        if (error.code === 'XMLA_CIRCUIT_OPEN') {
+          logger.warn(`DAX query rejected: ${error.message}`);
+          break;
+        }
+
+        if (error.code === 'XMLA_QUERY_CANCELLED') {
+          logger.info(`DAX query cancelled on attempt ${attempt}: ${error.message}`);
+          break;
+        }
+
+        const throttleDelay = this.throttle.getThrottleDelay(error);
+        if (throttleDelay !== null) {
+          this.throttle.recordThrottle(workspaceId, throttleDelay);
+        } else {
+          this.throttle.recordSuccess(workspaceId);
+        }
         
         // Check if error is retryable
         const isRetryable = this.isRetryableError(error);
+
+        // Only transient failures count against the breaker; a bad query means the service is up
+        if (isRetryable) {
+          this.circuitBreaker.recordFailure(breakerKeys, error);
+        } else {
+          this.circuitBreaker.recordSuccess(breakerKeys);
+        }
         
         if (!isRetryable) {
           logger.warn('Non-retryable error encountered', { error: error.message });
@@ -133,15 +632,30 @@ class XMLAQueryExecutorService {
           break;
         }
 
-        // Calculate delay with exponential backoff
-        const delay = this.calculateBackoffDelay(attempt);
+        // Server-given delay wins over our own backoff
+        const delay = throttleDelay ?? this.calculateBackoffDelay(attempt);
+
+        if (Date.now() + delay >= deadline) {
+          logger.error(`DAX query retry in ${delay}ms would exceed the request deadline, giving up after ${attempt} attempts`);
+          break;
+        }
+
         logger.warn(`Retrying DAX query in ${delay}ms... (attempt ${attempt + 1}/${this.retryConfig.maxRetries})`);
-        
-        await this.sleep(delay);
+        this.metrics.recordRetry({ tenantId, workspaceId, reason: this.getFailureReason(error) });
+
+        // Throttled retries wait in the workspace queue via acquire()
+        if (throttleDelay === null) {
+          try {
+            await this.sleep(delay, signal);
+          } catch (sleepError) {
+            lastError = sleepError;
+            break;
+          }
+        }
 
         // Check if we should invalidate the connection
         if (this.shouldInvalidateConnection(error)) {
-          this.connectionPool.invalidateConnection(userId, tenantId, workspaceId);
+          this.connectionPool.invalidateConnection(userId, tenantId, workspaceId, connection.credentialType);
           logger.info('Connection invalidated due to error');
         }
       }
@@ -152,31 +666,91 @@ class XMLAQueryExecutorService {
 
   /**
    * Execute single DAX query
+   * The attempt is aborted, not just abandoned, when it times out or the signal fires.
+   * Runs with accessToken, the pooled connection's delegated or app-only token, as the
+   * impersonated user if impersonation is given.
    */
-  async executeSingleQuery(userId, workspaceId, datasetId, daxQuery) {
+  async executeSingleQuery(userId, workspaceId, datasetId, daxQuery, options = {}) {
+    const { timeout = this.retryConfig.timeout, signal, accessToken, impersonation } = options;
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    const timer = setTimeout(() => {
+      controller.abort(new Error(`Query timeout after ${timeout}ms`));
+    }, timeout);
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
     try {
-      // Create timeout promise
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-          reject(new Error(`Query timeout after ${this.retryConfig.timeout}ms`));
-        }, this.retryConfig.timeout);
+      // Reject as soon as we abort, even if the request itself ignores the signal
+      const abortPromise = new Promise((_, reject) => {
+        if (controller.signal.aborted) {
+          reject(controller.signal.reason);
+        }
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
       });
 
-      // Execute query with timeout
-      const queryPromise = this.powerbiAPI.executeDAXQuery(
-        userId,
-        workspaceId,
-        datasetId,
-        daxQuery
-      );
+      const queryPromise = this.postExecuteQueries(workspaceId, datasetId, daxQuery, {
+        accessToken,
+        impersonation,
+        signal: controller.signal
+      });
 
-      const result = await Promise.race([queryPromise, timeoutPromise]);
-      return result;
+      return await Promise.race([queryPromise, abortPromise]);
       
     } catch (error) {
-      logger.error('Single query execution failed:', error);
+      // Report the abort reason rather than the HTTP client's generic cancel error
+      const reason = controller.signal.aborted ? controller.signal.reason : error;
+      if (reason.code !== 'XMLA_QUERY_CANCELLED') {
+        logger.error('Single query execution failed:', reason);
+      }
+      throw reason;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * POST the query to the dataset's executeQueries endpoint with the given token, under
+   * impersonation's effectiveUserName for RLS.
+   * Failures carry response { status, headers, data } like HTTP client errors, so retry,
+   * throttle and breaker handling treat them alike.
+   * Posted here rather than through PowerBIAPIService: its makeRequest and executeDAXQuery
+   * always authenticate with the user's stored token and take no request options, so they
+   * can't send a service principal token, the impersonated identity or the abort signal.
+   * Switch over once PowerBIAPIService accepts a token override and options.
+   */
+  async postExecuteQueries(workspaceId, datasetId, daxQuery, { accessToken, impersonation, signal }) {
+    const response = await fetch(`${POWERBI_API_URL}/groups/${workspaceId}/datasets/${datasetId}/executeQueries`, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        queries: [{ query: daxQuery }],
+        ...(impersonation ? { impersonatedUserName: impersonation.effectiveUserName } : {})
+      }),
+      signal
+    });
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const details = body.error?.['pbi.error']?.details?.find(detail => detail.code === 'DetailsMessage');
+      const error = new Error(details?.detail?.value || body.error?.message || body.error?.code ||
+        `Power BI executeQueries returned ${response.status}`);
+      error.status = response.status;
+      error.response = { status: response.status, headers: response.headers, data: body };
       throw error;
     }
+
+    return body;
   }
 
   /**
@@ -222,6 +796,63 @@ class XMLAQueryExecutorService {
     return false;
   }
 
+  /**
+   * Classify a failure for metrics; transport errors follow the same branches as isRetryableError
+   */
+  getFailureReason(error) {
+    switch (error.code) {
+      case 'XMLA_QUERY_CANCELLED':
+        return 'cancelled';
+      case 'XMLA_THROTTLED':
+        return 'throttled';
+      case 'XMLA_CIRCUIT_OPEN':
+        return 'circuit_open';
+      case 'XMLA_POOL_TIMEOUT':
+      case 'XMLA_POOL_DRAINING':
+      case 'XMLA_SHUTTING_DOWN':
+        return 'pool_unavailable';
+      case 'XMLA_CREDENTIALS_NOT_CONFIGURED':
+        return 'credentials';
+    }
+
+    // Network errors
+    if (!error.response) {
+      return 'network';
+    }
+
+    const status = error.response?.status || error.status;
+
+    if (status === 429) {
+      return 'rate_limited';
+    }
+
+    if (status === 503) {
+      return 'service_unavailable';
+    }
+
+    if (status >= 500) {
+      return 'server_error';
+    }
+
+    if (status === 408) {
+      return 'timeout';
+    }
+
+    const errorMessage = error.message?.toLowerCase() || '';
+    if (errorMessage.includes('timeout')) {
+      return 'timeout';
+    }
+    if (errorMessage.includes('temporarily unavailable')) {
+      return 'service_unavailable';
+    }
+    if (errorMessage.includes('capacity limit')) {
+      return 'capacity_limit';
+    }
+
+    // Not retryable: bad query, permissions, missing objects
+    return 'query_error';
+  }
+
   /**
    * Check if connection should be invalidated
    */
@@ -261,113 +892,136 @@ class XMLAQueryExecutorService {
   }
 
   /**
-   * Sleep utility
+   * Sleep utility; rejects with the signal's reason if aborted first
    */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  /**
-   * Extract row count from result
-   */
-  extractRowCount(result) {
-    try {
-      if (result && result.results && result.results.length > 0) {
-        const firstResult = result.results[0];
-        if (firstResult.tables && firstResult.tables.length > 0) {
-          const rows = firstResult.tables[0].rows;
-          return rows ? rows.length : 0;
-        }
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        return reject(signal.reason);
       }
-      return 0;
-    } catch (error) {
-      logger.debug('Could not extract row count:', error.message);
-      return 0;
-    }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
    * Validate DAX query before execution
+   * Runs the DAX lexer and parser and returns structured diagnostics
    */
   validateDAXQuery(daxQuery) {
-    const errors = [];
-    
     // Basic validation
     if (!daxQuery || typeof daxQuery !== 'string') {
-      errors.push('Query must be a non-empty string');
-      return { isValid: false, errors };
-    }
-
-    const trimmedQuery = daxQuery.trim();
-    
-    if (trimmedQuery.length === 0) {
-      errors.push('Query cannot be empty');
-      return { isValid: false, errors };
-    }
-
-    // Check for required DAX keywords
-    const upperQuery = trimmedQuery.toUpperCase();
-    
-    if (!upperQuery.includes('EVALUATE') && !upperQuery.includes('DEFINE')) {
-      errors.push('Query must contain EVALUATE or DEFINE statement');
-    }
-
-    // Check for balanced parentheses
-    const openParens = (trimmedQuery.match(/\(/g) || []).length;
-    const closeParens = (trimmedQuery.match(/\)/g) || []).length;
-    
-    if (openParens !== closeParens) {
-      errors.push(`Unbalanced parentheses (${openParens} open, ${closeParens} close)`);
-    }
-
-    // Check for balanced square brackets
-    const openBrackets = (trimmedQuery.match(/\[/g) || []).length;
-    const closeBrackets = (trimmedQuery.match(/\]/g) || []).length;
-    
-    if (openBrackets !== closeBrackets) {
-      errors.push(`Unbalanced square brackets (${openBrackets} open, ${closeBrackets} close)`);
+      const diagnostic = this.daxParser.createDiagnostic(
+        this.daxParser.DiagnosticCode.EMPTY_QUERY,
+        'Query must be a non-empty string',
+        null
+      );
+      return { isValid: false, errors: [diagnostic.message], warnings: [], diagnostics: [diagnostic] };
     }
 
-    // Check query length (prevent extremely large queries)
-    if (trimmedQuery.length > 50000) {
-      errors.push('Query exceeds maximum length of 50,000 characters');
-    }
+    const { isValid, ast, diagnostics } = this.daxParser.validate(daxQuery);
 
     // Warning for potentially dangerous operations (not an error, but logged)
+    const upperQuery = daxQuery.toUpperCase();
     if (upperQuery.includes('DELETE') || upperQuery.includes('DROP')) {
       logger.warn('DAX query contains potentially dangerous operations', { query: daxQuery });
     }
 
     return {
-      isValid: errors.length === 0,
-      errors,
-      warnings: []
+      isValid,
+      errors: diagnostics
+        .filter(d => d.severity === 'error')
+        .map(d => this.daxParser.formatDiagnostic(d)),
+      warnings: diagnostics
+        .filter(d => d.severity !== 'error')
+        .map(d => this.daxParser.formatDiagnostic(d)),
+      diagnostics,
+      ast
     };
   }
 
   /**
-   * Execute multiple DAX queries in parallel
+   * Execute multiple DAX queries through the scheduler
+   * Queries are strings or { name, query } objects.
+   * Options:
+   *   mode     - 'collect-all' runs every query; 'fail-fast' skips queued queries after the first failure
+   *   onResult - called with (result, index) as each query finishes, for streaming responses
+   *   queryId  - ID that cancels the whole batch; each query is also cancellable as '<queryId>:<index>'
+   *   signal   - AbortSignal that cancels the batch
+   *   credentialType, impersonation - as for executeDAXQuery
    */
-  async executeBatchQueries(userId, tenantId, workspaceId, datasetId, queries) {
+  async executeBatchQueries(userId, tenantId, workspaceId, datasetId, queries, options = {}) {
     const startTime = Date.now();
+    const mode = options.mode || 'collect-all';
+    let aborted = false;
+
+    const { queryId, signal, unregister } = this.registerQuery(
+      { userId, tenantId, workspaceId, datasetId, batch: true },
+      options
+    );
+
+    const items = queries.map((item, index) => (
+      typeof item === 'string'
+        ? { name: `query_${index + 1}`, query: item }
+        : item
+    ));
     
     try {
-      logger.info(`Executing batch of ${queries.length} DAX queries`);
+      logger.info(`Executing batch of ${items.length} DAX queries (${mode})`);
 
-      // Execute all queries in parallel
+      // Concurrency is bounded globally and per tenant by the scheduler
       const results = await Promise.all(
-        queries.map(query => 
-          this.executeDAXQuery(userId, tenantId, workspaceId, datasetId, query)
+        items.map(({ name, query }, index) =>
+          this.scheduler.schedule(
+            tenantId,
+            async () => {
+              const result = await this.executeDAXQuery(userId, tenantId, workspaceId, datasetId, query, {
+                queryId: `${queryId}:${index}`,
+                signal,
+                credentialType: options.credentialType,
+                impersonation: options.impersonation
+              });
+              if (!result.success && mode === 'fail-fast') {
+                aborted = true;
+              }
+              return result;
+            },
+            { isCancelled: () => aborted || signal.aborted }
+          ).catch(error => ({
+            success: false,
+            skipped: error.code === 'XMLA_QUERY_SKIPPED',
+            query,
+            error: error.message
+          })).then(result => {
+            const named = { name, index, ...result };
+            if (options.onResult) {
+              options.onResult(named, index);
+            }
+            return named;
+          })
         )
       );
 
       const executionTime = Date.now() - startTime;
 
       return {
-        success: true,
-        totalQueries: queries.length,
+        success: !aborted && !signal.aborted,
+        queryId,
+        cancelled: signal.aborted,
+        mode,
+        totalQueries: items.length,
         successfulQueries: results.filter(r => r.success).length,
-        failedQueries: results.filter(r => !r.success).length,
+        failedQueries: results.filter(r => !r.success && !r.skipped).length,
+        skippedQueries: results.filter(r => r.skipped).length,
         results,
         totalExecutionTimeMs: executionTime
       };
@@ -375,26 +1029,259 @@ class XMLAQueryExecutorService {
     } catch (error) {
       logger.error('Batch query execution failed:', error);
       throw error;
+    } finally {
+      unregister();
     }
   }
 
   /**
-   * Get executor statistics
+   * Get executor statistics. With a tenantId, only that tenant's queries, and throttle and
+   * circuit breaker state for the given workspaceIds (the tenant's synced workspaces).
    */
-  getStats() {
-    const avgExecutionTime = this.stats.totalQueries > 0
-      ? Math.round(this.stats.totalExecutionTime / this.stats.totalQueries)
-      : 0;
+  getStats({ tenantId, workspaceIds = [] } = {}) {
+    if (tenantId) {
+      return this.getTenantStats(tenantId, workspaceIds);
+    }
 
     return {
       ...this.stats,
-      averageExecutionTimeMs: avgExecutionTime,
-      successRate: this.stats.totalQueries > 0
-        ? ((this.stats.successfulQueries / this.stats.totalQueries) * 100).toFixed(2) + '%'
+      ...this.getRates(this.stats),
+      runningQueries: this.runningQueries.size,
+      latency: this.latencyTracker.getStats(),
+      history: this.history.getStats(),
+      cache: this.queryCache.getStats(),
+      scheduler: this.scheduler.getStats(),
+      throttle: this.throttle.getStats(),
+      circuitBreaker: this.circuitBreaker.getStats()
+    };
+  }
+
+  getTenantStats(tenantId, workspaceIds) {
+    const counters = this.tenantStats.get(tenantId) || {
+      totalQueries: 0,
+      successfulQueries: 0,
+      failedQueries: 0,
+      cancelledQueries: 0,
+      cacheHits: 0,
+      totalExecutionTime: 0
+    };
+    const workspaces = new Set(workspaceIds);
+    const breakerKeys = new Set(workspaceIds.flatMap(workspaceId => this.circuitBreaker.getKeys(workspaceId)));
+    const scheduler = this.scheduler.getStats();
+
+    return {
+      tenantId,
+      ...counters,
+      ...this.getRates(counters),
+      runningQueries: Array.from(this.runningQueries.values()).filter(q => q.tenantId === tenantId).length,
+      latency: this.latencyTracker.getStats(tenantId),
+      scheduler: {
+        running: scheduler.runningByTenant[tenantId] || 0,
+        queueDepth: scheduler.queueDepthByTenant[tenantId] || 0
+      },
+      throttle: {
+        throttledWorkspaces: this.throttle.getStats().throttledWorkspaces
+          .filter(workspace => workspaces.has(workspace.workspaceId))
+      },
+      circuitBreaker: {
+        breakers: this.circuitBreaker.getStats().breakers
+          .filter(breaker => breakerKeys.has(breaker.key))
+      }
+    };
+  }
+
+  getRates(counters) {
+    return {
+      averageExecutionTimeMs: counters.totalQueries > 0
+        ? Math.round(counters.totalExecutionTime / counters.totalQueries)
+        : 0,
+      successRate: counters.totalQueries > 0
+        ? ((counters.successfulQueries / counters.totalQueries) * 100).toFixed(2) + '%'
         : '0%'
     };
   }
 
+  /**
+   * Counters published to the cluster
+   */
+  getSnapshot() {
+    const cache = this.queryCache.getStats();
+    const scheduler = this.scheduler.getStats();
+
+    return {
+      ...this.stats,
+      runningQueries: this.runningQueries.size,
+      cacheHits: cache.hits,
+      cacheMisses: cache.misses,
+      queueDepth: scheduler.queueDepth,
+      throttledWorkspaces: this.throttle.getStats().throttledWorkspaces.length,
+      openCircuits: this.circuitBreaker.getStats().breakers
+        .filter(breaker => breaker.state !== this.circuitBreaker.CircuitState.CLOSED).length,
+      tenants: Object.fromEntries(this.tenantStats)
+    };
+  }
+
+  /**
+   * Executor gauges and counters sampled at scrape time
+   */
+  collectMetrics() {
+    const snapshot = this.getSnapshot();
+    const gauge = (name, help, value) => ({ name, type: 'gauge', help, samples: [{ labels: {}, value }] });
+
+    return [
+      gauge('xmla_running_queries', 'DAX queries currently executing', snapshot.runningQueries),
+      gauge('xmla_scheduler_queue_depth', 'DAX queries waiting for a scheduler slot', snapshot.queueDepth),
+      gauge('xmla_throttled_workspaces', 'Workspaces currently throttled by Power BI', snapshot.throttledWorkspaces),
+      gauge('xmla_open_circuits', 'Circuit breakers currently open or half-open', snapshot.openCircuits),
+      {
+        name: 'xmla_query_cache_lookups',
+        type: 'counter',
+        help: 'Query result cache lookups',
+        samples: [
+          { suffix: '_total', labels: { result: 'hit' }, value: snapshot.cacheHits },
+          { suffix: '_total', labels: { result: 'miss' }, value: snapshot.cacheMisses }
+        ]
+      }
+    ];
+  }
+
+  /**
+   * Executor statistics combined across every node sharing the state store;
+   * with a tenantId, only that tenant's query counters
+   */
+  async getClusterStats(tenantId = null) {
+    const nodes = await this.clusterStats.getNodeSnapshots('executor');
+
+    if (tenantId) {
+      const tenantNodes = nodes.map(node => ({ ...node, stats: node.stats.tenants?.[tenantId] || {} }));
+      const totals = this.clusterStats.sum(tenantNodes, [
+        'totalQueries',
+        'successfulQueries',
+        'failedQueries',
+        'cancelledQueries',
+        'cacheHits',
+        'totalExecutionTime'
+      ]);
+
+      return {
+        nodeCount: nodes.length,
+        tenantId,
+        ...totals,
+        ...this.getRates(totals)
+      };
+    }
+
+    const totals = this.clusterStats.sum(nodes, [
+      'totalQueries',
+      'successfulQueries',
+      'failedQueries',
+      'retriedQueries',
+      'totalExecutionTime',
+      'cancelledQueries',
+      'runningQueries',
+      'cacheHits',
+      'cacheMisses',
+      'queueDepth'
+    ]);
+    const lookups = totals.cacheHits + totals.cacheMisses;
+
+    return {
+      nodeCount: nodes.length,
+      ...totals,
+      ...this.getRates(totals),
+      cacheHitRatio: lookups > 0
+        ? ((totals.cacheHits / lookups) * 100).toFixed(2) + '%'
+        : '0%',
+      nodes: nodes.map(({ nodeId, publishedAt, stats }) => ({
+        nodeId,
+        publishedAt: new Date(publishedAt),
+        totalQueries: stats.totalQueries,
+        runningQueries: stats.runningQueries,
+        queueDepth: stats.queueDepth,
+        throttledWorkspaces: stats.throttledWorkspaces,
+        openCircuits: stats.openCircuits
+      }))
+    };
+  }
+
+  /**
+   * Reset one circuit breaker ('workspace:<id>' or 'capacity:<id>'), or all when no key is given
+   */
+  resetCircuitBreakers(key) {
+    return this.circuitBreaker.reset(key);
+  }
+
+  /**
+   * Graceful shutdown: refuse new queries, give running ones up to timeout to finish,
+   * cancel the rest, then drain the connection pool, flush query history and leave the cluster
+   */
+  shutdown({ timeout = this.shutdownTimeout } = {}) {
+    if (this.shutdownPromise) {
+      return this.shutdownPromise;
+    }
+
+    this.shuttingDown = true;
+    const deadline = Date.now() + timeout;
+    logger.info(`Shutting down query executor (${this.runningQueries.size} queries running)`);
+
+    this.shutdownPromise = (async () => {
+      while (this.runningQueries.size > 0 && Date.now() < deadline) {
+        await this.sleep(Math.min(250, deadline - Date.now()));
+      }
+
+      const cancelled = Array.from(this.runningQueries.keys())
+        .filter(queryId => this.cancelQuery(queryId, 'Server is shutting down'));
+
+      const pool = await this.connectionPool.shutdown({ timeout: Math.max(deadline - Date.now(), 1000) });
+      await this.history.shutdown();
+      await this.clusterStats.shutdown();
+
+      logger.info('Query executor shut down', { cancelledQueries: cancelled.length, ...pool });
+      return { cancelledQueries: cancelled.length, pool };
+    })();
+
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Start the background work requiring this module shouldn't: the history purge timer
+   * and, unless XMLA_SHUTDOWN_HOOK=false, the SIGTERM/SIGINT drain. Called when the XMLA
+   * routes are mounted; calling it again is a no-op.
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    this.history.startRetention();
+    if (process.env.XMLA_SHUTDOWN_HOOK !== 'false') {
+      this.registerShutdownHook();
+    }
+
+    logger.info('Query executor started');
+  }
+
+  /**
+   * Shut down gracefully on SIGTERM/SIGINT. When the app has its own handler for the
+   * signal, that handler decides when to exit; otherwise exit once shutdown completes.
+   */
+  registerShutdownHook(signals = ['SIGTERM', 'SIGINT']) {
+    signals.forEach(signal => {
+      process.once(signal, () => {
+        logger.info(`${signal} received, draining XMLA queries and connections`);
+
+        this.shutdown()
+          .catch(error => logger.error(`XMLA shutdown failed: ${error.message}`))
+          .finally(() => {
+            if (process.listenerCount(signal) === 0) {
+              process.exit(0);
+            }
+          });
+      });
+    });
+  }
+
   /**
    * Reset statistics
    */
@@ -404,8 +1291,11 @@ class XMLAQueryExecutorService {
       successfulQueries: 0,
       failedQueries: 0,
       retriedQueries: 0,
-      totalExecutionTime: 0
+      totalExecutionTime: 0,
+      cancelledQueries: 0
     };
+    this.tenantStats.clear();
+    this.latencyTracker.reset();
     logger.info('Query executor statistics reset');
   }
 }
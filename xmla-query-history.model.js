@@ -0,0 +1,191 @@
+const { query } = require('../config/database');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Query History
+ * Audit trail of every DAX execution: who ran which query against which dataset,
+ * as which identity, and how it ended
+ * Day 16: Compliance - Query History
+ */
+
+// find() filter -> SQL condition
+const FILTER_CONDITIONS = {
+  tenantId: 'tenant_id =',
+  userId: 'user_id =',
+  workspaceId: 'workspace_id =',
+  datasetId: 'dataset_id =',
+  status: 'status =',
+  errorClass: 'error_class =',
+  effectiveUserName: 'effective_user_name =',
+  since: 'executed_at >=',
+  until: 'executed_at <'
+};
+
+let tableReady = null;
+
+class XMLAQueryHistoryModel {
+  /**
+   * Create the table on first use
+   */
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = query(`
+        CREATE TABLE IF NOT EXISTS xmla_query_history (
+          id BIGSERIAL PRIMARY KEY,
+          query_id VARCHAR(100) NOT NULL,
+          tenant_id VARCHAR(100) NOT NULL,
+          user_id VARCHAR(100),
+          workspace_id VARCHAR(100) NOT NULL,
+          dataset_id VARCHAR(100) NOT NULL,
+          query_text TEXT NOT NULL,
+          parameters JSONB,
+          credential_type VARCHAR(30),
+          effective_user_name VARCHAR(256),
+          status VARCHAR(20) NOT NULL,
+          error_class VARCHAR(50),
+          error_code VARCHAR(100),
+          error_message TEXT,
+          row_count INTEGER,
+          attempts INTEGER,
+          duration_ms INTEGER NOT NULL,
+          executed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_xmla_query_history_tenant_executed
+          ON xmla_query_history (tenant_id, executed_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_xmla_query_history_dataset_executed
+          ON xmla_query_history (tenant_id, dataset_id, executed_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_xmla_query_history_user_executed
+          ON xmla_query_history (tenant_id, user_id, executed_at DESC);
+      `).catch(error => {
+        tableReady = null;
+        logger.error(`Failed to create xmla_query_history table: ${error.message}`);
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  static async create({
+    queryId, tenantId, userId, workspaceId, datasetId, queryText, parameters, credentialType,
+    impersonation, status, errorClass, errorCode, errorMessage, rowCount, attempts, durationMs
+  }) {
+    await this.ensureTable();
+
+    const result = await query(
+      `INSERT INTO xmla_query_history
+         (query_id, tenant_id, user_id, workspace_id, dataset_id, query_text, parameters, credential_type,
+          effective_user_name, status, error_class, error_code, error_message,
+          row_count, attempts, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+       RETURNING *`,
+      [
+        queryId,
+        tenantId,
+        userId,
+        workspaceId,
+        datasetId,
+        queryText,
+        parameters ? JSON.stringify(parameters) : null,
+        credentialType,
+        impersonation?.effectiveUserName || null,
+        status,
+        errorClass || null,
+        errorCode || null,
+        errorMessage || null,
+        rowCount ?? null,
+        attempts ?? null,
+        durationMs
+      ]
+    );
+
+    return this.toEntry(result.rows[0]);
+  }
+
+  /**
+   * Find executions, newest first. Filters: tenantId, userId, workspaceId, datasetId, status,
+   * errorClass, effectiveUserName, since, until; plus limit and offset.
+   * Returns { entries, total } where total counts every match, not just the page.
+   */
+  static async find(filters = {}) {
+    await this.ensureTable();
+
+    const conditions = [];
+    const params = [];
+    Object.entries(FILTER_CONDITIONS).forEach(([filter, condition]) => {
+      if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+        params.push(filters[filter]);
+        conditions.push(`${condition} $${params.length}`);
+      }
+    });
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) AS total FROM xmla_query_history ${where}`, params);
+
+    const pageParams = [...params, filters.limit || 50, filters.offset || 0];
+    const result = await query(
+      `SELECT * FROM xmla_query_history
+       ${where}
+       ORDER BY executed_at DESC, id DESC
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    );
+
+    return {
+      entries: result.rows.map(row => this.toEntry(row)),
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * Delete executions older than the cutoff, for one tenant or for every tenant
+   * except those listed (they have their own retention). Returns the number deleted.
+   */
+  static async deleteOlderThan(cutoff, { tenantId, excludeTenantIds = [] } = {}) {
+    await this.ensureTable();
+
+    const params = [cutoff];
+    let condition = '';
+    if (tenantId) {
+      params.push(tenantId);
+      condition = 'AND tenant_id = $2';
+    } else if (excludeTenantIds.length > 0) {
+      params.push(excludeTenantIds);
+      condition = 'AND tenant_id <> ALL($2)';
+    }
+
+    const result = await query(
+      `DELETE FROM xmla_query_history WHERE executed_at < $1 ${condition}`,
+      params
+    );
+
+    return result.rowCount || 0;
+  }
+
+  static toEntry(row) {
+    return {
+      id: row.id,
+      queryId: row.query_id,
+      tenantId: row.tenant_id,
+      userId: row.user_id,
+      workspaceId: row.workspace_id,
+      datasetId: row.dataset_id,
+      query: row.query_text,
+      parameters: row.parameters,
+      credentialType: row.credential_type,
+      impersonation: row.effective_user_name
+        ? { effectiveUserName: row.effective_user_name }
+        : null,
+      status: row.status,
+      errorClass: row.error_class,
+      errorCode: row.error_code,
+      errorMessage: row.error_message,
+      rowCount: row.row_count,
+      attempts: row.attempts,
+      durationMs: row.duration_ms,
+      executedAt: row.executed_at
+    };
+  }
+}
+
+module.exports = XMLAQueryHistoryModel;
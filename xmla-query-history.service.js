@@ -0,0 +1,168 @@
+const XMLAQueryHistoryModel = require('../models/xmla-query-history.model');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Query History Service
+ * Records every DAX execution to the query history table and applies
+ * per-tenant retention policies to it
+ * Day 16: Compliance - Query History
+ */
+class XMLAQueryHistoryService {
+  constructor() {
+    this.model = XMLAQueryHistoryModel;
+
+    this.config = {
+      enabled: process.env.XMLA_HISTORY_ENABLED !== 'false',
+      // Days kept for tenants without their own policy; 0 keeps history indefinitely
+      defaultRetentionDays: parseInt(process.env.XMLA_HISTORY_RETENTION_DAYS || '90'),
+      purgeInterval: parseInt(process.env.XMLA_HISTORY_PURGE_INTERVAL || '21600000') // 6 hours
+    };
+
+    // Per-tenant retention, e.g. XMLA_HISTORY_RETENTION_POLICIES='{"<tenantId>": {"retentionDays": 365}}'
+    this.policies = new Map();
+    Object.entries(this.parsePolicies(process.env.XMLA_HISTORY_RETENTION_POLICIES))
+      .forEach(([tenantId, policy]) => this.registerPolicy(tenantId, policy));
+
+    // Writes in flight, awaited on shutdown so no execution goes unrecorded
+    this.pendingWrites = new Set();
+    this.purgeTimer = null;
+
+    this.stats = {
+      recorded: 0,
+      failedWrites: 0,
+      purged: 0,
+      lastPurgeAt: null
+    };
+  }
+
+  parsePolicies(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Invalid XMLA_HISTORY_RETENTION_POLICIES, ignoring: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Configure (or replace) a tenant's retention policy
+   */
+  registerPolicy(tenantId, policy) {
+    this.policies.set(tenantId, { retentionDays: this.config.defaultRetentionDays, ...policy });
+    logger.info(`Query history retention configured for tenant ${tenantId}`, this.policies.get(tenantId));
+  }
+
+  getRetentionPolicy(tenantId) {
+    return this.policies.get(tenantId) || { retentionDays: this.config.defaultRetentionDays };
+  }
+
+  /**
+   * Store one execution. Never throws: a history write failing must not fail the query.
+   */
+  record(entry) {
+    if (!this.config.enabled) {
+      return Promise.resolve(null);
+    }
+
+    const write = this.model.create(entry)
+      .then(saved => {
+        this.stats.recorded++;
+        return saved;
+      })
+      .catch(error => {
+        this.stats.failedWrites++;
+        logger.error(`Failed to record query history for ${entry.queryId}: ${error.message}`);
+        return null;
+      })
+      .finally(() => this.pendingWrites.delete(write));
+
+    this.pendingWrites.add(write);
+    return write;
+  }
+
+  /**
+   * Search history (see XMLAQueryHistoryModel.find for filters)
+   */
+  find(filters) {
+    return this.model.find(filters);
+  }
+
+  /**
+   * Delete history past each tenant's retention. Tenants with a policy are purged
+   * one by one; everyone else shares the default retention.
+   */
+  async applyRetention() {
+    const now = Date.now();
+    const cutoff = days => new Date(now - days * 24 * 60 * 60 * 1000);
+    let purged = 0;
+
+    for (const [tenantId, policy] of this.policies) {
+      if (policy.retentionDays > 0) {
+        purged += await this.model.deleteOlderThan(cutoff(policy.retentionDays), { tenantId });
+      }
+    }
+
+    if (this.config.defaultRetentionDays > 0) {
+      purged += await this.model.deleteOlderThan(cutoff(this.config.defaultRetentionDays), {
+        excludeTenantIds: Array.from(this.policies.keys())
+      });
+    }
+
+    this.stats.purged += purged;
+    this.stats.lastPurgeAt = new Date(now);
+    if (purged > 0) {
+      logger.info(`Purged ${purged} query history entries past retention`);
+    }
+    return purged;
+  }
+
+  /**
+   * Purge now, then every purgeInterval, so a restart never postpones retention by a full interval
+   */
+  startRetention() {
+    if (this.purgeTimer || !this.config.enabled) {
+      return;
+    }
+
+    const purge = () => this.applyRetention().catch(error => {
+      logger.error(`Query history retention failed: ${error.message}`);
+    });
+
+    this.purgeTimer = setInterval(purge, this.config.purgeInterval);
+    purge();
+
+    // Retention alone shouldn't keep the process alive
+    this.purgeTimer.unref();
+  }
+
+  stopRetention() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  /**
+   * Stop purging and wait for in-flight writes
+   */
+  async shutdown() {
+    this.stopRetention();
+    await Promise.all(Array.from(this.pendingWrites));
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.config.enabled,
+      pendingWrites: this.pendingWrites.size,
+      defaultRetentionDays: this.config.defaultRetentionDays,
+      configuredTenants: this.policies.size
+    };
+  }
+}
+
+module.exports = new XMLAQueryHistoryService();
@@ -0,0 +1,166 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Query Scheduler
+ * Bounds concurrent DAX executions globally and per tenant, with round-robin fairness across tenants
+ * Day 16: Query Performance - Batch Scheduling
+ */
+class XMLAQuerySchedulerService {
+  constructor() {
+    this.config = {
+      maxConcurrency: parseInt(process.env.XMLA_MAX_CONCURRENT_QUERIES || '8'),
+      maxConcurrencyPerTenant: parseInt(process.env.XMLA_MAX_CONCURRENT_QUERIES_PER_TENANT || '4')
+    };
+
+    // tenantId -> queued tasks (FIFO within a tenant)
+    this.queues = new Map();
+    this.runningByTenant = new Map();
+    this.running = 0;
+
+    // Round-robin position over tenants with queued work
+    this.cursor = 0;
+
+    this.stats = {
+      scheduled: 0,
+      completed: 0,
+      failed: 0,
+      skipped: 0,
+      maxQueueDepth: 0,
+      totalWaitTime: 0
+    };
+
+    logger.info('XMLA query scheduler initialized', this.config);
+  }
+
+  /**
+   * Queue a task for a tenant; resolves with the task's result once it has run.
+   * isCancelled is checked when the task reaches the front of the queue, so a
+   * fail-fast batch can drop work that hasn't started yet.
+   */
+  schedule(tenantId, task, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (!this.queues.has(tenantId)) {
+        this.queues.set(tenantId, []);
+      }
+
+      this.queues.get(tenantId).push({
+        tenantId,
+        task,
+        isCancelled: options.isCancelled || (() => false),
+        enqueuedAt: Date.now(),
+        resolve,
+        reject
+      });
+
+      this.stats.scheduled++;
+      this.stats.maxQueueDepth = Math.max(this.stats.maxQueueDepth, this.getQueueDepth());
+
+      this.pump();
+    });
+  }
+
+  /**
+   * Start queued tasks while capacity is available
+   */
+  pump() {
+    while (this.running < this.config.maxConcurrency) {
+      const entry = this.nextEntry();
+      if (!entry) {
+        return;
+      }
+
+      if (entry.isCancelled()) {
+        this.stats.skipped++;
+        const error = new Error('Query skipped because the batch was aborted');
+        error.code = 'XMLA_QUERY_SKIPPED';
+        entry.reject(error);
+        continue;
+      }
+
+      this.start(entry);
+    }
+  }
+
+  /**
+   * Pick the next task, rotating across tenants that are under their own limit
+   */
+  nextEntry() {
+    const tenants = Array.from(this.queues.keys());
+
+    for (let i = 0; i < tenants.length; i++) {
+      const index = (this.cursor + i) % tenants.length;
+      const tenantId = tenants[index];
+
+      if ((this.runningByTenant.get(tenantId) || 0) >= this.config.maxConcurrencyPerTenant) {
+        continue;
+      }
+
+      const queue = this.queues.get(tenantId);
+      const entry = queue.shift();
+      if (queue.length === 0) {
+        this.queues.delete(tenantId);
+      }
+
+      this.cursor = index + 1;
+      return entry;
+    }
+
+    return null;
+  }
+
+  async start(entry) {
+    const { tenantId } = entry;
+
+    this.running++;
+    this.runningByTenant.set(tenantId, (this.runningByTenant.get(tenantId) || 0) + 1);
+    this.stats.totalWaitTime += Date.now() - entry.enqueuedAt;
+
+    try {
+      const result = await entry.task();
+      this.stats.completed++;
+      entry.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      entry.reject(error);
+    } finally {
+      this.running--;
+      const remaining = this.runningByTenant.get(tenantId) - 1;
+      if (remaining > 0) {
+        this.runningByTenant.set(tenantId, remaining);
+      } else {
+        this.runningByTenant.delete(tenantId);
+      }
+      this.pump();
+    }
+  }
+
+  getQueueDepth() {
+    let depth = 0;
+    for (const queue of this.queues.values()) {
+      depth += queue.length;
+    }
+    return depth;
+  }
+
+  /**
+   * Get scheduler statistics
+   */
+  getStats() {
+    const started = this.stats.completed + this.stats.failed + this.running;
+
+    return {
+      ...this.stats,
+      maxConcurrency: this.config.maxConcurrency,
+      maxConcurrencyPerTenant: this.config.maxConcurrencyPerTenant,
+      running: this.running,
+      queueDepth: this.getQueueDepth(),
+      queueDepthByTenant: Object.fromEntries(
+        Array.from(this.queues.entries()).map(([tenantId, queue]) => [tenantId, queue.length])
+      ),
+      runningByTenant: Object.fromEntries(this.runningByTenant),
+      averageWaitTimeMs: started > 0 ? Math.round(this.stats.totalWaitTime / started) : 0
+    };
+  }
+}
+
+module.exports = new XMLAQuerySchedulerService();
@@ -0,0 +1,305 @@
+const DAXSemanticValidatorService = require('./dax-semantic-validator.service');
+const XMLASavedQueryService = require('./xmla-saved-query.service');
+const XMLAResultNormalizerService = require('./xmla-result-normalizer.service');
+
+/**
+ * XMLA Query Spec Compiler
+ * Compiles a structured query spec (group-by columns, measures, filters, sort and
+ * top-N) to SUMMARIZECOLUMNS DAX, checking every reference against the dataset's
+ * extracted metadata first. Filter values become typed literals, never query text.
+ * Day 16: Query Builder - Structured Query Specs
+ */
+
+// Filter values are formatted by the saved query literal rules for these column types
+const LITERAL_TYPES = {
+  String: 'string',
+  Int64: 'number',
+  Double: 'number',
+  Decimal: 'number',
+  DateTime: 'date'
+};
+
+const DATE_UNITS = ['day', 'week', 'month', 'quarter', 'year'];
+
+class XMLAQuerySpecService {
+  constructor() {
+    this.semanticValidator = DAXSemanticValidatorService;
+    this.savedQueries = XMLASavedQueryService;
+    this.resultNormalizer = XMLAResultNormalizerService;
+  }
+
+  /**
+   * Compile a spec against dataset metadata (as returned by getCachedMetadata).
+   * Spec: { groupBy: [{ table, column }], measures: [{ name, as }],
+   *         filters: [{ table, column, operator, value | values | from, to | unit, last, includeCurrent }],
+   *         orderBy: [{ column: { table, column } | measure, direction }], top }
+   * Returns { query, errors }; query is null when there are errors.
+   */
+  compile(spec, metadata, { today = new Date() } = {}) {
+    const schema = this.buildSchema(metadata);
+    const errors = [];
+
+    const groupBy = (spec.groupBy || []).map((ref, i) => this.resolveColumn(schema, ref, `groupBy[${i}]`, errors));
+
+    const measures = (spec.measures || []).map((ref, i) => {
+      const measure = schema.measures.get(ref.name.toLowerCase());
+      if (!measure) {
+        errors.push(this.notFound(`measures[${i}]`, `Measure [${ref.name}]`, ref.name,
+          Array.from(schema.measures.values()).map(m => m.name), name => `[${name}]`));
+        return null;
+      }
+      return { name: measure.name, alias: ref.as || measure.name };
+    });
+
+    const aliases = new Map();
+    measures.forEach((measure, i) => {
+      if (!measure) {
+        return;
+      }
+      if (aliases.has(measure.alias.toLowerCase())) {
+        errors.push(`measures[${i}]: "${measure.alias}" is used for two measures; give one of them a different "as"`);
+      }
+      aliases.set(measure.alias.toLowerCase(), measure);
+    });
+
+    const filters = (spec.filters || []).map((filter, i) => {
+      const path = `filters[${i}]`;
+      const column = this.resolveColumn(schema, filter, path, errors);
+      return column ? this.compileFilter(filter, column, path, errors, today) : null;
+    });
+
+    const orderBy = (spec.orderBy || []).map((item, i) => {
+      const path = `orderBy[${i}]`;
+      const direction = (item.direction || 'asc').toUpperCase();
+
+      if (item.measure) {
+        const measure = aliases.get(item.measure.toLowerCase()) ||
+          measures.find(m => m && m.name.toLowerCase() === item.measure.toLowerCase());
+        if (!measure) {
+          errors.push(`${path}: Measure "${item.measure}" is not in measures, so the result can't be sorted by it`);
+          return null;
+        }
+        return { dax: this.bracket(measure.alias), direction };
+      }
+
+      const column = groupBy.find(c => c &&
+        c.table.toLowerCase() === item.column.table.toLowerCase() && c.name.toLowerCase() === item.column.column.toLowerCase());
+      if (!column) {
+        errors.push(`${path}: Column ${this.columnDAX(item.column.table, item.column.column)} is not in groupBy, so the result can't be sorted by it`);
+        return null;
+      }
+      return { dax: column.dax, direction };
+    });
+
+    if (spec.top && orderBy.length === 0) {
+      errors.push('top: needs orderBy to decide which rows come first');
+    }
+
+    if (errors.length > 0) {
+      return { query: null, errors };
+    }
+
+    const query = this.buildQuery({ groupBy, measures, filters, orderBy, top: spec.top });
+
+    // The compiler only emits known references, so this catches compiler bugs rather than user errors
+    const validation = this.semanticValidator.validate(query, metadata);
+    return validation.isValid ? { query, errors: [] } : { query: null, errors: validation.errors };
+  }
+
+  /**
+   * Case-insensitive lookups of the dataset's tables, columns (with DAX type) and measures
+   */
+  buildSchema(metadata) {
+    const tables = new Map();
+    (metadata?.tables || []).forEach(table => {
+      tables.set(table.name.toLowerCase(), { name: table.name, columns: new Map() });
+    });
+
+    (metadata?.columns || []).forEach(column => {
+      const table = tables.get(String(column.tableName).toLowerCase());
+      if (table) {
+        table.columns.set(column.name.toLowerCase(), {
+          table: table.name,
+          name: column.name,
+          dataType: this.resultNormalizer.toDAXType(column.dataType)
+        });
+      }
+    });
+
+    const measures = new Map((metadata?.measures || []).map(measure => [measure.name.toLowerCase(), measure]));
+    return { tables, measures };
+  }
+
+  resolveColumn(schema, ref, path, errors) {
+    const table = schema.tables.get(ref.table.toLowerCase());
+    if (!table) {
+      errors.push(this.notFound(path, `Table '${ref.table}'`, ref.table,
+        Array.from(schema.tables.values()).map(t => t.name), name => `'${name}'`));
+      return null;
+    }
+
+    const column = table.columns.get(ref.column.toLowerCase());
+    if (!column) {
+      errors.push(this.notFound(path, `Column ${this.columnDAX(table.name, ref.column)}`, ref.column,
+        Array.from(table.columns.values()).map(c => c.name), name => this.columnDAX(table.name, name)));
+      return null;
+    }
+
+    return { ...column, dax: this.columnDAX(column.table, column.name) };
+  }
+
+  notFound(path, label, name, candidates, format) {
+    const suggestions = this.semanticValidator.suggest(name, candidates).map(format);
+    return `${path}: ${label} not found${suggestions.length > 0 ? `. Did you mean ${suggestions.join(', ')}?` : ''}`;
+  }
+
+  /**
+   * A filter table for SUMMARIZECOLUMNS: TREATAS for value lists, FILTER over ALL for ranges
+   */
+  compileFilter(filter, column, path, errors, today) {
+    const literal = (value, valuePath) => {
+      try {
+        return this.toLiteral(column, value);
+      } catch (error) {
+        errors.push(`${valuePath} ${error.message}`);
+        return null;
+      }
+    };
+
+    switch (filter.operator) {
+      case 'equals':
+        return `TREATAS({ ${literal(filter.value, `${path}.value`)} }, ${column.dax})`;
+
+      case 'in':
+        return `TREATAS({ ${filter.values.map((value, i) => literal(value, `${path}.values[${i}]`)).join(', ')} }, ${column.dax})`;
+
+      case 'between': {
+        const conditions = [];
+        if (filter.from !== undefined) {
+          conditions.push(`${column.dax} >= ${literal(filter.from, `${path}.from`)}`);
+        }
+        if (filter.to !== undefined) {
+          conditions.push(`${column.dax} <= ${literal(filter.to, `${path}.to`)}`);
+        }
+        if (conditions.length === 0) {
+          errors.push(`${path}: between needs from, to or both`);
+          return null;
+        }
+        return `FILTER(ALL(${column.dax}), ${conditions.join(' && ')})`;
+      }
+
+      case 'relativeDate': {
+        if (column.dataType && column.dataType !== 'DateTime') {
+          errors.push(`${path}: relativeDate needs a date column, ${column.dax} is ${column.dataType}`);
+          return null;
+        }
+        const { start, end } = this.relativeDateRange(filter.unit, filter.last, filter.includeCurrent !== false, today);
+        return `FILTER(ALL(${column.dax}), ${column.dax} >= ${this.dateLiteral(start)} && ${column.dax} < ${this.dateLiteral(end)})`;
+      }
+
+      default:
+        errors.push(`${path}: unknown operator "${filter.operator}"`);
+        return null;
+    }
+  }
+
+  /**
+   * DAX literal for a filter value, typed by the column (or by the value if the column type is unknown)
+   */
+  toLiteral(column, value) {
+    if (column.dataType === 'Boolean' || (!column.dataType && typeof value === 'boolean')) {
+      if (typeof value !== 'boolean') {
+        throw new Error('must be true or false');
+      }
+      return value ? 'TRUE()' : 'FALSE()';
+    }
+
+    const type = LITERAL_TYPES[column.dataType] || (typeof value === 'number' ? 'number' : 'string');
+    return this.savedQueries.formatLiteral(type, value);
+  }
+
+  /**
+   * [start, end) of the last `last` whole calendar periods in UTC, including the current
+   * one if includeCurrent. Weeks start on Monday.
+   */
+  relativeDateRange(unit, last, includeCurrent, today) {
+    if (!DATE_UNITS.includes(unit)) {
+      throw new Error(`Unknown date unit "${unit}"`);
+    }
+
+    const current = this.periodStart(unit, today);
+    const end = includeCurrent ? this.addPeriods(unit, current, 1) : current;
+    return { start: this.addPeriods(unit, end, -last), end };
+  }
+
+  periodStart(unit, date) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    switch (unit) {
+      case 'week':
+        return new Date(Date.UTC(year, month, day - ((date.getUTCDay() + 6) % 7)));
+      case 'month':
+        return new Date(Date.UTC(year, month, 1));
+      case 'quarter':
+        return new Date(Date.UTC(year, month - (month % 3), 1));
+      case 'year':
+        return new Date(Date.UTC(year, 0, 1));
+      default:
+        return new Date(Date.UTC(year, month, day));
+    }
+  }
+
+  addPeriods(unit, start, count) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth();
+    const day = start.getUTCDate();
+
+    switch (unit) {
+      case 'week':
+        return new Date(Date.UTC(year, month, day + count * 7));
+      case 'month':
+        return new Date(Date.UTC(year, month + count, 1));
+      case 'quarter':
+        return new Date(Date.UTC(year, month + count * 3, 1));
+      case 'year':
+        return new Date(Date.UTC(year + count, 0, 1));
+      default:
+        return new Date(Date.UTC(year, month, day + count));
+    }
+  }
+
+  dateLiteral(date) {
+    return this.savedQueries.formatLiteral('date', date.toISOString().slice(0, 10));
+  }
+
+  buildQuery({ groupBy, measures, filters, orderBy, top }) {
+    const vars = filters.map((filter, i) => `VAR __Filter${i} = ${filter}`);
+    const args = [
+      ...groupBy.map(column => column.dax),
+      ...vars.map((_, i) => `__Filter${i}`),
+      ...measures.map(measure => `"${measure.alias.replace(/"/g, '""')}", ${this.bracket(measure.name)}`)
+    ];
+
+    let table = `SUMMARIZECOLUMNS(\n    ${args.join(',\n    ')}\n  )`;
+    if (top) {
+      const topnOrder = orderBy.map(item => `${item.dax}, ${item.direction}`).join(', ');
+      table = `TOPN(\n    ${top},\n    ${table.replace(/\n/g, '\n  ')},\n    ${topnOrder}\n  )`;
+    }
+
+    const define = vars.length > 0 ? `DEFINE\n  ${vars.join('\n  ')}\n` : '';
+    const order = orderBy.length > 0 ? `\nORDER BY ${orderBy.map(item => `${item.dax} ${item.direction}`).join(', ')}` : '';
+    return `${define}EVALUATE\n  ${table}${order}`;
+  }
+
+  bracket(name) {
+    return `[${name.replace(/]/g, ']]')}]`;
+  }
+
+  columnDAX(table, column) {
+    return `'${table.replace(/'/g, '\'\'')}'${this.bracket(column)}`;
+  }
+}
+
+module.exports = new XMLAQuerySpecService();
@@ -0,0 +1,313 @@
+const { pipeline } = require('stream/promises');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Result Export
+ * Streams a normalized result table (see XMLAResultNormalizerService) as CSV, XLSX,
+ * Apache Arrow IPC or Parquet, typed by its column descriptors. Rows are written a batch
+ * at a time so the encoded file is never held whole; given as an async iterable of pages
+ * (see the controller's paged exports), no more than one page of the result is held either.
+ * Day 16: Query Results - Export
+ */
+
+// format -> content type, file extension and the optional package that writes it
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv', module: null },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    module: 'exceljs'
+  },
+  arrow: { contentType: 'application/vnd.apache.arrow.stream', extension: 'arrows', module: 'apache-arrow' },
+  parquet: { contentType: 'application/vnd.apache.parquet', extension: 'parquet', module: 'parquetjs' }
+};
+
+// Accept header media types -> format
+const MEDIA_TYPES = {
+  'text/csv': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.apache.arrow.stream': 'arrow',
+  'application/vnd.apache.parquet': 'parquet'
+};
+
+// Excel's row limit, less the header row
+const MAX_XLSX_ROWS = 1048575;
+
+class XMLAResultExportService {
+  constructor() {
+    this.config = {
+      batchRows: parseInt(process.env.XMLA_EXPORT_BATCH_ROWS || '5000')
+    };
+    this.formats = Object.keys(FORMATS);
+    this.modules = new Map();
+  }
+
+  /**
+   * Format for an Accept header, or null if it asks for none of the export types
+   */
+  formatFromAccept(accept) {
+    const mediaTypes = (accept || '').split(',').map(part => part.split(';')[0].trim().toLowerCase());
+    const match = mediaTypes.find(mediaType => MEDIA_TYPES[mediaType]);
+    return match ? MEDIA_TYPES[match] : null;
+  }
+
+  /**
+   * Writer packages are optional dependencies, loaded on first export in that format
+   */
+  load(name) {
+    if (!this.modules.has(name)) {
+      try {
+        this.modules.set(name, require(name));
+      } catch (error) {
+        const unavailable = new Error(`Export format needs the "${name}" package, which is not installed`);
+        unavailable.code = 'XMLA_EXPORT_UNAVAILABLE';
+        throw unavailable;
+      }
+    }
+    return this.modules.get(name);
+  }
+
+  /**
+   * Throw XMLA_EXPORT_UNAVAILABLE if the format's writer package isn't installed
+   */
+  assertAvailable(format) {
+    const { module } = FORMATS[format] || {};
+    if (module) {
+      this.load(module);
+    }
+  }
+
+  /**
+   * Decimal values are kept as strings by the normalizer; binary formats store them as numbers
+   */
+  toStored(column, value) {
+    return column.dataType === 'Decimal' && value !== null ? Number(value) : value;
+  }
+
+  /**
+   * Stream a normalized table ({ columns, rows }) to the response in the given format.
+   * rows is an array, or an async iterable of row arrays (pages) fetched as they're written.
+   * Throws XMLA_EXPORT_UNAVAILABLE / XMLA_EXPORT_TOO_LARGE before anything is written when
+   * rows is an array; a paged export that outgrows XLSX fails mid-stream instead.
+   */
+  async export(format, { columns, rows }, res, { fileName, signal } = {}) {
+    const { contentType, extension, module } = FORMATS[format];
+    const lib = module ? this.load(module) : null;
+    const paged = !Array.isArray(rows);
+    const maxRows = format === 'xlsx' ? MAX_XLSX_ROWS : Infinity;
+
+    if (!paged && rows.length > maxRows) {
+      throw this.tooLarge(rows.length);
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${(fileName || 'query-results').replace(/[^A-Za-z0-9._-]+/g, '_')}.${extension}"`,
+      // Unknown up front for a paged export
+      ...(paged ? {} : { 'X-Row-Count': String(rows.length) })
+    });
+
+    const startTime = Date.now();
+    const counter = { rows: 0 };
+    const batches = this.batches(paged ? rows : [rows], { signal, maxRows, counter });
+
+    switch (format) {
+      case 'csv':
+        await this.writeCSV(columns, batches, res);
+        break;
+      case 'xlsx':
+        await this.writeXLSX(lib, columns, batches, res);
+        break;
+      case 'arrow':
+        await this.writeArrow(lib, columns, batches, res);
+        break;
+      case 'parquet':
+        await this.writeParquet(lib, columns, batches, res);
+        break;
+    }
+
+    logger.info(`Exported ${counter.rows} rows as ${format}`, {
+      columns: columns.length,
+      paged,
+      durationMs: Date.now() - startTime,
+      aborted: signal?.aborted || false
+    });
+  }
+
+  // rowCount is unknown when a paged export runs past the limit
+  tooLarge(rowCount) {
+    const error = new Error(`XLSX holds at most ${MAX_XLSX_ROWS} rows; this result has ${rowCount ?? 'more'}. Use CSV, Arrow or Parquet.`);
+    error.code = 'XMLA_EXPORT_TOO_LARGE';
+    return error;
+  }
+
+  /**
+   * Rows of each page in batches, yielding to the event loop between them; stops when the
+   * client goes away. counter.rows tracks the rows written so far.
+   */
+  async *batches(pages, { signal, maxRows, counter }) {
+    for await (const rows of pages) {
+      for (let start = 0; start < rows.length; start += this.config.batchRows) {
+        if (signal?.aborted) {
+          return;
+        }
+        const batch = rows.slice(start, start + this.config.batchRows);
+        if (counter.rows + batch.length > maxRows) {
+          throw this.tooLarge();
+        }
+        counter.rows += batch.length;
+        yield batch;
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      if (signal?.aborted) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Write respecting backpressure; resolves early if the response is closed
+   */
+  write(res, chunk) {
+    if (res.write(chunk)) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+
+  async writeCSV(columns, batches, res) {
+    const cell = (value, isText = true) => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+      let text = value instanceof Date ? value.toISOString() : String(value);
+      // Keep spreadsheets from evaluating text cells as formulas
+      if (isText && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    // BOM so Excel opens the file as UTF-8
+    await this.write(res, '\uFEFF' + columns.map(column => cell(column.name)).join(',') + '\r\n');
+
+    for await (const batch of batches) {
+      const lines = batch.map(row => columns
+        .map((column, i) => cell(row[i], column.dataType === 'String'))
+        .join(','));
+      await this.write(res, lines.join('\r\n') + '\r\n');
+    }
+
+    res.end();
+  }
+
+  async writeXLSX(ExcelJS, columns, batches, res) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet('Results');
+
+    sheet.columns = columns.map(column => ({
+      header: column.name,
+      width: Math.min(Math.max(column.name.length + 2, 12), 60),
+      style: column.dataType === 'DateTime' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {}
+    }));
+
+    for await (const batch of batches) {
+      batch.forEach(row => {
+        sheet.addRow(columns.map((column, i) => this.toStored(column, row[i]))).commit();
+      });
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+
+  async writeArrow(arrow, columns, batches, res) {
+    const arrowTypes = {
+      String: () => new arrow.Utf8(),
+      Int64: () => new arrow.Int64(),
+      Double: () => new arrow.Float64(),
+      Decimal: () => new arrow.Float64(),
+      Boolean: () => new arrow.Bool(),
+      DateTime: () => new arrow.TimestampMillisecond()
+    };
+    const toArrow = (column, value) => {
+      if (value === null) {
+        return null;
+      }
+      if (column.dataType === 'Int64') {
+        return BigInt(Math.trunc(value));
+      }
+      return column.dataType === 'DateTime' ? value.getTime() : this.toStored(column, value);
+    };
+
+    const writer = new arrow.RecordBatchStreamWriter();
+    const done = pipeline(writer.toNodeStream(), res);
+    let wrote = false;
+
+    const writeBatch = batch => {
+      const vectors = Object.fromEntries(columns.map((column, i) => [
+        column.name,
+        arrow.vectorFromArray(batch.map(row => toArrow(column, row[i])), arrowTypes[column.dataType]())
+      ]));
+      writer.write(new arrow.Table(vectors));
+      wrote = true;
+    };
+
+    for await (const batch of batches) {
+      writeBatch(batch);
+    }
+    if (!wrote) {
+      // An empty result still carries its schema
+      writeBatch([]);
+    }
+
+    writer.finish();
+    await done;
+  }
+
+  async writeParquet(parquet, columns, batches, res) {
+    const parquetTypes = {
+      String: 'UTF8',
+      Int64: 'INT64',
+      Double: 'DOUBLE',
+      Decimal: 'DOUBLE',
+      Boolean: 'BOOLEAN',
+      DateTime: 'TIMESTAMP_MILLIS'
+    };
+    // parquetjs uses "," to separate nested field paths
+    const fieldName = column => column.name.replace(/,/g, '_');
+
+    const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(column => [
+      fieldName(column),
+      { type: parquetTypes[column.dataType], optional: true }
+    ])));
+    const writer = await parquet.ParquetWriter.openStream(schema, res);
+
+    for await (const batch of batches) {
+      for (const row of batch) {
+        const record = {};
+        columns.forEach((column, i) => {
+          const value = this.toStored(column, row[i]);
+          if (value !== null) {
+            record[fieldName(column)] = value;
+          }
+        });
+        await writer.appendRow(record);
+      }
+    }
+
+    // Flushes the last row group and the footer, then ends the response
+    await writer.close();
+  }
+}
+
+module.exports = new XMLAResultExportService();
@@ -0,0 +1,198 @@
+/**
+ * XMLA Result Normalizer
+ * Turns the executeQueries response (results[].tables[].rows of keyed objects) into
+ * typed tables: column descriptors with source table, DAX type and nullability, and
+ * rows as arrays of converted values in column order.
+ * Day 16: Query Results - Normalized Result Model
+ */
+
+// Column DATA_TYPE values from INFORMATION_SCHEMA_COLUMNS (type names or OLE DB codes) -> DAX type
+const DATA_TYPES = {
+  string: 'String', text: 'String', wstr: 'String', 130: 'String', 8: 'String',
+  int64: 'Int64', integer: 'Int64', 'whole number': 'Int64', 20: 'Int64', 3: 'Int64', 2: 'Int64',
+  double: 'Double', 'decimal number': 'Double', 5: 'Double', 4: 'Double',
+  decimal: 'Decimal', currency: 'Decimal', 'fixed decimal number': 'Decimal', 6: 'Decimal', 131: 'Decimal',
+  boolean: 'Boolean', 11: 'Boolean',
+  datetime: 'DateTime', date: 'DateTime', time: 'DateTime', 7: 'DateTime', 135: 'DateTime'
+};
+
+// Rows sampled to infer the type of a column without metadata
+const INFERENCE_SAMPLE = 1000;
+
+// 'Table Name'[Column], Table[Column] or [Measure]; quotes and brackets are escaped by doubling
+const COLUMN_KEY = /^(?:'((?:[^']|'')*)'|([^'[\]]*))\[((?:[^\]]|\]\])*)\]$/;
+
+const ISO_DATETIME = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+class XMLAResultNormalizerService {
+  /**
+   * Normalize an executeQueries response. Every table of every result is included.
+   * metadata: { columns: [{ tableName, name, dataType }], measures: [{ name, dataType }] }
+   * types columns where available; other columns are typed from their values.
+   * Returns { tables: [{ resultIndex, columns, rows, rowCount }], rowCount } where
+   * rowCount is that of the first table.
+   */
+  normalize(raw, metadata = {}) {
+    const declaredTypes = new Map([
+      ...(metadata.measures || []).map(measure => [this.typeKey(null, measure.name), measure.dataType]),
+      ...(metadata.columns || []).map(column => [this.typeKey(column.tableName, column.name), column.dataType])
+    ]);
+
+    const tables = [];
+    (raw?.results || []).forEach((result, resultIndex) => {
+      (result?.tables || []).forEach(table => {
+        tables.push({ resultIndex, ...this.normalizeTable(table.rows || [], declaredTypes) });
+      });
+    });
+
+    return {
+      tables,
+      rowCount: tables.length > 0 ? tables[0].rowCount : 0
+    };
+  }
+
+  /**
+   * Row count of the first table of an executeQueries response, without normalizing it
+   */
+  countRows(raw) {
+    return raw?.results?.[0]?.tables?.[0]?.rows?.length || 0;
+  }
+
+  normalizeTable(rows, declaredTypes = new Map()) {
+    // Power BI leaves null values out of a row, so any row can introduce a key
+    const keys = [];
+    const seen = new Set();
+    rows.forEach(row => Object.keys(row).forEach(key => {
+      if (!seen.has(key)) {
+        seen.add(key);
+        keys.push(key);
+      }
+    }));
+
+    const columns = keys.map(key => {
+      const { table, name } = this.parseColumnKey(key);
+      const declared = this.toDAXType(declaredTypes.get(this.typeKey(table, name)));
+
+      return {
+        name,
+        key,
+        table,
+        dataType: declared || this.inferType(rows, key),
+        typeSource: declared ? 'metadata' : 'inferred',
+        nullable: rows.some(row => row[key] === null || row[key] === undefined)
+      };
+    });
+
+    // Same column name from two tables: fall back to the full key so names stay unique
+    const counts = columns.reduce((acc, column) => acc.set(column.name, (acc.get(column.name) || 0) + 1), new Map());
+    columns.forEach(column => {
+      if (counts.get(column.name) > 1) {
+        column.name = column.key;
+      }
+    });
+
+    return {
+      columns,
+      rows: rows.map(row => columns.map(column => this.convert(column.dataType, row[column.key]))),
+      rowCount: rows.length
+    };
+  }
+
+  /**
+   * Split a result key into source table and column name. Plain names (e.g. from
+   * SELECTCOLUMNS aliases without brackets) have no table.
+   */
+  parseColumnKey(key) {
+    const match = COLUMN_KEY.exec(key);
+    if (!match) {
+      return { table: null, name: key };
+    }
+
+    const table = match[1] !== undefined ? match[1].replace(/''/g, '\'') : match[2];
+    return {
+      table: table || null,
+      name: match[3].replace(/\]\]/g, ']')
+    };
+  }
+
+  /**
+   * DAX type of a metadata DATA_TYPE (type name or OLE DB code), null if unknown
+   */
+  toDAXType(dataType) {
+    return DATA_TYPES[String(dataType ?? '').toLowerCase()] || null;
+  }
+
+  typeKey(table, name) {
+    return `${table || ''}|${name}`.toLowerCase();
+  }
+
+  inferType(rows, key) {
+    const values = [];
+    for (const row of rows) {
+      if (values.length >= INFERENCE_SAMPLE) {
+        break;
+      }
+      if (row[key] !== null && row[key] !== undefined) {
+        values.push(row[key]);
+      }
+    }
+
+    if (values.length === 0) {
+      return 'String';
+    }
+    if (values.every(value => typeof value === 'boolean')) {
+      return 'Boolean';
+    }
+    if (values.every(value => typeof value === 'number')) {
+      return values.every(Number.isInteger) ? 'Int64' : 'Double';
+    }
+    if (values.every(value => typeof value === 'string' && ISO_DATETIME.test(value))) {
+      return 'DateTime';
+    }
+    return 'String';
+  }
+
+  /**
+   * Convert a raw value to its DAX type, null when missing or unconvertible.
+   * DateTime becomes a Date; Power BI sends it without a zone, so it is read as UTC.
+   * Decimal (fixed decimal / currency) is returned as a string of the value Power BI sent.
+   */
+  convert(dataType, value) {
+    if (value === null || value === undefined || (value === '' && dataType !== 'String')) {
+      return null;
+    }
+
+    switch (dataType) {
+      case 'Int64':
+      case 'Double': {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+      }
+      case 'Decimal': {
+        const text = String(value).trim();
+        return Number.isFinite(Number(text)) ? text : null;
+      }
+      case 'Boolean':
+        return typeof value === 'boolean' ? value : String(value).toLowerCase() === 'true';
+      case 'DateTime': {
+        const text = String(value);
+        const date = new Date(/(Z|[+-]\d{2}:\d{2})$/.test(text) || !text.includes('T') ? text : `${text}Z`);
+        return Number.isNaN(date.getTime()) ? null : date;
+      }
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Rows of a normalized table as objects keyed by column name
+   */
+  toObjects(table) {
+    if (!table) {
+      return [];
+    }
+    return table.rows.map(row => Object.fromEntries(table.columns.map((column, i) => [column.name, row[i]])));
+  }
+}
+
+module.exports = new XMLAResultNormalizerService();
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const DAXParserService = require('./dax-parser.service');
+const XMLAResultNormalizerService = require('./xmla-result-normalizer.service');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Result Pager
+ * Opt-in server-side paging of EVALUATE ... ORDER BY queries. Each page runs the
+ * query wrapped in TOPN over the rows after the previous page's last ORDER BY key,
+ * so no page makes Power BI return the whole result. Continuation cursors are
+ * HMAC-signed, bound to the tenant, dataset, RLS identity and query, and expire.
+ * Day 16: Query Results - Pagination
+ */
+
+const CURSOR_VERSION = 1;
+
+class XMLAResultPagerService {
+  constructor() {
+    this.daxParser = DAXParserService;
+    this.resultNormalizer = XMLAResultNormalizerService;
+
+    this.config = {
+      defaultPageSize: parseInt(process.env.XMLA_PAGE_SIZE || '1000'),
+      maxPageSize: parseInt(process.env.XMLA_MAX_PAGE_SIZE || '10000'),
+      // Rows one query can be paged through in total
+      maxRows: parseInt(process.env.XMLA_PAGING_MAX_ROWS || '1000000'),
+      cursorTTL: parseInt(process.env.XMLA_CURSOR_TTL || '3600000') // 1 hour
+    };
+
+    // Cursors must verify on every node, so the secret should be shared config
+    this.secret = process.env.XMLA_CURSOR_SECRET;
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('XMLA_CURSOR_SECRET not set; paging cursors only work on this node until it restarts');
+    }
+
+    // Per-tenant caps, e.g. XMLA_PAGING_TENANT_LIMITS='{"<tenantId>": {"maxPageSize": 5000, "maxRows": 200000}}'
+    this.tenantLimits = new Map();
+    Object.entries(this.parseLimits(process.env.XMLA_PAGING_TENANT_LIMITS))
+      .forEach(([tenantId, limits]) => this.registerLimits(tenantId, limits));
+  }
+
+  parseLimits(value) {
+    if (!value) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      logger.warn(`Invalid XMLA_PAGING_TENANT_LIMITS, ignoring: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Configure (or replace) a tenant's page size and row caps
+   */
+  registerLimits(tenantId, limits) {
+    this.tenantLimits.set(tenantId, {
+      maxPageSize: this.config.maxPageSize,
+      maxRows: this.config.maxRows,
+      ...limits
+    });
+    logger.info(`Paging limits configured for tenant ${tenantId}`, this.tenantLimits.get(tenantId));
+  }
+
+  getLimits(tenantId) {
+    return this.tenantLimits.get(tenantId) || { maxPageSize: this.config.maxPageSize, maxRows: this.config.maxRows };
+  }
+
+  /**
+   * Plan the next page of a query: the rewritten query and what's needed to cut the page
+   * and issue the following cursor. Throws XMLA_PAGING_UNSUPPORTED for queries that can't
+   * be paged and XMLA_CURSOR_INVALID / XMLA_CURSOR_EXPIRED for bad cursors.
+   * scope is { tenantId, datasetId, identity }, identity being whose data the pages show
+   * (see XMLAQueryExecutorService.getCacheIdentity): a cursor's last key came from that view.
+   */
+  plan(queryText, { pageSize, cursor } = {}, { tenantId, datasetId, identity }) {
+    const limits = this.getLimits(tenantId);
+    const { prefix, tableExpression, orderBy } = this.analyze(queryText);
+    const queryHash = this.hashQuery(queryText);
+    const scopeHash = this.hashQuery(`${datasetId}\n${identity}`);
+
+    const state = cursor
+      ? this.decodeCursor(cursor, { tenantId, queryHash, scopeHash, keyCount: orderBy.length })
+      : { offset: 0, pageSize: pageSize || this.config.defaultPageSize, lastKey: null };
+
+    const size = Math.min(pageSize || state.pageSize, limits.maxPageSize);
+    const remaining = Math.max(limits.maxRows - state.offset, 0);
+    // One row more than the page shows whether another page follows
+    const limit = Math.min(size, remaining) + 1;
+
+    return {
+      query: this.buildQuery(prefix, tableExpression, orderBy, limit, state.lastKey),
+      limit,
+      tenantId,
+      queryHash,
+      scopeHash,
+      orderBy,
+      pageSize: size,
+      offset: state.offset,
+      remaining,
+      maxPageSize: limits.maxPageSize,
+      maxRows: limits.maxRows
+    };
+  }
+
+  /**
+   * Split a query into its DEFINE block, the EVALUATE table expression and its ORDER BY
+   * columns. Paging needs exactly one EVALUATE, ordered by column references, without START AT.
+   */
+  analyze(queryText) {
+    const { ast, tokens } = this.daxParser.parse(queryText);
+    const evaluates = ast?.statements || [];
+
+    if (evaluates.length !== 1) {
+      throw this.unsupported('Paging needs a query with exactly one EVALUATE statement');
+    }
+
+    const [statement] = evaluates;
+    if (statement.orderBy.length === 0) {
+      throw this.unsupported('Paging needs an ORDER BY clause so pages follow a stable order');
+    }
+    if (statement.startAt.length > 0) {
+      throw this.unsupported('Paging sets START AT itself; remove it from the query');
+    }
+
+    const orderBy = statement.orderBy.map(item => {
+      const { expression } = item;
+      if (expression.type === 'ColumnReference') {
+        return { table: expression.table, column: expression.column, direction: item.direction, dax: this.columnDAX(expression.table, expression.column) };
+      }
+      if (expression.type === 'BracketReference') {
+        return { table: null, column: expression.name, direction: item.direction, dax: this.columnDAX(null, expression.name) };
+      }
+      throw this.unsupported('Paging can only order by columns, e.g. ORDER BY \'Sales\'[Date], [Total Sales] DESC');
+    });
+
+    const isKeyword = (token, word) => token.type === this.daxParser.TokenType.IDENTIFIER && token.value.toUpperCase() === word;
+    const evaluateToken = tokens.find(token => isKeyword(token, 'EVALUATE'));
+    const orderIndex = tokens.findIndex((token, i) => token.offset > evaluateToken.offset &&
+      isKeyword(token, 'ORDER') && tokens[i + 1] && isKeyword(tokens[i + 1], 'BY'));
+
+    // Ends at the expression's last token, so a trailing line comment can't swallow what follows it
+    return {
+      prefix: queryText.slice(0, evaluateToken.offset),
+      tableExpression: queryText.slice(evaluateToken.end, tokens[orderIndex - 1].end).trim(),
+      orderBy
+    };
+  }
+
+  columnDAX(table, column) {
+    const name = `[${column.replace(/]/g, ']]')}]`;
+    return table ? `'${table.replace(/'/g, '\'\'')}'${name}` : name;
+  }
+
+  /**
+   * TOPN over the rows strictly after lastKey in ORDER BY order. TOPN keeps ties at the
+   * limit, so a page can end on a complete group of equal keys.
+   */
+  buildQuery(prefix, tableExpression, orderBy, limit, lastKey) {
+    const source = lastKey ? `FILTER(\n      ${tableExpression},\n      ${this.afterKey(orderBy, lastKey)}\n    )` : tableExpression;
+    const topnOrder = orderBy.map(key => `${key.dax}, ${key.direction}`).join(', ');
+    const orderClause = orderBy.map(key => `${key.dax} ${key.direction}`).join(', ');
+
+    return `${prefix}EVALUATE\n  TOPN(\n    ${limit},\n    ${source},\n    ${topnOrder}\n  )\nORDER BY ${orderClause}`;
+  }
+
+  /**
+   * Predicate for rows ordered after the given key. BLANK sorts first ascending and last
+   * descending, and compares equal to 0 and "", so blanks are tested explicitly.
+   */
+  afterKey(orderBy, lastKey) {
+    const terms = [];
+
+    orderBy.forEach((key, i) => {
+      const { dataType, value } = lastKey[i];
+      let after;
+      if (value === null) {
+        // Nothing sorts after BLANK descending
+        after = key.direction === 'ASC' ? `NOT ISBLANK(${key.dax})` : null;
+      } else {
+        const literal = this.toLiteral(dataType, value);
+        after = key.direction === 'ASC'
+          ? `(NOT ISBLANK(${key.dax}) && ${key.dax} > ${literal})`
+          : `(ISBLANK(${key.dax}) || ${key.dax} < ${literal})`;
+      }
+
+      if (after) {
+        const equalBefore = orderBy.slice(0, i).map((previous, j) => this.equalTo(previous, lastKey[j]));
+        terms.push(equalBefore.length > 0 ? `(${[...equalBefore, after].join(' && ')})` : after);
+      }
+    });
+
+    return terms.length > 0 ? terms.join('\n      || ') : 'FALSE()';
+  }
+
+  equalTo(key, { dataType, value }) {
+    return value === null ? `ISBLANK(${key.dax})` : `${key.dax} == ${this.toLiteral(dataType, value)}`;
+  }
+
+  /**
+   * DAX literal for a key value as stored in a cursor (dates as ISO strings)
+   */
+  toLiteral(dataType, value) {
+    switch (dataType) {
+      case 'Int64':
+      case 'Double':
+      case 'Decimal':
+        return String(value);
+      case 'Boolean':
+        return value ? 'TRUE()' : 'FALSE()';
+      case 'DateTime': {
+        const date = new Date(value);
+        // TIME() takes whole seconds, so milliseconds are added as a fraction of a day
+        const milliseconds = date.getUTCMilliseconds();
+        return `(DATE(${date.getUTCFullYear()}, ${date.getUTCMonth() + 1}, ${date.getUTCDate()}) + ` +
+          `TIME(${date.getUTCHours()}, ${date.getUTCMinutes()}, ${date.getUTCSeconds()})` +
+          `${milliseconds > 0 ? ` + ${milliseconds} / 86400000` : ''})`;
+      }
+      default:
+        return `"${String(value).replace(/"/g, '""')}"`;
+    }
+  }
+
+  /**
+   * Cut a successful page result (from the executor, run with plan.query) down to the
+   * page and describe it. data is the result normalized, typed from metadata where known.
+   * Returns { result, page } with result's raw rows and its data both limited to the page.
+   */
+  paginate(result, plan, data = this.resultNormalizer.normalize(result.results)) {
+    const table = data.tables[0] || { columns: [], rows: [] };
+    const keyIndexes = plan.orderBy.map(key => this.findKeyColumn(table.columns, key));
+
+    const keyOf = row => keyIndexes.map(index => row[index]);
+    const sameKey = (a, b) => a.every((value, i) => this.keyValue(value) === this.keyValue(b[i]));
+
+    // Extend the page over rows tied with its last one, so the next page can start strictly after it
+    let count = Math.min(plan.pageSize, plan.remaining, table.rows.length);
+    if (count > 0 && keyIndexes.every(index => index >= 0)) {
+      const lastKey = keyOf(table.rows[count - 1]);
+      while (count < table.rows.length && sameKey(keyOf(table.rows[count]), lastKey)) {
+        count++;
+      }
+      if (count > plan.maxPageSize) {
+        throw this.unsupported(`More than ${plan.maxPageSize} rows share one ORDER BY key; add columns to ORDER BY so pages can split them`);
+      }
+    }
+
+    // A page that grew over ties to the end of what TOPN returned may still be followed by more rows
+    const moreRows = table.rows.length > count || table.rows.length >= plan.limit;
+    const truncated = moreRows && plan.offset + count >= plan.maxRows;
+    let nextCursor = null;
+
+    if (moreRows && !truncated) {
+      if (keyIndexes.some(index => index < 0)) {
+        throw this.unsupported('Paging needs every ORDER BY column in the query result');
+      }
+      const last = table.rows[count - 1];
+      nextCursor = this.encodeCursor({
+        tenantId: plan.tenantId,
+        queryHash: plan.queryHash,
+        scopeHash: plan.scopeHash,
+        offset: plan.offset + count,
+        pageSize: plan.pageSize,
+        lastKey: keyIndexes.map(index => ({
+          dataType: table.columns[index].dataType,
+          value: last[index] instanceof Date ? last[index].toISOString() : last[index]
+        }))
+      });
+    }
+
+    const rawTable = result.results?.results?.[0]?.tables?.[0];
+    const pageResult = {
+      ...result,
+      results: rawTable
+        ? { ...result.results, results: [{ ...result.results.results[0], tables: [{ ...rawTable, rows: rawTable.rows.slice(0, count) }] }] }
+        : result.results,
+      data: {
+        tables: [{ ...table, rows: table.rows.slice(0, count), rowCount: count }],
+        rowCount: count
+      },
+      metadata: { ...result.metadata, rowCount: count }
+    };
+
+    return {
+      result: pageResult,
+      page: {
+        pageSize: plan.pageSize,
+        offset: plan.offset,
+        rowCount: count,
+        hasMore: nextCursor !== null,
+        nextCursor,
+        truncated,
+        maxRows: plan.maxRows
+      }
+    };
+  }
+
+  /**
+   * Index of the result column an ORDER BY key refers to, -1 if it isn't in the result
+   */
+  findKeyColumn(columns, key) {
+    const parsed = columns.map(column => this.resultNormalizer.parseColumnKey(column.key));
+    const sameName = i => parsed[i].name.toLowerCase() === key.column.toLowerCase();
+
+    const exact = parsed.findIndex((column, i) => sameName(i) && (column.table || '').toLowerCase() === (key.table || '').toLowerCase());
+    if (exact >= 0 || key.table) {
+      return exact;
+    }
+    // [Name] also refers to a table column named Name
+    return parsed.findIndex((column, i) => sameName(i));
+  }
+
+  /**
+   * Key value as DAX compares it: dates by instant, strings case-insensitively
+   */
+  keyValue(value) {
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    return typeof value === 'string' ? value.toLowerCase() : value;
+  }
+
+  hashQuery(queryText) {
+    return crypto.createHash('sha256').update(queryText).digest('hex').slice(0, 32);
+  }
+
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  encodeCursor({ tenantId, queryHash, scopeHash, offset, pageSize, lastKey }) {
+    const payload = Buffer.from(JSON.stringify({
+      v: CURSOR_VERSION,
+      t: tenantId,
+      q: queryHash,
+      d: scopeHash,
+      o: offset,
+      s: pageSize,
+      k: lastKey,
+      e: Date.now() + this.config.cursorTTL
+    })).toString('base64url');
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  /**
+   * Verify a cursor against the tenant, dataset, identity and query it was issued for
+   */
+  decodeCursor(cursor, { tenantId, queryHash, scopeHash, keyCount }) {
+    const [payload, signature] = String(cursor).split('.');
+    const expected = payload ? this.sign(payload) : '';
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw this.cursorError('XMLA_CURSOR_INVALID', 'Cursor is invalid');
+    }
+
+    const state = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (state.v !== CURSOR_VERSION || state.t !== tenantId || state.q !== queryHash || state.d !== scopeHash ||
+        state.k.length !== keyCount) {
+      throw this.cursorError('XMLA_CURSOR_INVALID', 'Cursor was issued for a different query, dataset or identity');
+    }
+    if (state.e < Date.now()) {
+      throw this.cursorError('XMLA_CURSOR_EXPIRED', 'Cursor has expired; run the query again from the first page');
+    }
+
+    return { offset: state.o, pageSize: state.s, lastKey: state.k };
+  }
+
+  unsupported(message) {
+    const error = new Error(message);
+    error.code = 'XMLA_PAGING_UNSUPPORTED';
+    return error;
+  }
+
+  cursorError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new XMLAResultPagerService();
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Saved Queries
+ * Named, parameterized DAX queries per dataset. Every change to the query text or
+ * parameters adds a version; older versions stay readable and runnable.
+ * Day 16: Query Library - Saved Queries
+ */
+
+// Columns of a saved query joined with one of its versions
+const SELECT_WITH_VERSION = `
+  SELECT q.*, v.version, v.query_text, v.parameters, v.change_note, v.created_by AS version_created_by,
+         v.created_at AS version_created_at
+  FROM xmla_saved_queries q
+  JOIN xmla_saved_query_versions v ON v.saved_query_id = q.id`;
+
+let tableReady = null;
+
+class XMLASavedQueryModel {
+  /**
+   * Create the tables on first use
+   */
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = query(`
+        CREATE TABLE IF NOT EXISTS xmla_saved_queries (
+          id UUID PRIMARY KEY,
+          tenant_id VARCHAR(100) NOT NULL,
+          dataset_id VARCHAR(100) NOT NULL,
+          name VARCHAR(200) NOT NULL,
+          description TEXT,
+          current_version INTEGER NOT NULL DEFAULT 1,
+          created_by VARCHAR(100),
+          updated_by VARCHAR(100),
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          deleted_at TIMESTAMP
+        );
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_xmla_saved_queries_name
+          ON xmla_saved_queries (tenant_id, dataset_id, LOWER(name)) WHERE deleted_at IS NULL;
+        CREATE TABLE IF NOT EXISTS xmla_saved_query_versions (
+          saved_query_id UUID NOT NULL REFERENCES xmla_saved_queries (id) ON DELETE CASCADE,
+          version INTEGER NOT NULL,
+          query_text TEXT NOT NULL,
+          parameters JSONB NOT NULL DEFAULT '[]',
+          change_note TEXT,
+          created_by VARCHAR(100),
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (saved_query_id, version)
+        );
+      `).catch(error => {
+        tableReady = null;
+        logger.error(`Failed to create xmla_saved_queries tables: ${error.message}`);
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  static async create({ tenantId, datasetId, name, description, queryText, parameters, createdBy }) {
+    await this.ensureTable();
+
+    // One statement, so a query never exists without its first version
+    const result = await query(
+      `WITH saved AS (
+         INSERT INTO xmla_saved_queries (id, tenant_id, dataset_id, name, description, created_by, updated_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $6)
+         RETURNING *
+       ), version AS (
+         INSERT INTO xmla_saved_query_versions (saved_query_id, version, query_text, parameters, created_by)
+         SELECT id, 1, $7, $8, $6 FROM saved
+         RETURNING *
+       )
+       SELECT saved.*, version.version, version.query_text, version.parameters, version.change_note,
+              version.created_by AS version_created_by, version.created_at AS version_created_at
+       FROM saved, version`,
+      [crypto.randomUUID(), tenantId, datasetId, name, description || null, createdBy, queryText, JSON.stringify(parameters || [])]
+    );
+
+    return this.toEntry(result.rows[0]);
+  }
+
+  /**
+   * A saved query with its current version, or the given one. Null if either doesn't exist.
+   */
+  static async findById(id, tenantId, { version } = {}) {
+    await this.ensureTable();
+
+    const result = await query(
+      `${SELECT_WITH_VERSION}
+       WHERE q.id = $1 AND q.tenant_id = $2 AND q.deleted_at IS NULL
+         AND v.version = COALESCE($3, q.current_version)`,
+      [id, tenantId, version || null]
+    );
+
+    return result.rows.length > 0 ? this.toEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Saved queries of a tenant at their current version, by name.
+   * Filters: datasetId, search (name or description); plus limit and offset.
+   * Returns { entries, total }.
+   */
+  static async find({ tenantId, datasetId, search, limit = 50, offset = 0 }) {
+    await this.ensureTable();
+
+    const conditions = ['q.tenant_id = $1', 'q.deleted_at IS NULL', 'v.version = q.current_version'];
+    const params = [tenantId];
+    if (datasetId) {
+      params.push(datasetId);
+      conditions.push(`q.dataset_id = $${params.length}`);
+    }
+    if (search) {
+      params.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+      conditions.push(`(q.name ILIKE $${params.length} OR q.description ILIKE $${params.length})`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const countResult = await query(
+      `SELECT COUNT(*) AS total FROM xmla_saved_queries q
+       JOIN xmla_saved_query_versions v ON v.saved_query_id = q.id
+       ${where}`,
+      params
+    );
+
+    const pageParams = [...params, limit, offset];
+    const result = await query(
+      `${SELECT_WITH_VERSION}
+       ${where}
+       ORDER BY LOWER(q.name), q.id
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    );
+
+    return {
+      entries: result.rows.map(row => this.toEntry(row)),
+      total: parseInt(countResult.rows[0].total)
+    };
+  }
+
+  /**
+   * Rename or re-describe a saved query without adding a version
+   */
+  static async updateDetails(id, tenantId, { name, description, updatedBy }) {
+    await this.ensureTable();
+
+    const result = await query(
+      `UPDATE xmla_saved_queries
+       SET name = COALESCE($3, name),
+           description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+           updated_by = $6,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+       RETURNING id`,
+      [id, tenantId, name || null, description !== undefined, description || null, updatedBy]
+    );
+
+    return result.rows.length > 0 ? this.findById(id, tenantId) : null;
+  }
+
+  /**
+   * Add a version and make it current. With expectedVersion, only succeeds if nobody
+   * saved a newer version in the meantime. Returns null if no version was added.
+   */
+  static async addVersion(id, tenantId, { name, description, queryText, parameters, changeNote, updatedBy, expectedVersion }) {
+    await this.ensureTable();
+
+    const result = await query(
+      `WITH saved AS (
+         UPDATE xmla_saved_queries
+         SET current_version = current_version + 1,
+             name = COALESCE($3, name),
+             description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+             updated_by = $6,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL
+           AND ($9::integer IS NULL OR current_version = $9)
+         RETURNING *
+       ), version AS (
+         INSERT INTO xmla_saved_query_versions (saved_query_id, version, query_text, parameters, change_note, created_by)
+         SELECT id, current_version, $7, $8, $10, $6 FROM saved
+         RETURNING *
+       )
+       SELECT saved.*, version.version, version.query_text, version.parameters, version.change_note,
+              version.created_by AS version_created_by, version.created_at AS version_created_at
+       FROM saved, version`,
+      [
+        id,
+        tenantId,
+        name || null,
+        description !== undefined,
+        description || null,
+        updatedBy,
+        queryText,
+        JSON.stringify(parameters || []),
+        expectedVersion || null,
+        changeNote || null
+      ]
+    );
+
+    return result.rows.length > 0 ? this.toEntry(result.rows[0]) : null;
+  }
+
+  /**
+   * Every version of a saved query, newest first
+   */
+  static async findVersions(id, tenantId) {
+    await this.ensureTable();
+
+    const result = await query(
+      `${SELECT_WITH_VERSION}
+       WHERE q.id = $1 AND q.tenant_id = $2 AND q.deleted_at IS NULL
+       ORDER BY v.version DESC`,
+      [id, tenantId]
+    );
+
+    return result.rows.map(row => this.toEntry(row));
+  }
+
+  /**
+   * Soft-delete, keeping versions for the audit trail. Returns false if not found.
+   */
+  static async delete(id, tenantId, deletedBy) {
+    await this.ensureTable();
+
+    const result = await query(
+      `UPDATE xmla_saved_queries
+       SET deleted_at = CURRENT_TIMESTAMP, updated_by = $3, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND tenant_id = $2 AND deleted_at IS NULL`,
+      [id, tenantId, deletedBy]
+    );
+
+    return (result.rowCount || 0) > 0;
+  }
+
+  static toEntry(row) {
+    return {
+      id: row.id,
+      tenantId: row.tenant_id,
+      datasetId: row.dataset_id,
+      name: row.name,
+      description: row.description,
+      currentVersion: row.current_version,
+      version: row.version,
+      query: row.query_text,
+      parameters: row.parameters || [],
+      changeNote: row.change_note,
+      createdBy: row.created_by,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      versionCreatedBy: row.version_created_by,
+      versionCreatedAt: row.version_created_at
+    };
+  }
+}
+
+module.exports = XMLASavedQueryModel;
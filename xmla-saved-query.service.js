@@ -0,0 +1,263 @@
+const XMLASavedQueryModel = require('../models/xmla-saved-query.model');
+const DAXParserService = require('./dax-parser.service');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Saved Query Service
+ * Typed parameters for saved DAX queries. Values are validated against their
+ * declared type and emitted as DAX literals in DEFINE VAR statements, so a
+ * parameter value can never change the structure of the query.
+ * Day 16: Query Library - Saved Queries
+ */
+
+const MAX_STRING_LENGTH = 4000;
+const MAX_LIST_ITEMS = 1000;
+
+// Numbers beyond this lose integer precision and would be printed in exponent notation
+const MAX_ABS_NUMBER = Number.MAX_SAFE_INTEGER;
+
+// YYYY-MM-DD with an optional THH:mm[:ss] time
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Stand-in values for required parameters without a default, used to check that a query compiles
+const SAMPLE_VALUES = {
+  string: '',
+  number: 0,
+  date: '2000-01-01'
+};
+
+class XMLASavedQueryService {
+  constructor() {
+    this.model = XMLASavedQueryModel;
+    this.daxParser = DAXParserService;
+  }
+
+  /**
+   * Convert a parameter value to a DAX literal, or throw if it doesn't match the type
+   */
+  formatLiteral(type, value, itemType) {
+    switch (type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new Error('must be a string');
+        }
+        if (value.length > MAX_STRING_LENGTH) {
+          throw new Error(`must be at most ${MAX_STRING_LENGTH} characters`);
+        }
+        // Doubling quotes is the only escape a DAX string literal has
+        return `"${value.replace(/"/g, '""')}"`;
+
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > MAX_ABS_NUMBER) {
+          throw new Error('must be a finite number');
+        }
+        return String(value);
+
+      case 'date':
+        return this.formatDate(value);
+
+      case 'list': {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('must be a non-empty array');
+        }
+        if (value.length > MAX_LIST_ITEMS) {
+          throw new Error(`must have at most ${MAX_LIST_ITEMS} items`);
+        }
+        const items = value.map((item, i) => {
+          try {
+            return this.formatLiteral(itemType, item);
+          } catch (error) {
+            throw new Error(`item ${i} ${error.message}`);
+          }
+        });
+        return `{ ${items.join(', ')} }`;
+      }
+
+      default:
+        throw new Error(`has unknown type "${type}"`);
+    }
+  }
+
+  formatDate(value) {
+    const match = typeof value === 'string' ? DATE_PATTERN.exec(value) : null;
+    if (!match) {
+      throw new Error('must be a date like 2024-01-31 or 2024-01-31T13:45:00');
+    }
+
+    const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1).map(part =>
+      part === undefined ? undefined : parseInt(part, 10));
+
+    // Reject dates like 2024-02-30 that Date would roll over
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day ||
+        date.getUTCHours() !== hour || date.getUTCMinutes() !== minute || date.getUTCSeconds() !== second) {
+      throw new Error(`is not a valid date: ${value}`);
+    }
+
+    const dateLiteral = `DATE(${year}, ${month}, ${day})`;
+    return match[4] === undefined ? dateLiteral : `(${dateLiteral} + TIME(${hour}, ${minute}, ${second}))`;
+  }
+
+  /**
+   * Check parameter definitions, including that their defaults match their type
+   * Returns an array of error messages
+   */
+  validateDefinitions(definitions) {
+    const errors = [];
+
+    definitions.forEach(definition => {
+      if (definition.default === undefined || definition.default === null) {
+        return;
+      }
+      try {
+        this.formatLiteral(definition.type, definition.default, definition.itemType);
+      } catch (error) {
+        errors.push(`Default of parameter "${definition.name}" ${error.message}`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Resolve supplied values against the definitions, falling back to defaults. Optional
+   * parameters with neither are bound to BLANK() so the query can still refer to them.
+   * Returns { literals: { name: daxLiteral }, values, errors }
+   */
+  bindParameters(definitions, supplied = {}) {
+    const literals = {};
+    const values = {};
+    const errors = [];
+
+    const known = new Set(definitions.map(definition => definition.name));
+    Object.keys(supplied)
+      .filter(name => !known.has(name))
+      .forEach(name => errors.push(`Unknown parameter "${name}"`));
+
+    definitions.forEach(definition => {
+      const value = supplied[definition.name] ?? definition.default;
+
+      if (value === undefined || value === null) {
+        if (definition.required !== false) {
+          errors.push(`Parameter "${definition.name}" is required`);
+        } else {
+          literals[definition.name] = 'BLANK()';
+        }
+        return;
+      }
+
+      try {
+        literals[definition.name] = this.formatLiteral(definition.type, value, definition.itemType);
+        values[definition.name] = value;
+      } catch (error) {
+        errors.push(`Parameter "${definition.name}" ${error.message}`);
+      }
+    });
+
+    return { literals, values, errors };
+  }
+
+  /**
+   * Define each bound parameter as a query-scoped VAR. If the query already has a
+   * DEFINE block the VARs open it, so its measures and tables can use them.
+   */
+  buildQuery(queryText, literals) {
+    const vars = Object.entries(literals).map(([name, literal]) => `VAR ${name} = ${literal}`);
+    if (vars.length === 0) {
+      return queryText;
+    }
+
+    const { tokens } = this.daxParser.tokenize(queryText);
+    const first = tokens[0];
+    if (first && first.type === this.daxParser.TokenType.IDENTIFIER && first.value.toUpperCase() === 'DEFINE') {
+      return `${queryText.slice(0, first.end)}\n  ${vars.join('\n  ')}\n  ${queryText.slice(first.end).trimStart()}`;
+    }
+
+    return `DEFINE\n  ${vars.join('\n  ')}\n${queryText}`;
+  }
+
+  /**
+   * Check that a query compiles bound the way it runs when no values are supplied:
+   * defaults, BLANK() for optional parameters, and stand-in values only for required
+   * parameters without a default. Returns { isValid, errors, diagnostics } like validateDAXQuery.
+   */
+  checkQuery(queryText, definitions) {
+    const definitionErrors = this.validateDefinitions(definitions);
+    if (definitionErrors.length > 0) {
+      return { isValid: false, errors: definitionErrors, diagnostics: [] };
+    }
+
+    const samples = Object.fromEntries(definitions
+      .filter(definition => definition.required !== false && (definition.default ?? null) === null)
+      .map(definition => [definition.name, definition.type === 'list'
+        ? [SAMPLE_VALUES[definition.itemType]]
+        : SAMPLE_VALUES[definition.type]]));
+    const { literals } = this.bindParameters(definitions, samples);
+
+    const { isValid, diagnostics } = this.daxParser.validate(this.buildQuery(queryText, literals));
+    const errors = diagnostics
+      .filter(d => d.severity === 'error')
+      .map(d => this.daxParser.formatDiagnostic(d));
+
+    return { isValid, errors, diagnostics };
+  }
+
+  /**
+   * The query text to execute for a saved query and the supplied values
+   * Returns { query, values, errors }
+   */
+  prepare(savedQuery, supplied) {
+    const { literals, values, errors } = this.bindParameters(savedQuery.parameters, supplied);
+    if (errors.length > 0) {
+      return { query: null, values, errors };
+    }
+
+    return { query: this.buildQuery(savedQuery.query, literals), values, errors };
+  }
+
+  create(entry) {
+    return this.model.create(entry);
+  }
+
+  get(id, tenantId, options) {
+    return this.model.findById(id, tenantId, options);
+  }
+
+  list(filters) {
+    return this.model.find(filters);
+  }
+
+  getVersions(id, tenantId) {
+    return this.model.findVersions(id, tenantId);
+  }
+
+  /**
+   * Apply changes to a saved query. Changing the query text or parameters adds a
+   * version (the other is carried over from the current one); name and description
+   * changes alone don't. Returns null if the query doesn't exist or expectedVersion is stale.
+   */
+  async update(current, changes) {
+    const contentChanged = changes.query !== undefined || changes.parameters !== undefined;
+
+    if (!contentChanged) {
+      return this.model.updateDetails(current.id, current.tenantId, changes);
+    }
+
+    const updated = await this.model.addVersion(current.id, current.tenantId, {
+      ...changes,
+      queryText: changes.query ?? current.query,
+      parameters: changes.parameters ?? current.parameters
+    });
+
+    if (updated) {
+      logger.info(`Saved query ${current.id} updated to version ${updated.version}`, { updatedBy: changes.updatedBy });
+    }
+    return updated;
+  }
+
+  remove(id, tenantId, deletedBy) {
+    return this.model.delete(id, tenantId, deletedBy);
+  }
+}
+
+module.exports = new XMLASavedQueryService();
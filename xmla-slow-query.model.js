@@ -0,0 +1,122 @@
+const { query } = require('../config/database');
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Slow Query Log
+ * Persists DAX queries that exceeded the slow-query threshold. Only a hash of the
+ * query text is stored, so the log can be shared without exposing query contents.
+ * Day 16: Query Performance - Slow Query Log
+ */
+
+// find() filter -> SQL condition
+const FILTER_CONDITIONS = {
+  tenantId: 'tenant_id =',
+  datasetId: 'dataset_id =',
+  workspaceId: 'workspace_id =',
+  userId: 'user_id =',
+  queryHash: 'query_hash =',
+  status: 'status =',
+  minDurationMs: 'duration_ms >=',
+  since: 'created_at >=',
+  until: 'created_at <'
+};
+
+let tableReady = null;
+
+class XMLASlowQueryModel {
+  /**
+   * Create the table on first use
+   */
+  static ensureTable() {
+    if (!tableReady) {
+      tableReady = query(`
+        CREATE TABLE IF NOT EXISTS xmla_slow_queries (
+          id BIGSERIAL PRIMARY KEY,
+          query_id VARCHAR(100) NOT NULL,
+          tenant_id VARCHAR(100) NOT NULL,
+          user_id VARCHAR(100),
+          workspace_id VARCHAR(100) NOT NULL,
+          dataset_id VARCHAR(100) NOT NULL,
+          query_hash CHAR(64) NOT NULL,
+          status VARCHAR(20) NOT NULL,
+          error_code VARCHAR(100),
+          attempts INTEGER NOT NULL DEFAULT 1,
+          duration_ms INTEGER NOT NULL,
+          created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE INDEX IF NOT EXISTS idx_xmla_slow_queries_tenant_created
+          ON xmla_slow_queries (tenant_id, created_at DESC);
+        CREATE INDEX IF NOT EXISTS idx_xmla_slow_queries_dataset
+          ON xmla_slow_queries (dataset_id, created_at DESC);
+      `).catch(error => {
+        tableReady = null;
+        logger.error(`Failed to create xmla_slow_queries table: ${error.message}`);
+        throw error;
+      });
+    }
+    return tableReady;
+  }
+
+  static async create({ queryId, tenantId, userId, workspaceId, datasetId, queryHash, status, errorCode, attempts, durationMs }) {
+    await this.ensureTable();
+
+    const result = await query(
+      `INSERT INTO xmla_slow_queries
+         (query_id, tenant_id, user_id, workspace_id, dataset_id, query_hash, status, error_code, attempts, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [queryId, tenantId, userId, workspaceId, datasetId, queryHash, status, errorCode || null, attempts, durationMs]
+    );
+
+    return this.toEntry(result.rows[0]);
+  }
+
+  /**
+   * Find slow queries, slowest first. Filters: tenantId, datasetId, workspaceId, userId,
+   * queryHash, status, minDurationMs, since, until; plus limit and offset.
+   */
+  static async find(filters = {}) {
+    await this.ensureTable();
+
+    const conditions = [];
+    const params = [];
+    Object.entries(FILTER_CONDITIONS).forEach(([filter, condition]) => {
+      if (filters[filter] !== undefined && filters[filter] !== null && filters[filter] !== '') {
+        params.push(filters[filter]);
+        conditions.push(`${condition} $${params.length}`);
+      }
+    });
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(filters.limit || 50, filters.offset || 0);
+
+    const result = await query(
+      `SELECT * FROM xmla_slow_queries
+       ${where}
+       ORDER BY duration_ms DESC, created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return result.rows.map(row => this.toEntry(row));
+  }
+
+  static toEntry(row) {
+    return {
+      id: row.id,
+      queryId: row.query_id,
+      tenantId: row.tenant_id,
+      userId: row.user_id,
+      workspaceId: row.workspace_id,
+      datasetId: row.dataset_id,
+      queryHash: row.query_hash,
+      status: row.status,
+      errorCode: row.error_code,
+      attempts: row.attempts,
+      durationMs: row.duration_ms,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = XMLASlowQueryModel;
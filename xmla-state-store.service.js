@@ -0,0 +1,147 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA State Store
+ * Shared storage for pool and executor state so every API instance sees the whole cluster.
+ * Backends implement a small Redis-compatible hash API: hset, hgetall, hdel, quit.
+ * Day 16: XMLA Connection Manager - Cluster State
+ */
+
+/**
+ * Single-process backend; the default, and what tests use
+ */
+class MemoryStateStore {
+  constructor() {
+    this.hashes = new Map();
+  }
+
+  getHash(key) {
+    if (!this.hashes.has(key)) {
+      this.hashes.set(key, new Map());
+    }
+    return this.hashes.get(key);
+  }
+
+  async hset(key, field, value) {
+    this.getHash(key).set(field, String(value));
+  }
+
+  async hgetall(key) {
+    return Object.fromEntries(this.hashes.get(key) || []);
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this.hashes.get(key);
+    if (!hash) {
+      return 0;
+    }
+    return fields.filter(field => hash.delete(field)).length;
+  }
+
+  async quit() {
+    this.hashes.clear();
+  }
+}
+
+/**
+ * Redis backend; any client with the ioredis hash commands works, so a local
+ * stand-in (e.g. ioredis-mock) can be passed in place of a real connection
+ */
+class RedisStateStore {
+  constructor({ client, url } = {}) {
+    this.client = client || this.createClient(url);
+  }
+
+  createClient(url) {
+    // Only loaded when the Redis backend is selected
+    const Redis = require('ioredis');
+    const client = new Redis(url, { maxRetriesPerRequest: 2, lazyConnect: false });
+
+    client.on('error', error => {
+      logger.error(`XMLA state store Redis error: ${error.message}`);
+    });
+
+    return client;
+  }
+
+  hset(key, field, value) {
+    return this.client.hset(key, field, value);
+  }
+
+  hgetall(key) {
+    return this.client.hgetall(key);
+  }
+
+  hdel(key, ...fields) {
+    return fields.length > 0 ? this.client.hdel(key, ...fields) : Promise.resolve(0);
+  }
+
+  quit() {
+    return this.client.quit();
+  }
+}
+
+class XMLAStateStoreService {
+  constructor() {
+    this.config = {
+      backend: process.env.XMLA_STATE_STORE || 'memory',
+      redisUrl: process.env.XMLA_REDIS_URL || process.env.REDIS_URL || 'redis://localhost:6379',
+      keyPrefix: process.env.XMLA_STATE_KEY_PREFIX || 'xmla:'
+    };
+
+    this.MemoryStateStore = MemoryStateStore;
+    this.RedisStateStore = RedisStateStore;
+
+    this.backend = null;
+  }
+
+  /**
+   * Backend is created on first use so the memory default never touches Redis
+   */
+  getBackend() {
+    if (!this.backend) {
+      this.backend = this.config.backend === 'redis'
+        ? new RedisStateStore({ url: this.config.redisUrl })
+        : new MemoryStateStore();
+
+      logger.info(`XMLA state store using ${this.config.backend} backend`);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Swap the backend, e.g. for a Redis stand-in in tests
+   */
+  useBackend(backend) {
+    this.backend = backend;
+  }
+
+  isShared() {
+    return !(this.getBackend() instanceof MemoryStateStore);
+  }
+
+  key(name) {
+    return `${this.config.keyPrefix}${name}`;
+  }
+
+  hset(name, field, value) {
+    return this.getBackend().hset(this.key(name), field, value);
+  }
+
+  hgetall(name) {
+    return this.getBackend().hgetall(this.key(name));
+  }
+
+  hdel(name, ...fields) {
+    return this.getBackend().hdel(this.key(name), ...fields);
+  }
+
+  async close() {
+    if (this.backend) {
+      await this.backend.quit();
+      this.backend = null;
+    }
+  }
+}
+
+module.exports = new XMLAStateStoreService();
@@ -0,0 +1,298 @@
+const { logger } = require('../config/logger');
+
+/**
+ * XMLA Workspace Throttle
+ * Tracks Power BI throttling per workspace so callers queue behind a throttled
+ * workspace instead of all retrying against it
+ * Day 16: Query Performance - Throttle Handling
+ */
+
+// Error codes Power BI uses when a capacity is overloaded
+const CAPACITY_ERROR_CODES = new Set([
+  'TooManyRequests',
+  'CapacityThrottled',
+  'CapacityLimitExceeded'
+]);
+
+// Message fragments from XMLA/REST errors that indicate capacity throttling
+const CAPACITY_MESSAGE_HINTS = [
+  'capacity limit',
+  'throttled',
+  'too many requests',
+  'insufficient capacity',
+  'memory pressure'
+];
+
+class XMLAThrottleService {
+  constructor() {
+    this.config = {
+      // Delay used when a throttle response carries no Retry-After
+      defaultDelay: parseInt(process.env.XMLA_THROTTLE_DEFAULT_DELAY || '5000'),
+      // Upper bound on any single server-given delay
+      maxDelay: parseInt(process.env.XMLA_THROTTLE_MAX_DELAY || '120000')
+    };
+
+    // workspaceId -> { throttledUntil, probing, waiters, timer, throttleCount }
+    this.workspaces = new Map();
+
+    this.stats = {
+      throttleResponses: 0,
+      queuedRequests: 0,
+      rejectedRequests: 0,
+      totalQueueTime: 0
+    };
+
+    logger.info('XMLA throttle tracker initialized', this.config);
+  }
+
+  /**
+   * Delay in ms requested by a throttling error, or null when the error isn't a throttle signal
+   */
+  getThrottleDelay(error) {
+    const status = error.response?.status || error.status;
+    const retryAfter = this.parseRetryAfter(this.getHeader(error, 'retry-after'));
+
+    if (status === 429 || status === 503) {
+      return retryAfter ?? this.config.defaultDelay;
+    }
+
+    if (this.isCapacityThrottle(error)) {
+      return retryAfter ?? this.config.defaultDelay;
+    }
+
+    return null;
+  }
+
+  isCapacityThrottle(error) {
+    const code = error.response?.data?.error?.code || error.code;
+    if (code && CAPACITY_ERROR_CODES.has(code)) {
+      return true;
+    }
+
+    const message = error.message?.toLowerCase() || '';
+    return CAPACITY_MESSAGE_HINTS.some(hint => message.includes(hint));
+  }
+
+  getHeader(error, name) {
+    const headers = error.response?.headers || error.headers;
+    if (!headers) {
+      return undefined;
+    }
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  }
+
+  /**
+   * Retry-After is either delta-seconds or an HTTP date
+   */
+  parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    const delay = Number.isFinite(seconds)
+      ? seconds * 1000
+      : Date.parse(value) - Date.now();
+
+    if (!Number.isFinite(delay)) {
+      return null;
+    }
+
+    return Math.min(Math.max(Math.ceil(delay), 0), this.config.maxDelay);
+  }
+
+  getState(workspaceId) {
+    if (!this.workspaces.has(workspaceId)) {
+      this.workspaces.set(workspaceId, {
+        throttledUntil: 0,
+        probing: false,
+        waiters: [],
+        timer: null,
+        throttleCount: 0
+      });
+    }
+    return this.workspaces.get(workspaceId);
+  }
+
+  isThrottled(state) {
+    return state.throttledUntil > Date.now() || state.probing;
+  }
+
+  /**
+   * Wait until the workspace accepts requests. Rejects with XMLA_THROTTLED when
+   * the throttle outlasts the deadline (epoch ms), or with the signal's reason on abort.
+   * Resolves with { waitedMs, probe }; a probe must report its outcome or call releaseProbe.
+   */
+  acquire(workspaceId, deadline = Infinity, signal) {
+    const state = this.workspaces.get(workspaceId);
+
+    if (!state || !this.isThrottled(state)) {
+      return Promise.resolve({ waitedMs: 0, probe: false });
+    }
+
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    const waitUntil = Math.max(state.throttledUntil, Date.now());
+    if (waitUntil >= deadline) {
+      this.stats.rejectedRequests++;
+      return Promise.reject(this.createThrottledError(workspaceId, waitUntil - Date.now()));
+    }
+
+    this.stats.queuedRequests++;
+
+    return new Promise((resolve, reject) => {
+      const waiter = { enqueuedAt: Date.now(), resolve, reject, deadlineTimer: null, signal, onAbort: null };
+      const leave = () => {
+        clearTimeout(waiter.deadlineTimer);
+        signal?.removeEventListener('abort', waiter.onAbort);
+        state.waiters = state.waiters.filter(w => w !== waiter);
+      };
+
+      if (Number.isFinite(deadline)) {
+        waiter.deadlineTimer = setTimeout(() => {
+          leave();
+          this.stats.rejectedRequests++;
+          reject(this.createThrottledError(workspaceId, Math.max(state.throttledUntil - Date.now(), 0)));
+        }, deadline - Date.now());
+      }
+
+      if (signal) {
+        waiter.onAbort = () => {
+          leave();
+          reject(signal.reason);
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      state.waiters.push(waiter);
+
+      // While a probe is in flight its outcome decides when the queue moves
+      if (!state.probing) {
+        this.scheduleRelease(workspaceId, state);
+      }
+    });
+  }
+
+  /**
+   * Record a throttle response; the workspace stays closed until the delay elapses
+   */
+  recordThrottle(workspaceId, delayMs) {
+    const state = this.getState(workspaceId);
+
+    state.throttledUntil = Math.max(state.throttledUntil, Date.now() + delayMs);
+    state.probing = false;
+    state.throttleCount++;
+    this.stats.throttleResponses++;
+
+    logger.warn(`Workspace ${workspaceId} throttled for ${delayMs}ms`);
+    this.scheduleRelease(workspaceId, state);
+  }
+
+  /**
+   * Record a response that wasn't throttled; reopens the workspace and drains the queue
+   */
+  recordSuccess(workspaceId) {
+    const state = this.workspaces.get(workspaceId);
+    if (!state) {
+      return;
+    }
+
+    const wasThrottled = this.isThrottled(state);
+    state.throttledUntil = 0;
+    state.probing = false;
+
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+
+    const waiters = state.waiters.splice(0);
+    waiters.forEach(waiter => this.releaseWaiter(waiter, false));
+    this.workspaces.delete(workspaceId);
+
+    if (wasThrottled) {
+      logger.info(`Workspace ${workspaceId} no longer throttled, released ${waiters.length} queued queries`);
+    }
+  }
+
+  /**
+   * When the throttle window ends, let a single queued request probe the workspace.
+   * The rest are released by recordSuccess or wait for the next window.
+   */
+  scheduleRelease(workspaceId, state) {
+    if (state.timer) {
+      clearTimeout(state.timer);
+    }
+
+    state.timer = setTimeout(() => {
+      state.timer = null;
+
+      const probe = state.waiters.shift();
+      if (!probe) {
+        if (!state.probing) {
+          this.workspaces.delete(workspaceId);
+        }
+        return;
+      }
+
+      state.probing = true;
+      this.releaseWaiter(probe, true);
+    }, Math.max(state.throttledUntil - Date.now(), 0));
+  }
+
+  /**
+   * A probe was abandoned without a response (e.g. cancelled); hand the probe to the next waiter
+   */
+  releaseProbe(workspaceId) {
+    const state = this.workspaces.get(workspaceId);
+    if (!state || !state.probing) {
+      return;
+    }
+
+    state.probing = false;
+    this.scheduleRelease(workspaceId, state);
+  }
+
+  releaseWaiter(waiter, probe) {
+    const waitedMs = Date.now() - waiter.enqueuedAt;
+    clearTimeout(waiter.deadlineTimer);
+    waiter.signal?.removeEventListener('abort', waiter.onAbort);
+    this.stats.totalQueueTime += waitedMs;
+    waiter.resolve({ waitedMs, probe });
+  }
+
+  createThrottledError(workspaceId, retryAfterMs) {
+    const error = new Error(`Workspace ${workspaceId} is throttled by Power BI; retry in ${Math.ceil(retryAfterMs / 1000)}s`);
+    error.code = 'XMLA_THROTTLED';
+    error.retryAfterMs = retryAfterMs;
+    return error;
+  }
+
+  /**
+   * Get throttle statistics
+   */
+  getStats() {
+    const now = Date.now();
+    const throttledWorkspaces = Array.from(this.workspaces.entries())
+      .filter(([, state]) => this.isThrottled(state))
+      .map(([workspaceId, state]) => ({
+        workspaceId,
+        retryAfterMs: Math.max(state.throttledUntil - now, 0),
+        probing: state.probing,
+        queued: state.waiters.length,
+        throttleCount: state.throttleCount
+      }));
+
+    return {
+      ...this.stats,
+      averageQueueTimeMs: this.stats.queuedRequests > 0
+        ? Math.round(this.stats.totalQueueTime / this.stats.queuedRequests)
+        : 0,
+      throttledWorkspaces
+    };
+  }
+}
+
+module.exports = new XMLAThrottleService();
@@ -3,6 +3,17 @@ const RobustXMLAConnectionService = require('../services/robust-xmla-connection.
 const XMLAConnectionPoolService = require('../services/xmla-connection-pool.service');
 const XMLAQueryExecutorService = require('../services/xmla-query-executor.service');
 const MetadataExtractorService = require('../services/metadata-extractor.service');
+const DAXSemanticValidatorService = require('../services/dax-semantic-validator.service');
+const XMLACredentialProviderService = require('../services/xmla-credential-provider.service');
+const XMLAImpersonationPolicyService = require('../services/xmla-impersonation-policy.service');
+const XMLAMetricsService = require('../services/xmla-metrics.service');
+const XMLASavedQueryService = require('../services/xmla-saved-query.service');
+const XMLAResultExportService = require('../services/xmla-result-export.service');
+const XMLAResultNormalizerService = require('../services/xmla-result-normalizer.service');
+const XMLAResultPagerService = require('../services/xmla-result-pager.service');
+const XMLAQuerySpecService = require('../services/xmla-query-spec.service');
+const XMLANaturalLanguageQueryService = require('../services/xmla-nl-query.service');
+const crypto = require('crypto');
 const { logger } = require('../config/logger');
 
 // Helper function to convert Power BI dataset ID to local dataset ID
@@ -25,6 +36,437 @@ async function getLocalDatasetId(datasetId, tenantId) {
   return datasetId;
 }
 
+// Helper function to resolve the workspace and Power BI IDs the executor needs
+async function getDatasetContext(datasetId, tenantId) {
+  const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
+
+  const { query } = require('../config/database');
+  const datasetResult = await query(
+    `SELECT dataset_id, dataset_name, powerbi_dataset_id, powerbi_workspace_id
+     FROM datasets
+     WHERE dataset_id = $1 AND tenant_id = $2 AND is_active = true`,
+    [localDatasetId, tenantId]
+  );
+
+  if (datasetResult.rows.length === 0) {
+    return null;
+  }
+
+  const row = datasetResult.rows[0];
+  return {
+    localDatasetId: row.dataset_id,
+    datasetName: row.dataset_name,
+    powerbiDatasetId: row.powerbi_dataset_id,
+    workspaceId: row.powerbi_workspace_id
+  };
+}
+
+// Helper function to list the Power BI workspaces synced for a tenant
+async function getTenantWorkspaceIds(tenantId) {
+  const { query } = require('../config/database');
+  const result = await query(
+    'SELECT DISTINCT powerbi_workspace_id FROM datasets WHERE tenant_id = $1 AND is_active = true',
+    [tenantId]
+  );
+  return result.rows.map(row => row.powerbi_workspace_id);
+}
+
+// Platform admins operate the service across tenants; tenant admins only see their own tenant
+function isPlatformAdmin(user) {
+  return user?.role === 'platform_admin';
+}
+
+// Helper function to reject the global stats view for non-platform admins; returns true if a response was sent
+function rejectGlobalScope(req, res) {
+  if (req.query.scope !== 'global' || isPlatformAdmin(req.user)) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: 'Platform admin access required for global statistics'
+  });
+  return true;
+}
+
+// Helper function to scope a pool filter to the caller; tenant admins can only target their own tenant
+// Returns { filter } or { rejection } with the status and body to send
+function resolvePoolFilter(req) {
+  const { tenantId, workspaceId, userId, credentialType } = req.body;
+
+  if (isPlatformAdmin(req.user)) {
+    if (!tenantId && !workspaceId && !userId) {
+      return {
+        rejection: {
+          status: 400,
+          error: 'Bad Request',
+          message: 'Specify a tenantId, workspaceId or userId; use POST /xmla/pool/drain to empty the whole pool'
+        }
+      };
+    }
+    return { filter: { tenantId, workspaceId, userId, credentialType } };
+  }
+
+  if (tenantId && tenantId !== req.user.tenantId) {
+    return {
+      rejection: {
+        status: 403,
+        error: 'Forbidden',
+        message: 'Cannot manage connections of another tenant'
+      }
+    };
+  }
+  return { filter: { tenantId: req.user.tenantId, workspaceId, userId, credentialType } };
+}
+
+// Helper function to scope query history filters to the caller: users see their own executions,
+// admins their tenant's, and platform admins every tenant's with ?scope=global
+// Returns { filters } or { rejection } with the status and body to send
+function resolveHistoryFilters(req) {
+  const { scope, tenantId, userId, workspaceId, datasetId, status, errorClass, effectiveUserName, since, until, limit, offset } = req.query;
+  const role = req.user.role;
+
+  if (scope === 'global' && !isPlatformAdmin(req.user)) {
+    return {
+      rejection: {
+        status: 403,
+        error: 'Forbidden',
+        message: 'Platform admin access required for global query history'
+      }
+    };
+  }
+
+  if (userId && userId !== req.user.userId && role !== 'admin' && !isPlatformAdmin(req.user)) {
+    return {
+      rejection: {
+        status: 403,
+        error: 'Forbidden',
+        message: 'Admin access required to view other users\' query history'
+      }
+    };
+  }
+
+  return {
+    filters: {
+      tenantId: scope === 'global' ? tenantId : req.user.tenantId,
+      userId: role === 'admin' || isPlatformAdmin(req.user) ? userId : req.user.userId,
+      workspaceId,
+      datasetId,
+      status,
+      errorClass,
+      effectiveUserName,
+      since: since ? new Date(since) : undefined,
+      until: until ? new Date(until) : undefined,
+      limit: limit ? parseInt(limit) : 50,
+      offset: offset ? parseInt(offset) : 0
+    }
+  };
+}
+
+// Helper function to reject credential types the user may not use; returns true if a response was sent
+function rejectCredentialType(req, res, credentialType) {
+  if (XMLACredentialProviderService.isAllowed(credentialType, req.user.tenantId, req.user)) {
+    return false;
+  }
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: `Credential type "${credentialType}" is not configured or not permitted for this user`
+  });
+  return true;
+}
+
+// Helper function to normalize and authorize a requested RLS identity
+// Returns { impersonation } or { denied } with the policy's reason
+function resolveImpersonation(req) {
+  const impersonation = XMLAImpersonationPolicyService.normalize(req.body.impersonation);
+  if (!impersonation) {
+    return { impersonation: null };
+  }
+
+  const { allowed, reason } = XMLAImpersonationPolicyService.authorize(req.user.tenantId, req.user, impersonation);
+  return allowed ? { impersonation } : { denied: reason };
+}
+
+// Helper function to pick the query ID: client-supplied X-Query-Id, or a generated one
+// Returns null when the supplied ID is malformed
+function resolveQueryId(req) {
+  const supplied = req.get('X-Query-Id');
+  if (!supplied) {
+    return crypto.randomUUID();
+  }
+  return /^[A-Za-z0-9_-]{1,64}$/.test(supplied) ? supplied : null;
+}
+
+// Helper function to check the credential type, RLS identity and query ID of an execute request
+// Returns { impersonation, queryId }, or null if a response was sent
+function resolveExecution(req, res, credentialType) {
+  if (rejectCredentialType(req, res, credentialType)) {
+    return null;
+  }
+
+  const { impersonation, denied } = resolveImpersonation(req);
+  if (denied) {
+    res.status(403).json({
+      error: 'Forbidden',
+      code: 'XMLA_IMPERSONATION_DENIED',
+      message: denied
+    });
+    return null;
+  }
+
+  const queryId = resolveQueryId(req);
+  if (!queryId) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'X-Query-Id must be 1-64 letters, digits, "-" or "_"'
+    });
+    return null;
+  }
+  if (XMLAQueryExecutorService.getRunningQuery(queryId)) {
+    res.status(409).json({
+      error: 'Conflict',
+      message: `Query ${queryId} is already running`
+    });
+    return null;
+  }
+
+  return { impersonation, queryId };
+}
+
+// Helper function to type a result's tables from the dataset's cached metadata; columns it doesn't cover are inferred
+async function normalizeResult(req, dataset, result) {
+  const metadata = await MetadataExtractorService.getCachedMetadata(dataset.localDatasetId, req.user.tenantId);
+  return XMLAResultNormalizerService.normalize(result.results, {
+    columns: metadata?.columns,
+    measures: metadata?.measures
+  });
+}
+
+// Helper function to send an executor outcome as the HTTP response; extra is merged into the success body
+// shape 'normalized' sends the typed tables (result.data, when already normalized) instead of the raw Power BI response
+async function sendQueryResult(req, res, result, { dataset, queryId, impersonation, shape = 'raw', extra = {} }) {
+  if (result.success) {
+    const tables = shape === 'normalized' ? (result.data || await normalizeResult(req, dataset, result)).tables : null;
+
+    res.set('X-Cache', result.cache?.hit ? 'HIT' : 'MISS');
+    res.status(200).json({
+      message: 'Query executed successfully',
+      query: result.query,
+      ...(tables ? { tables } : { results: result.results }),
+      executionTimeMs: result.executionTimeMs,
+      datasetName: dataset.datasetName,
+      rowCount: result.metadata.rowCount,
+      cache: result.cache,
+      queryId,
+      effectiveUserName: impersonation?.effectiveUserName,
+      ...extra
+    });
+  } else if (result.cancelled) {
+    res.status(409).json({
+      error: 'Query Cancelled',
+      code: result.code,
+      message: result.error,
+      queryId
+    });
+  } else if (result.circuitOpen) {
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    res.status(503).json({
+      error: 'Service Unavailable',
+      code: result.code,
+      message: result.error,
+      query: result.query,
+      retryAfterMs: result.retryAfterMs
+    });
+  } else if (['XMLA_POOL_TIMEOUT', 'XMLA_POOL_DRAINING', 'XMLA_SHUTTING_DOWN'].includes(result.code)) {
+    res.status(503).json({
+      error: 'Service Unavailable',
+      code: result.code,
+      message: result.error,
+      query: result.query
+    });
+  } else if (result.throttled) {
+    res.set('Retry-After', String(Math.ceil(result.retryAfterMs / 1000)));
+    res.status(429).json({
+      error: 'Too Many Requests',
+      message: result.error,
+      query: result.query,
+      retryAfterMs: result.retryAfterMs
+    });
+  } else {
+    res.status(400).json({
+      error: 'Query Execution Failed',
+      message: result.error,
+      query: result.query
+    });
+  }
+}
+
+// Helper function to pick the result format: the request's format field, else the Accept header
+function resolveResultFormat(req) {
+  return req.body.format || XMLAResultExportService.formatFromAccept(req.get('Accept')) || 'json';
+}
+
+// Helper function to reject an export format whose writer isn't installed, before the query runs
+// Returns true if a response was sent
+function rejectUnavailableFormat(res, format) {
+  if (format === 'json') {
+    return false;
+  }
+
+  try {
+    XMLAResultExportService.assertAvailable(format);
+    return false;
+  } catch (error) {
+    res.status(501).json({
+      error: 'Not Implemented',
+      code: error.code,
+      message: error.message
+    });
+    return true;
+  }
+}
+
+// Helper function to get the scope paging cursors are bound to: the dataset and whose RLS view the pages come from
+function getPageScope(req, { dataset, credentialType, impersonation }) {
+  return {
+    tenantId: req.user.tenantId,
+    datasetId: dataset.localDatasetId,
+    identity: XMLAQueryExecutorService.getCacheIdentity(req.user.userId, credentialType, impersonation)
+  };
+}
+
+// Helper function to plan a page of a paged query; sends the error response and returns null if it can't be paged
+function resolvePagePlan(req, res, query, { paging, ...context }) {
+  try {
+    return XMLAResultPagerService.plan(query, paging, getPageScope(req, context));
+  } catch (error) {
+    const status = { XMLA_PAGING_UNSUPPORTED: 400, XMLA_CURSOR_INVALID: 400, XMLA_CURSOR_EXPIRED: 410 }[error.code];
+    if (!status) {
+      throw error;
+    }
+    res.status(status).json({
+      error: status === 410 ? 'Gone' : 'Bad Request',
+      code: error.code,
+      message: error.message
+    });
+    return null;
+  }
+}
+
+// Helper function to plan an export of an EVALUATE ... ORDER BY query as largest-size pages, so it's run and
+// written a page at a time (see sendExport); returns null for queries the pager can't split
+function resolveExportPlan(req, query, context) {
+  const scope = getPageScope(req, context);
+
+  try {
+    const { maxPageSize } = XMLAResultPagerService.getLimits(req.user.tenantId);
+    return { query, scope, plan: XMLAResultPagerService.plan(query, { pageSize: maxPageSize }, scope) };
+  } catch (error) {
+    if (error.code !== 'XMLA_PAGING_UNSUPPORTED') {
+      throw error;
+    }
+    return null;
+  }
+}
+
+// Helper function to yield a paged export's rows: the first page's, then each following page's, run only once
+// the previous one is written so no more than a page is held; a page that fails ends the download
+async function* exportPages(req, rows, page, { dataset, exportPlan, runQuery }) {
+  yield rows;
+
+  let { nextCursor, truncated } = page;
+  while (nextCursor) {
+    const plan = XMLAResultPagerService.plan(exportPlan.query, { cursor: nextCursor }, exportPlan.scope);
+    const result = await runQuery(plan.query);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const next = XMLAResultPagerService.paginate(result, plan, await normalizeResult(req, dataset, result));
+    yield next.result.data.tables[0]?.rows || [];
+    ({ nextCursor, truncated } = next.page);
+  }
+
+  if (truncated) {
+    logger.warn(`Export stopped at the paging limit of ${page.maxRows} rows`, { datasetId: dataset.localDatasetId });
+  }
+}
+
+// Helper function to stream a successful result as a file download (CSV, XLSX, Arrow or Parquet)
+// Columns are typed from the dataset's cached metadata, or from their values if none is cached
+// With exportPlan (see resolveExportPlan), result is its first page and runQuery runs the following ones
+async function sendExport(req, res, result, { dataset, queryId, format, signal, exportPlan, runQuery }) {
+  let table = null;
+
+  if (exportPlan) {
+    try {
+      const first = XMLAResultPagerService.paginate(result, exportPlan.plan, await normalizeResult(req, dataset, result));
+      const { columns, rows } = first.result.data.tables[0] || { columns: [], rows: [] };
+      table = { columns, rows: exportPages(req, rows, first.page, { dataset, exportPlan, runQuery }) };
+    } catch (error) {
+      if (error.code !== 'XMLA_PAGING_UNSUPPORTED') {
+        throw error;
+      }
+      // More ties on one ORDER BY key than a page holds, or keys left out of the result: export it whole
+      logger.info(`Export of query ${queryId} can't be paged, running it unpaged: ${error.message}`);
+      result = await runQuery(exportPlan.query);
+      if (!result.success) {
+        return sendQueryResult(req, res, result, { dataset, queryId });
+      }
+    }
+  }
+
+  if (!table) {
+    [table = { columns: [], rows: [] }] = (result.data || await normalizeResult(req, dataset, result)).tables;
+  }
+
+  res.set('X-Cache', result.cache?.hit ? 'HIT' : 'MISS');
+
+  try {
+    await XMLAResultExportService.export(format, table, res, {
+      fileName: `${dataset.datasetName}-${queryId}`,
+      signal
+    });
+  } catch (error) {
+    if (res.headersSent) {
+      // Too late for an error response; cut the download short so the client sees it failed
+      logger.error(`Export of query ${queryId} as ${format} failed mid-stream: ${error.message}`);
+      res.destroy(error);
+      return;
+    }
+    if (error.code === 'XMLA_EXPORT_TOO_LARGE') {
+      return res.status(413).json({
+        error: 'Payload Too Large',
+        code: error.code,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+}
+
+// Saved queries can be changed by whoever created them and by admins
+function canEditSavedQuery(user, savedQuery) {
+  return savedQuery.createdBy === user.userId || user.role === 'admin' || isPlatformAdmin(user);
+}
+
+// Postgres unique_violation, raised when a saved query name is already taken on the dataset
+function isDuplicateName(error) {
+  return error.code === '23505';
+}
+
+// Helper function to abort work when the client disconnects before the response is complete
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
 const XMLAController = {
   /**
    * Test XMLA connection to a dataset
@@ -72,7 +514,8 @@ const XMLAController = {
   async executeQuery(req, res) {
     try {
       const { datasetId } = req.params;
-      const { query } = req.body;
+      const { query, useCache = true, credentialType = 'delegated', paging } = req.body;
+      const format = resolveResultFormat(req);
       const userId = req.user.userId;
       const tenantId = req.user.tenantId;
 
@@ -91,33 +534,83 @@ const XMLAController = {
       }
 
       // Validate query syntax
-      const validation = XMLAConnectionService.validateQuery(query);
+      const validation = XMLAQueryExecutorService.validateDAXQuery(query);
       if (!validation.isValid) {
         return res.status(400).json({
           error: 'Invalid Query',
           message: 'DAX query validation failed',
-          errors: validation.errors
+          errors: validation.errors,
+          diagnostics: validation.diagnostics
         });
       }
 
-      const result = await XMLAConnectionService.executeQuery(userId, tenantId, datasetId, query);
+      if (rejectUnavailableFormat(res, format)) {
+        return;
+      }
 
-      if (result.success) {
-        res.status(200).json({
-          message: 'Query executed successfully',
-          query: result.query,
-          results: result.results,
-          executionTimeMs: result.executionTimeMs,
-          datasetName: result.datasetName,
-          rowCount: result.rowCount
-        });
-      } else {
-        res.status(400).json({
-          error: 'Query Execution Failed',
-          message: result.error,
-          query: result.query
+      const execution = resolveExecution(req, res, credentialType);
+      if (!execution) {
+        return;
+      }
+      const { impersonation, queryId } = execution;
+
+      const dataset = await getDatasetContext(datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
         });
       }
+
+      const pagePlan = paging ? resolvePagePlan(req, res, query, { paging, dataset, credentialType, impersonation }) : null;
+      if (paging && !pagePlan) {
+        return;
+      }
+      const exportPlan = !paging && format !== 'json'
+        ? resolveExportPlan(req, query, { dataset, credentialType, impersonation })
+        : null;
+
+      res.set('X-Query-Id', queryId);
+      const disconnect = abortOnDisconnect(res);
+
+      const runQuery = queryText => XMLAQueryExecutorService.executeDAXQuery(
+        userId,
+        tenantId,
+        dataset.workspaceId,
+        dataset.powerbiDatasetId,
+        queryText,
+        { useCache, queryId, signal: disconnect.signal, credentialType, impersonation }
+      );
+      let result = await runQuery((pagePlan || exportPlan?.plan)?.query || query);
+
+      if (disconnect.signal.aborted) {
+        logger.info(`Client disconnected, DAX query ${queryId} cancelled`);
+        return;
+      }
+
+      let page = null;
+      if (result.success && pagePlan) {
+        try {
+          ({ result, page } = XMLAResultPagerService.paginate(result, pagePlan, await normalizeResult(req, dataset, result)));
+        } catch (error) {
+          if (error.code !== 'XMLA_PAGING_UNSUPPORTED') {
+            throw error;
+          }
+          return res.status(400).json({
+            error: 'Bad Request',
+            code: error.code,
+            message: error.message
+          });
+        }
+        if (page.nextCursor) {
+          res.set('X-Next-Cursor', page.nextCursor);
+        }
+      }
+
+      if (result.success && format !== 'json') {
+        return await sendExport(req, res, result, { dataset, queryId, format, signal: disconnect.signal, exportPlan, runQuery });
+      }
+      await sendQueryResult(req, res, result, { dataset, queryId, impersonation, shape: req.body.shape, extra: page ? { page } : {} });
     } catch (error) {
       logger.error('XMLA query execution error:', error);
       res.status(500).json({
@@ -270,10 +763,12 @@ const XMLAController = {
 
   /**
    * Validate DAX query syntax
+   * With mode "schema", references are also checked against the dataset's cached metadata
    */
   async validateQuery(req, res) {
     try {
-      const { query } = req.body;
+      const { query, mode = 'syntax', datasetId } = req.body;
+      const tenantId = req.user.tenantId;
 
       if (!query) {
         return res.status(400).json({
@@ -282,12 +777,44 @@ const XMLAController = {
         });
       }
 
-      const validation = XMLAConnectionService.validateQuery(query);
+      if (mode === 'schema') {
+        if (!datasetId) {
+          return res.status(400).json({
+            error: 'Bad Request',
+            message: 'Dataset ID is required for schema validation'
+          });
+        }
+
+        const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
+        const schemaValidation = await DAXSemanticValidatorService.validateAgainstDataset(query, localDatasetId, tenantId);
+
+        if (!schemaValidation) {
+          return res.status(404).json({
+            error: 'Not Found',
+            message: 'No cached metadata found. Please extract metadata first.'
+          });
+        }
+
+        return res.status(200).json({
+          message: 'Query validation completed',
+          mode,
+          isValid: schemaValidation.isValid,
+          errors: schemaValidation.errors,
+          diagnostics: schemaValidation.diagnostics,
+          references: schemaValidation.references,
+          schemaVersion: schemaValidation.schemaVersion
+        });
+      }
+
+      const validation = XMLAQueryExecutorService.validateDAXQuery(query);
 
       res.status(200).json({
         message: 'Query validation completed',
+        mode,
         isValid: validation.isValid,
-        errors: validation.errors
+        errors: validation.errors,
+        warnings: validation.warnings,
+        diagnostics: validation.diagnostics
       });
     } catch (error) {
       logger.error('XMLA query validation error:', error);
@@ -300,15 +827,28 @@ const XMLAController = {
 
   /**
    * Get connection pool statistics (Day 15 Enhancement)
+   * stats covers this node; cluster combines every node sharing the state store.
+   * Filtered to the caller's tenant unless a platform admin asks for ?scope=global
    * GET /xmla/pool/stats
    */
   async getPoolStats(req, res) {
     try {
-      const stats = XMLAConnectionPoolService.getPoolStats();
+      if (rejectGlobalScope(req, res)) {
+        return;
+      }
+
+      const tenantId = req.query.scope === 'global' ? null : req.user.tenantId;
+      const stats = XMLAConnectionPoolService.getPoolStats(tenantId);
+      const cluster = await XMLAConnectionPoolService.getClusterStats(tenantId).catch(error => {
+        logger.warn(`Cluster pool stats unavailable: ${error.message}`);
+        return { error: 'State store unavailable' };
+      });
       
       res.status(200).json({
         message: 'Connection pool statistics',
-        stats
+        scope: tenantId ? 'tenant' : 'global',
+        stats,
+        cluster
       });
     } catch (error) {
       logger.error('Failed to get pool stats:', error);
@@ -336,6 +876,15 @@ const XMLAController = {
         });
       }
 
+      // Only connect to workspaces synced for this tenant
+      const workspaceIds = await getTenantWorkspaceIds(tenantId);
+      if (!workspaceIds.includes(workspaceId)) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Workspace not found. Please sync your workspace first.'
+        });
+      }
+
       const result = await XMLAConnectionPoolService.testConnection(userId, tenantId, workspaceId);
 
       res.status(result.success ? 200 : 500).json(result);
@@ -349,153 +898,435 @@ const XMLAController = {
   },
 
   /**
-   * Get query executor statistics (Day 15 Enhancement)
-   * GET /xmla/executor/stats
+   * Invalidate pooled connections by tenant, workspace, user and/or credential type (admin)
+   * Leased connections are removed once their queries finish
+   * POST /xmla/pool/invalidate
    */
-  async getExecutorStats(req, res) {
+  async invalidatePoolConnections(req, res) {
     try {
-      const stats = XMLAQueryExecutorService.getStats();
-      
+      const { filter, rejection } = resolvePoolFilter(req);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          error: rejection.error,
+          message: rejection.message
+        });
+      }
+
+      const keys = XMLAConnectionPoolService.invalidateConnections(filter);
+      logger.info(`Pool connections invalidated by user ${req.user.userId}`, { ...filter, count: keys.length });
+
       res.status(200).json({
-        message: 'Query executor statistics',
-        stats
+        message: `Invalidated ${keys.length} connections`,
+        invalidated: keys
       });
     } catch (error) {
-      logger.error('Failed to get executor stats:', error);
+      logger.error('Failed to invalidate pool connections:', error);
       res.status(500).json({
         error: 'Internal Server Error',
-        message: 'Failed to retrieve executor statistics'
+        message: 'Failed to invalidate pool connections'
       });
     }
   },
 
   /**
-   * Extract complete semantic model metadata (Day 15 Enhancement)
-   * POST /xmla/datasets/:datasetId/extract-metadata
+   * Evict pooled connections immediately, even while leased (admin)
+   * POST /xmla/pool/evict
    */
-  async extractSemanticMetadata(req, res) {
+  async evictPoolConnections(req, res) {
     try {
-      const { datasetId } = req.params;
-      const userId = req.user.userId;
-      const tenantId = req.user.tenantId;
-
-      if (!datasetId) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: 'Dataset ID is required'
-        });
-      }
-
-      // Get local dataset ID and workspace
-      const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
-      
-      // Get dataset details to find workspace
-      const { query } = require('../config/database');
-      const datasetResult = await query(
-        'SELECT powerbi_workspace_id FROM datasets WHERE dataset_id = $1 AND tenant_id = $2',
-        [localDatasetId, tenantId]
-      );
-
-      if (datasetResult.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Dataset not found'
+      const { filter, rejection } = resolvePoolFilter(req);
+      if (rejection) {
+        return res.status(rejection.status).json({
+          error: rejection.error,
+          message: rejection.message
         });
       }
 
-      const workspaceId = datasetResult.rows[0].powerbi_workspace_id;
-
-      // Extract metadata
-      const metadata = await MetadataExtractorService.extractCompleteMetadata(
-        userId,
-        tenantId,
-        workspaceId,
-        datasetId
-      );
+      const keys = XMLAConnectionPoolService.evictConnections(filter);
+      logger.info(`Pool connections evicted by user ${req.user.userId}`, { ...filter, count: keys.length });
 
       res.status(200).json({
-        message: 'Semantic model metadata extracted successfully',
-        metadata
+        message: `Evicted ${keys.length} connections`,
+        evicted: keys
       });
     } catch (error) {
-      logger.error('Semantic metadata extraction error:', error);
+      logger.error('Failed to evict pool connections:', error);
       res.status(500).json({
         error: 'Internal Server Error',
-        message: 'Failed to extract semantic metadata'
+        message: 'Failed to evict pool connections'
       });
     }
   },
 
   /**
-   * Generate semantic context for AI (Day 15 Enhancement)
-   * POST /xmla/datasets/:datasetId/semantic-context
+   * Drain the whole pool: wait for in-flight queries to release their connections,
+   * then clear it; new connections are refused meanwhile (platform admin)
+   * POST /xmla/pool/drain
    */
-  async getSemanticContext(req, res) {
+  async drainPool(req, res) {
     try {
-      const { datasetId } = req.params;
-      const userId = req.user.userId;
-      const tenantId = req.user.tenantId;
-
-      if (!datasetId) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: 'Dataset ID is required'
-        });
-      }
-
-      // Get local dataset ID and workspace
-      const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
-      
-      const { query } = require('../config/database');
-      const datasetResult = await query(
-        'SELECT powerbi_workspace_id FROM datasets WHERE dataset_id = $1 AND tenant_id = $2',
-        [localDatasetId, tenantId]
-      );
-
-      if (datasetResult.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'Dataset not found'
-        });
-      }
-
-      const workspaceId = datasetResult.rows[0].powerbi_workspace_id;
+      const { timeoutMs } = req.body;
+      logger.info(`Pool drain requested by user ${req.user.userId}`);
 
-      // Generate semantic context
-      const context = await MetadataExtractorService.generateSemanticContext(
-        userId,
-        tenantId,
-        workspaceId,
-        datasetId
-      );
+      const result = await XMLAConnectionPoolService.drain({ timeout: timeoutMs });
 
       res.status(200).json({
-        message: 'Semantic context generated successfully',
-        context
+        message: `Drained ${result.drained} connections`,
+        ...result
       });
     } catch (error) {
-      logger.error('Semantic context generation error:', error);
+      logger.error('Failed to drain pool:', error);
       res.status(500).json({
         error: 'Internal Server Error',
-        message: 'Failed to generate semantic context'
+        message: 'Failed to drain connection pool'
       });
     }
   },
 
   /**
-   * Get cached metadata from database (Day 15 Enhancement)
-   * GET /xmla/datasets/:datasetId/cached-metadata
+   * Get query executor statistics (Day 15 Enhancement)
+   * stats covers this node; cluster combines every node sharing the state store.
+   * Filtered to the caller's tenant unless a platform admin asks for ?scope=global
+   * GET /xmla/executor/stats
    */
-  async getCachedMetadata(req, res) {
+  async getExecutorStats(req, res) {
     try {
-      const { datasetId } = req.params;
-      const tenantId = req.user.tenantId;
-
-      if (!datasetId) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: 'Dataset ID is required'
-        });
+      if (rejectGlobalScope(req, res)) {
+        return;
+      }
+
+      const tenantId = req.query.scope === 'global' ? null : req.user.tenantId;
+      const stats = XMLAQueryExecutorService.getStats(tenantId ? {
+        tenantId,
+        workspaceIds: await getTenantWorkspaceIds(tenantId)
+      } : {});
+      const cluster = await XMLAQueryExecutorService.getClusterStats(tenantId).catch(error => {
+        logger.warn(`Cluster executor stats unavailable: ${error.message}`);
+        return { error: 'State store unavailable' };
+      });
+      
+      res.status(200).json({
+        message: 'Query executor statistics',
+        scope: tenantId ? 'tenant' : 'global',
+        stats,
+        cluster
+      });
+    } catch (error) {
+      logger.error('Failed to get executor stats:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve executor statistics'
+      });
+    }
+  },
+
+  /**
+   * Search the slow-query log, slowest first (admin)
+   * Filtered to the caller's tenant unless a platform admin asks for ?scope=global
+   * GET /xmla/executor/slow-queries
+   */
+  async getSlowQueries(req, res) {
+    try {
+      if (rejectGlobalScope(req, res)) {
+        return;
+      }
+
+      const global = req.query.scope === 'global';
+      const { datasetId, workspaceId, userId, queryHash, status, minDurationMs, since, until, limit, offset } = req.query;
+
+      const slowQueries = await XMLAQueryExecutorService.getSlowQueries({
+        tenantId: global ? req.query.tenantId : req.user.tenantId,
+        datasetId,
+        workspaceId,
+        userId,
+        queryHash: queryHash && queryHash.toLowerCase(),
+        status,
+        minDurationMs: minDurationMs !== undefined ? parseInt(minDurationMs) : undefined,
+        since: since ? new Date(since) : undefined,
+        until: until ? new Date(until) : undefined,
+        limit: limit ? parseInt(limit) : 50,
+        offset: offset ? parseInt(offset) : 0
+      });
+
+      res.status(200).json({
+        message: 'Slow queries',
+        scope: global ? 'global' : 'tenant',
+        thresholdMs: XMLAQueryExecutorService.slowQueryThreshold,
+        count: slowQueries.length,
+        slowQueries
+      });
+    } catch (error) {
+      logger.error('Failed to get slow queries:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve slow queries'
+      });
+    }
+  },
+
+  /**
+   * Query history across datasets, newest first
+   * Users see their own executions, admins their tenant's; platform admins may ask for ?scope=global
+   * GET /xmla/history
+   */
+  async getQueryHistory(req, res) {
+    try {
+      const { filters, rejection } = resolveHistoryFilters(req);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error, message: rejection.message });
+      }
+
+      const { entries, total } = await XMLAQueryExecutorService.history.find(filters);
+
+      res.status(200).json({
+        message: 'Query history',
+        scope: req.query.scope === 'global' ? 'global' : 'tenant',
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        history: entries
+      });
+    } catch (error) {
+      logger.error('Failed to get query history:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve query history'
+      });
+    }
+  },
+
+  /**
+   * Query history of one dataset in the caller's tenant, newest first
+   * GET /xmla/datasets/:datasetId/history
+   */
+  async getDatasetQueryHistory(req, res) {
+    try {
+      const { filters, rejection } = resolveHistoryFilters(req);
+      if (rejection) {
+        return res.status(rejection.status).json({ error: rejection.error, message: rejection.message });
+      }
+
+      const dataset = await getDatasetContext(req.params.datasetId, req.user.tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const { entries, total } = await XMLAQueryExecutorService.history.find({
+        ...filters,
+        tenantId: req.user.tenantId,
+        workspaceId: dataset.workspaceId,
+        datasetId: dataset.powerbiDatasetId
+      });
+
+      res.status(200).json({
+        message: `Query history for ${dataset.datasetName}`,
+        datasetId: dataset.localDatasetId,
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+        history: entries
+      });
+    } catch (error) {
+      logger.error('Failed to get dataset query history:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve query history'
+      });
+    }
+  },
+
+  /**
+   * Pool and executor metrics for Prometheus, in OpenMetrics text format
+   * GET /xmla/metrics
+   */
+  async getMetrics(req, res) {
+    try {
+      res.set('Content-Type', XMLAMetricsService.contentType);
+      res.status(200).send(XMLAMetricsService.render());
+    } catch (error) {
+      logger.error('Failed to render metrics:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to render metrics'
+      });
+    }
+  },
+
+  /**
+   * Reset circuit breakers (admin)
+   * Tenant admins may reset their own workspaces' breakers; capacity breakers
+   * and resetting all of them affect every tenant, so need a platform admin
+   * POST /xmla/executor/circuit-breakers/reset
+   */
+  async resetCircuitBreakers(req, res) {
+    try {
+      const { key } = req.body;
+      const platformAdmin = isPlatformAdmin(req.user);
+      const workspaceIds = platformAdmin ? [] : await getTenantWorkspaceIds(req.user.tenantId);
+
+      if (!platformAdmin && !workspaceIds.some(workspaceId => key === `workspace:${workspaceId}`)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: key && key.startsWith('workspace:')
+            ? 'Workspace is not synced for your tenant'
+            : 'Platform admin access required to reset capacity or all circuit breakers'
+        });
+      }
+
+      const reset = XMLAQueryExecutorService.resetCircuitBreakers(key);
+
+      logger.info(`Circuit breakers reset by user ${req.user.userId}`, { key: key || 'all', reset });
+
+      const stats = platformAdmin
+        ? XMLAQueryExecutorService.getStats()
+        : XMLAQueryExecutorService.getStats({ tenantId: req.user.tenantId, workspaceIds });
+
+      res.status(200).json({
+        message: key ? `Circuit breaker ${key} reset` : 'All circuit breakers reset',
+        reset,
+        circuitBreaker: stats.circuitBreaker
+      });
+    } catch (error) {
+      logger.error('Failed to reset circuit breakers:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to reset circuit breakers'
+      });
+    }
+  },
+
+  /**
+   * Extract complete semantic model metadata (Day 15 Enhancement)
+   * POST /xmla/datasets/:datasetId/extract-metadata
+   */
+  async extractSemanticMetadata(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      if (!datasetId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Dataset ID is required'
+        });
+      }
+
+      // Get local dataset ID and workspace
+      const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
+      
+      // Get dataset details to find workspace
+      const { query } = require('../config/database');
+      const datasetResult = await query(
+        'SELECT powerbi_workspace_id FROM datasets WHERE dataset_id = $1 AND tenant_id = $2',
+        [localDatasetId, tenantId]
+      );
+
+      if (datasetResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const workspaceId = datasetResult.rows[0].powerbi_workspace_id;
+
+      // Extract metadata
+      const metadata = await MetadataExtractorService.extractCompleteMetadata(
+        userId,
+        tenantId,
+        workspaceId,
+        datasetId
+      );
+
+      res.status(200).json({
+        message: 'Semantic model metadata extracted successfully',
+        metadata
+      });
+    } catch (error) {
+      logger.error('Semantic metadata extraction error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to extract semantic metadata'
+      });
+    }
+  },
+
+  /**
+   * Generate semantic context for AI (Day 15 Enhancement)
+   * POST /xmla/datasets/:datasetId/semantic-context
+   */
+  async getSemanticContext(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      if (!datasetId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Dataset ID is required'
+        });
+      }
+
+      // Get local dataset ID and workspace
+      const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
+      
+      const { query } = require('../config/database');
+      const datasetResult = await query(
+        'SELECT powerbi_workspace_id FROM datasets WHERE dataset_id = $1 AND tenant_id = $2',
+        [localDatasetId, tenantId]
+      );
+
+      if (datasetResult.rows.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const workspaceId = datasetResult.rows[0].powerbi_workspace_id;
+
+      // Generate semantic context, ranked for the question and cut to the token budget
+      const { question, tokenBudget, format } = req.body;
+      const context = await MetadataExtractorService.generateSemanticContext(
+        userId,
+        tenantId,
+        workspaceId,
+        datasetId,
+        { question, tokenBudget, format }
+      );
+
+      res.status(200).json({
+        message: 'Semantic context generated successfully',
+        context
+      });
+    } catch (error) {
+      logger.error('Semantic context generation error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to generate semantic context'
+      });
+    }
+  },
+
+  /**
+   * Get cached metadata from database (Day 15 Enhancement)
+   * GET /xmla/datasets/:datasetId/cached-metadata
+   */
+  async getCachedMetadata(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const tenantId = req.user.tenantId;
+
+      if (!datasetId) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Dataset ID is required'
+        });
       }
 
       const localDatasetId = await getLocalDatasetId(datasetId, tenantId);
@@ -519,6 +1350,760 @@ const XMLAController = {
         message: 'Failed to retrieve cached metadata'
       });
     }
+  },
+
+  /**
+   * Execute a batch of named DAX queries, streaming each result as it finishes
+   * POST /xmla/datasets/:datasetId/execute-batch
+   * Responds with NDJSON by default, or Server-Sent Events for Accept: text/event-stream
+   */
+  async executeBatch(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const { queries, mode, credentialType = 'delegated' } = req.body;
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      // Reject the whole batch up front so clients never get a half-valid stream
+      const invalid = queries
+        .map(({ name, query }) => ({ name, validation: XMLAQueryExecutorService.validateDAXQuery(query) }))
+        .filter(({ validation }) => !validation.isValid)
+        .map(({ name, validation }) => ({ name, errors: validation.errors, diagnostics: validation.diagnostics }));
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid Query',
+          message: `${invalid.length} of ${queries.length} queries failed validation`,
+          queries: invalid
+        });
+      }
+
+      const execution = resolveExecution(req, res, credentialType);
+      if (!execution) {
+        return;
+      }
+      const { impersonation, queryId } = execution;
+
+      const dataset = await getDatasetContext(datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const format = req.body.format || ((req.get('Accept') || '').includes('text/event-stream') ? 'sse' : 'ndjson');
+      const disconnect = abortOnDisconnect(res);
+
+      const writeRecord = (type, record) => {
+        if (disconnect.signal.aborted || res.writableEnded) {
+          return;
+        }
+        if (format === 'sse') {
+          res.write(`event: ${type}\ndata: ${JSON.stringify(record)}\n\n`);
+        } else {
+          res.write(JSON.stringify({ type, ...record }) + '\n');
+        }
+      };
+
+      res.status(200);
+      res.set({
+        'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Query-Id': queryId
+      });
+      res.flushHeaders();
+
+      try {
+        const batch = await XMLAQueryExecutorService.executeBatchQueries(
+          userId,
+          tenantId,
+          dataset.workspaceId,
+          dataset.powerbiDatasetId,
+          queries,
+          {
+            mode,
+            queryId,
+            signal: disconnect.signal,
+            credentialType,
+            impersonation,
+            onResult: result => writeRecord('result', {
+              index: result.index,
+              name: result.name,
+              success: result.success,
+              skipped: result.skipped || false,
+              rowCount: result.metadata?.rowCount,
+              executionTimeMs: result.executionTimeMs,
+              cache: result.cache,
+              results: result.results,
+              error: result.error,
+              cancelled: result.cancelled || undefined
+            })
+          }
+        );
+
+        writeRecord('summary', {
+          success: batch.success,
+          queryId,
+          cancelled: batch.cancelled,
+          mode: batch.mode,
+          datasetName: dataset.datasetName,
+          totalQueries: batch.totalQueries,
+          successfulQueries: batch.successfulQueries,
+          failedQueries: batch.failedQueries,
+          skippedQueries: batch.skippedQueries,
+          totalExecutionTimeMs: batch.totalExecutionTimeMs
+        });
+      } catch (error) {
+        // Headers are already sent, so report the failure in-stream
+        logger.error('Batch execution stream failed:', error);
+        writeRecord('error', { message: 'Batch execution failed' });
+      }
+
+      res.end();
+    } catch (error) {
+      logger.error('XMLA batch execution error:', error);
+      if (res.headersSent) {
+        return res.end();
+      }
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to execute batch queries'
+      });
+    }
+  },
+
+  /**
+   * Cancel a running query or batch
+   * DELETE /xmla/queries/:queryId
+   */
+  async cancelQuery(req, res) {
+    try {
+      const { queryId } = req.params;
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      const running = XMLAQueryExecutorService.getRunningQuery(queryId);
+
+      // Don't reveal queries belonging to other tenants; platform admins operate across tenants
+      if (!running || (running.tenantId !== tenantId && !isPlatformAdmin(req.user))) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Query is not running'
+        });
+      }
+
+      if (running.userId !== userId && req.user.role !== 'admin' && !isPlatformAdmin(req.user)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the user who started a query can cancel it'
+        });
+      }
+
+      XMLAQueryExecutorService.cancelQuery(queryId, `Query cancelled by user ${userId}`);
+
+      res.status(200).json({
+        message: 'Query cancelled',
+        queryId,
+        runningForMs: Date.now() - running.startedAt.getTime()
+      });
+    } catch (error) {
+      logger.error('Failed to cancel query:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to cancel query'
+      });
+    }
+  },
+
+  /**
+   * List a dataset's saved queries at their current version
+   * GET /xmla/datasets/:datasetId/saved-queries
+   */
+  async listSavedQueries(req, res) {
+    try {
+      const tenantId = req.user.tenantId;
+      const { search, limit, offset } = req.query;
+
+      const dataset = await getDatasetContext(req.params.datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const page = {
+        limit: limit ? parseInt(limit) : 50,
+        offset: offset ? parseInt(offset) : 0
+      };
+      const { entries, total } = await XMLASavedQueryService.list({
+        tenantId,
+        datasetId: dataset.localDatasetId,
+        search,
+        ...page
+      });
+
+      res.status(200).json({
+        message: `Saved queries for ${dataset.datasetName}`,
+        total,
+        ...page,
+        savedQueries: entries
+      });
+    } catch (error) {
+      logger.error('Failed to list saved queries:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to list saved queries'
+      });
+    }
+  },
+
+  /**
+   * Save a named, parameterized query for a dataset
+   * POST /xmla/datasets/:datasetId/saved-queries
+   */
+  async createSavedQuery(req, res) {
+    try {
+      const tenantId = req.user.tenantId;
+      const { name, description, query, parameters } = req.body;
+
+      const dataset = await getDatasetContext(req.params.datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const validation = XMLASavedQueryService.checkQuery(query, parameters);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid Query',
+          message: 'Saved query validation failed',
+          errors: validation.errors,
+          diagnostics: validation.diagnostics
+        });
+      }
+
+      const savedQuery = await XMLASavedQueryService.create({
+        tenantId,
+        datasetId: dataset.localDatasetId,
+        name,
+        description,
+        queryText: query,
+        parameters,
+        createdBy: req.user.userId
+      });
+
+      logger.info(`Saved query ${savedQuery.id} created by user ${req.user.userId}`, { name, datasetId: dataset.localDatasetId });
+
+      res.status(201).json({
+        message: 'Saved query created',
+        savedQuery
+      });
+    } catch (error) {
+      if (isDuplicateName(error)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `A saved query named "${req.body.name}" already exists for this dataset`
+        });
+      }
+      logger.error('Failed to create saved query:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to create saved query'
+      });
+    }
+  },
+
+  /**
+   * Get a saved query at its current version, or ?version=n
+   * GET /xmla/saved-queries/:id
+   */
+  async getSavedQuery(req, res) {
+    try {
+      const { version } = req.query;
+      const savedQuery = await XMLASavedQueryService.get(req.params.id, req.user.tenantId, {
+        version: version ? parseInt(version) : undefined
+      });
+
+      if (!savedQuery) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: version ? `Saved query version ${version} not found` : 'Saved query not found'
+        });
+      }
+
+      res.status(200).json({
+        message: 'Saved query',
+        savedQuery
+      });
+    } catch (error) {
+      logger.error('Failed to get saved query:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve saved query'
+      });
+    }
+  },
+
+  /**
+   * Every version of a saved query, newest first
+   * GET /xmla/saved-queries/:id/versions
+   */
+  async getSavedQueryVersions(req, res) {
+    try {
+      const versions = await XMLASavedQueryService.getVersions(req.params.id, req.user.tenantId);
+
+      if (versions.length === 0) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Saved query not found'
+        });
+      }
+
+      res.status(200).json({
+        message: `Versions of ${versions[0].name}`,
+        currentVersion: versions[0].currentVersion,
+        versions: versions.map(({ version, query, parameters, changeNote, versionCreatedBy, versionCreatedAt }) => ({
+          version,
+          query,
+          parameters,
+          changeNote,
+          createdBy: versionCreatedBy,
+          createdAt: versionCreatedAt
+        }))
+      });
+    } catch (error) {
+      logger.error('Failed to get saved query versions:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve saved query versions'
+      });
+    }
+  },
+
+  /**
+   * Update a saved query; changing its query or parameters adds a version.
+   * Pass expectedVersion to fail with 409 instead of overwriting someone else's change.
+   * PUT /xmla/saved-queries/:id
+   */
+  async updateSavedQuery(req, res) {
+    try {
+      const current = await XMLASavedQueryService.get(req.params.id, req.user.tenantId);
+      if (!current) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Saved query not found'
+        });
+      }
+
+      if (!canEditSavedQuery(req.user, current)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the creator of a saved query or an admin can change it'
+        });
+      }
+
+      const { query, parameters } = req.body;
+      if (query !== undefined || parameters !== undefined) {
+        const validation = XMLASavedQueryService.checkQuery(query ?? current.query, parameters ?? current.parameters);
+        if (!validation.isValid) {
+          return res.status(400).json({
+            error: 'Invalid Query',
+            message: 'Saved query validation failed',
+            errors: validation.errors,
+            diagnostics: validation.diagnostics
+          });
+        }
+      }
+
+      const savedQuery = await XMLASavedQueryService.update(current, {
+        ...req.body,
+        updatedBy: req.user.userId
+      });
+
+      if (!savedQuery) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Saved query has changed since version ${req.body.expectedVersion}; reload it and try again`
+        });
+      }
+
+      res.status(200).json({
+        message: savedQuery.version > current.version
+          ? `Saved query updated to version ${savedQuery.version}`
+          : 'Saved query updated',
+        savedQuery
+      });
+    } catch (error) {
+      if (isDuplicateName(error)) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `A saved query named "${req.body.name}" already exists for this dataset`
+        });
+      }
+      logger.error('Failed to update saved query:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to update saved query'
+      });
+    }
+  },
+
+  /**
+   * Delete a saved query; its versions are kept for the audit trail
+   * DELETE /xmla/saved-queries/:id
+   */
+  async deleteSavedQuery(req, res) {
+    try {
+      const current = await XMLASavedQueryService.get(req.params.id, req.user.tenantId);
+      if (!current) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Saved query not found'
+        });
+      }
+
+      if (!canEditSavedQuery(req.user, current)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'Only the creator of a saved query or an admin can delete it'
+        });
+      }
+
+      await XMLASavedQueryService.remove(current.id, req.user.tenantId, req.user.userId);
+      logger.info(`Saved query ${current.id} deleted by user ${req.user.userId}`);
+
+      res.status(200).json({
+        message: 'Saved query deleted',
+        id: current.id
+      });
+    } catch (error) {
+      logger.error('Failed to delete saved query:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to delete saved query'
+      });
+    }
+  },
+
+  /**
+   * Run a saved query with parameter values, at its current version or the given one
+   * POST /xmla/saved-queries/:id/run
+   */
+  async runSavedQuery(req, res) {
+    try {
+      const { parameters, version, useCache = true, credentialType = 'delegated' } = req.body;
+      const format = resolveResultFormat(req);
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      const savedQuery = await XMLASavedQueryService.get(req.params.id, tenantId, { version });
+      if (!savedQuery) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: version ? `Saved query version ${version} not found` : 'Saved query not found'
+        });
+      }
+
+      const prepared = XMLASavedQueryService.prepare(savedQuery, parameters);
+      if (prepared.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid Parameters',
+          message: 'Parameter values do not match the saved query',
+          errors: prepared.errors
+        });
+      }
+
+      const validation = XMLAQueryExecutorService.validateDAXQuery(prepared.query);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid Query',
+          message: 'DAX query validation failed',
+          errors: validation.errors,
+          diagnostics: validation.diagnostics
+        });
+      }
+
+      if (rejectUnavailableFormat(res, format)) {
+        return;
+      }
+
+      const execution = resolveExecution(req, res, credentialType);
+      if (!execution) {
+        return;
+      }
+      const { impersonation, queryId } = execution;
+
+      const dataset = await getDatasetContext(savedQuery.datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset of the saved query not found'
+        });
+      }
+
+      const exportPlan = format !== 'json'
+        ? resolveExportPlan(req, prepared.query, { dataset, credentialType, impersonation })
+        : null;
+
+      res.set('X-Query-Id', queryId);
+      const disconnect = abortOnDisconnect(res);
+
+      const runQuery = queryText => XMLAQueryExecutorService.executeDAXQuery(
+        userId,
+        tenantId,
+        dataset.workspaceId,
+        dataset.powerbiDatasetId,
+        queryText,
+        { useCache, queryId, signal: disconnect.signal, credentialType, impersonation, parameters: prepared.values }
+      );
+      const result = await runQuery(exportPlan ? exportPlan.plan.query : prepared.query);
+
+      if (disconnect.signal.aborted) {
+        logger.info(`Client disconnected, saved query ${savedQuery.id} (${queryId}) cancelled`);
+        return;
+      }
+
+      if (result.success && format !== 'json') {
+        return await sendExport(req, res, result, { dataset, queryId, format, signal: disconnect.signal, exportPlan, runQuery });
+      }
+      await sendQueryResult(req, res, result, {
+        dataset,
+        queryId,
+        impersonation,
+        shape: req.body.shape,
+        extra: {
+          savedQuery: { id: savedQuery.id, name: savedQuery.name, version: savedQuery.version },
+          parameters: prepared.values
+        }
+      });
+    } catch (error) {
+      logger.error('Saved query execution error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to run saved query'
+      });
+    }
+  },
+
+  /**
+   * Compile a structured query spec to DAX against the dataset's cached metadata and run it
+   * With compileOnly the DAX is returned without running it
+   */
+  async executeQuerySpec(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const { useCache = true, credentialType = 'delegated', compileOnly = false } = req.body;
+      const format = resolveResultFormat(req);
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      const dataset = await getDatasetContext(datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const metadata = await MetadataExtractorService.getCachedMetadata(dataset.localDatasetId, tenantId);
+      if (!metadata) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No cached metadata found. Please extract metadata first.'
+        });
+      }
+
+      const compiled = XMLAQuerySpecService.compile(req.body, metadata);
+      if (compiled.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid Query Spec',
+          message: 'Query spec does not match the dataset',
+          errors: compiled.errors,
+          schemaVersion: metadata.schemaVersion
+        });
+      }
+
+      if (compileOnly) {
+        return res.status(200).json({
+          message: 'Query spec compiled',
+          query: compiled.query,
+          datasetName: dataset.datasetName,
+          schemaVersion: metadata.schemaVersion
+        });
+      }
+
+      if (rejectUnavailableFormat(res, format)) {
+        return;
+      }
+
+      const execution = resolveExecution(req, res, credentialType);
+      if (!execution) {
+        return;
+      }
+      const { impersonation, queryId } = execution;
+
+      const exportPlan = format !== 'json'
+        ? resolveExportPlan(req, compiled.query, { dataset, credentialType, impersonation })
+        : null;
+
+      res.set('X-Query-Id', queryId);
+      const disconnect = abortOnDisconnect(res);
+
+      const runQuery = queryText => XMLAQueryExecutorService.executeDAXQuery(
+        userId,
+        tenantId,
+        dataset.workspaceId,
+        dataset.powerbiDatasetId,
+        queryText,
+        { useCache, queryId, signal: disconnect.signal, credentialType, impersonation }
+      );
+      const result = await runQuery(exportPlan ? exportPlan.plan.query : compiled.query);
+
+      if (disconnect.signal.aborted) {
+        logger.info(`Client disconnected, query spec ${queryId} cancelled`);
+        return;
+      }
+
+      if (result.success && format !== 'json') {
+        return await sendExport(req, res, result, { dataset, queryId, format, signal: disconnect.signal, exportPlan, runQuery });
+      }
+      await sendQueryResult(req, res, result, { dataset, queryId, impersonation, shape: req.body.shape });
+    } catch (error) {
+      logger.error('Query spec execution error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to run query spec'
+      });
+    }
+  },
+
+  /**
+   * Answer a natural language question: a model provider writes DAX from the dataset's
+   * semantic context, the DAX is validated against the cached metadata and (unless
+   * execute is false) run
+   * POST /xmla/datasets/:datasetId/ask
+   */
+  async askQuestion(req, res) {
+    try {
+      const { datasetId } = req.params;
+      const { question, execute = true, useCache = true, credentialType = 'delegated' } = req.body;
+      const userId = req.user.userId;
+      const tenantId = req.user.tenantId;
+
+      const dataset = await getDatasetContext(datasetId, tenantId);
+      if (!dataset) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'Dataset not found'
+        });
+      }
+
+      const metadata = await MetadataExtractorService.getCachedMetadata(dataset.localDatasetId, tenantId);
+      if (!metadata) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: 'No cached metadata found. Please extract metadata first.'
+        });
+      }
+
+      // Check who the query would run as before spending a model call on it
+      const execution = execute ? resolveExecution(req, res, credentialType) : null;
+      if (execute && !execution) {
+        return;
+      }
+
+      const disconnect = abortOnDisconnect(res);
+      const context = await MetadataExtractorService.generateSemanticContext(
+        userId,
+        tenantId,
+        dataset.workspaceId,
+        dataset.powerbiDatasetId,
+        { metadata, question }
+      );
+
+      let answer;
+      try {
+        answer = await XMLANaturalLanguageQueryService.ask({ question, context, metadata, signal: disconnect.signal });
+      } catch (error) {
+        if (disconnect.signal.aborted) {
+          logger.info('Client disconnected, question abandoned');
+          return;
+        }
+        if (error.code === 'XMLA_NL_UNAVAILABLE') {
+          return res.status(503).json({
+            error: 'Service Unavailable',
+            code: error.code,
+            message: error.message
+          });
+        }
+        if (error.code === 'XMLA_NL_PROVIDER_FAILED') {
+          return res.status(502).json({
+            error: 'Bad Gateway',
+            code: error.code,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+
+      const answerBody = {
+        question,
+        dax: answer.dax,
+        explanation: answer.explanation,
+        provider: answer.provider,
+        model: answer.model,
+        attempts: answer.attempts
+      };
+
+      if (!answer.validation.isValid) {
+        return res.status(422).json({
+          error: 'Unprocessable Entity',
+          message: 'The generated DAX is not valid for this dataset',
+          errors: answer.validation.errors,
+          ...answerBody,
+          schemaVersion: metadata.schemaVersion
+        });
+      }
+
+      if (!execute) {
+        return res.status(200).json({
+          message: 'Question answered',
+          ...answerBody,
+          datasetName: dataset.datasetName,
+          schemaVersion: metadata.schemaVersion
+        });
+      }
+
+      const { impersonation, queryId } = execution;
+      res.set('X-Query-Id', queryId);
+
+      const result = await XMLAQueryExecutorService.executeDAXQuery(
+        userId,
+        tenantId,
+        dataset.workspaceId,
+        dataset.powerbiDatasetId,
+        answer.dax,
+        { useCache, queryId, signal: disconnect.signal, credentialType, impersonation }
+      );
+
+      if (disconnect.signal.aborted) {
+        logger.info(`Client disconnected, question query ${queryId} cancelled`);
+        return;
+      }
+
+      await sendQueryResult(req, res, result, { dataset, queryId, impersonation, shape: req.body.shape, extra: answerBody });
+    } catch (error) {
+      logger.error('Ask question error:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to answer question'
+      });
+    }
   }
 };
 
@@ -1,17 +1,303 @@
 const express = require('express');
 const router = express.Router();
 const XMLAController = require('../controllers/xmla.controller');
+const XMLAQueryExecutorService = require('../services/xmla-query-executor.service');
+const { maxQueryLength } = require('../services/dax-parser.service');
 const { authenticate } = require('../middleware/auth.middleware');
 const { setTenantContext } = require('../middleware/tenant.middleware');
 const Joi = require('joi');
+const crypto = require('crypto');
 
-// Apply authentication and tenant context to all routes
+// Admin-only routes: tenant admins, or platform admins who operate every tenant
+const requireAdmin = (req, res, next) => {
+  if (!['admin', 'platform_admin'].includes(req.user?.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
+
+// Platform-admin-only routes: operations that affect every tenant
+const requirePlatformAdmin = (req, res, next) => {
+  if (req.user?.role !== 'platform_admin') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Platform admin access required'
+    });
+  }
+  next();
+};
+
+// Prometheus scrapes with the static XMLA_METRICS_TOKEN; anyone else needs a platform admin login
+const authenticateMetrics = (req, res, next) => {
+  const expected = Buffer.from(process.env.XMLA_METRICS_TOKEN || '');
+  const provided = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+
+  if (expected.length > 0 && provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) {
+    return next();
+  }
+
+  authenticate(req, res, () => requirePlatformAdmin(req, res, next));
+};
+
+/**
+ * @route GET /xmla/metrics
+ * @desc Pool and executor metrics in OpenMetrics text format (query latency, retries,
+ *       failure reasons, pool size, token expiry); labelled by tenant and workspace
+ * @access Metrics token or Platform Admin
+ */
+router.get('/metrics', authenticateMetrics, XMLAController.getMetrics);
+
+// Apply authentication and tenant context to all other routes
 router.use(authenticate);
 router.use(setTenantContext);
 
 // Validation schemas
-const queryValidationSchema = Joi.object({
-  query: Joi.string().required().min(1).max(10000)
+const credentialTypeSchema = Joi.string().valid('delegated', 'service-principal').default('delegated');
+
+const impersonationSchema = Joi.object({
+  effectiveUserName: Joi.string().required().min(1).max(256)
+});
+
+// Response format of a successful query; overrides the Accept header
+const resultFormatSchema = Joi.string().valid('json', 'csv', 'xlsx', 'arrow', 'parquet');
+
+// Opt-in paging; the query needs an ORDER BY. Pass the previous page's nextCursor (with the same query) to continue.
+// A cursor only continues on the same dataset under the same credentials and impersonated identity.
+const pagingSchema = Joi.object({
+  pageSize: Joi.number().integer().min(1).max(100000),
+  cursor: Joi.string().max(8192)
+});
+
+// JSON body of a successful query: the raw Power BI response, or typed tables with column descriptors
+const resultShapeSchema = Joi.string().valid('raw', 'normalized').default('raw');
+
+const executeQuerySchema = Joi.object({
+  query: Joi.string().required().min(1).max(maxQueryLength),
+  useCache: Joi.boolean().default(true),
+  credentialType: credentialTypeSchema,
+  impersonation: impersonationSchema,
+  format: resultFormatSchema,
+  shape: resultShapeSchema,
+  paging: pagingSchema
+});
+
+const executeBatchSchema = Joi.object({
+  queries: Joi.array()
+    .items(Joi.object({
+      name: Joi.string().required().min(1).max(100),
+      query: Joi.string().required().min(1).max(maxQueryLength)
+    }))
+    .min(1)
+    .max(200)
+    .unique('name')
+    .required(),
+  mode: Joi.string().valid('collect-all', 'fail-fast').default('collect-all'),
+  format: Joi.string().valid('ndjson', 'sse'),
+  credentialType: credentialTypeSchema,
+  impersonation: impersonationSchema
+});
+
+const validateQueryRequestSchema = Joi.object({
+  query: Joi.string().required().min(1).max(maxQueryLength),
+  mode: Joi.string().valid('syntax', 'schema').default('syntax'),
+  datasetId: Joi.string().when('mode', { is: 'schema', then: Joi.required() })
+});
+
+const statsQuerySchema = Joi.object({
+  scope: Joi.string().valid('tenant', 'global')
+});
+
+const validateStatsQuery = (req, res, next) => {
+  const { error } = statsQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+const slowQuerySchema = Joi.object({
+  scope: Joi.string().valid('tenant', 'global'),
+  tenantId: Joi.string().max(100),
+  datasetId: Joi.string().max(100),
+  workspaceId: Joi.string().max(100),
+  userId: Joi.string().max(100),
+  queryHash: Joi.string().hex().length(64),
+  status: Joi.string().valid('success', 'failed', 'cancelled'),
+  minDurationMs: Joi.number().integer().min(0),
+  since: Joi.date().iso(),
+  until: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500),
+  offset: Joi.number().integer().min(0)
+});
+
+const historyQuerySchema = Joi.object({
+  scope: Joi.string().valid('tenant', 'global'),
+  tenantId: Joi.string().max(100),
+  userId: Joi.string().max(100),
+  workspaceId: Joi.string().max(100),
+  datasetId: Joi.string().max(100),
+  status: Joi.string().valid('success', 'cache_hit', 'failed', 'cancelled'),
+  errorClass: Joi.string().max(50),
+  effectiveUserName: Joi.string().max(256),
+  since: Joi.date().iso(),
+  until: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(200),
+  offset: Joi.number().integer().min(0)
+});
+
+const validateHistoryQuery = (req, res, next) => {
+  const { error } = historyQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+const parameterDefinitionSchema = Joi.object({
+  // Referenced in the query as a variable of the same name
+  name: Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).max(100).required(),
+  type: Joi.string().valid('string', 'number', 'date', 'list').required(),
+  itemType: Joi.when('type', {
+    is: 'list',
+    then: Joi.string().valid('string', 'number', 'date').required(),
+    otherwise: Joi.forbidden()
+  }),
+  required: Joi.boolean().default(true),
+  default: Joi.any(),
+  description: Joi.string().max(500).allow('')
+});
+
+const parameterDefinitionsSchema = Joi.array()
+  .items(parameterDefinitionSchema)
+  .max(50)
+  .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase());
+
+const createSavedQuerySchema = Joi.object({
+  name: Joi.string().required().min(1).max(200),
+  description: Joi.string().max(2000).allow(''),
+  query: Joi.string().required().min(1).max(maxQueryLength),
+  parameters: parameterDefinitionsSchema.default([])
+});
+
+const updateSavedQuerySchema = Joi.object({
+  name: Joi.string().min(1).max(200),
+  description: Joi.string().max(2000).allow(''),
+  query: Joi.string().min(1).max(maxQueryLength),
+  parameters: parameterDefinitionsSchema,
+  changeNote: Joi.string().max(500),
+  expectedVersion: Joi.number().integer().min(1)
+}).or('name', 'description', 'query', 'parameters');
+
+const runSavedQuerySchema = Joi.object({
+  parameters: Joi.object().pattern(Joi.string(), Joi.any()).default({}),
+  version: Joi.number().integer().min(1),
+  useCache: Joi.boolean().default(true),
+  credentialType: credentialTypeSchema,
+  impersonation: impersonationSchema,
+  format: resultFormatSchema,
+  shape: resultShapeSchema
+});
+
+const specColumnSchema = Joi.object({
+  table: Joi.string().required().min(1).max(200),
+  column: Joi.string().required().min(1).max(200)
+});
+
+const specValueSchema = Joi.alternatives().try(Joi.string().max(4000), Joi.number(), Joi.boolean());
+
+const whenOperator = (operator, schema) => schema.when('operator', { is: operator, then: Joi.required(), otherwise: Joi.forbidden() });
+
+const querySpecSchema = Joi.object({
+  groupBy: Joi.array().items(specColumnSchema).max(50).default([]),
+  measures: Joi.array().items(Joi.object({
+    name: Joi.string().required().min(1).max(200),
+    as: Joi.string().min(1).max(200)
+  })).max(50).default([]),
+  filters: Joi.array().items(specColumnSchema.keys({
+    operator: Joi.string().valid('equals', 'in', 'between', 'relativeDate').required(),
+    value: whenOperator('equals', specValueSchema),
+    values: whenOperator('in', Joi.array().items(specValueSchema).min(1).max(1000)),
+    from: specValueSchema.when('operator', { is: 'between', otherwise: Joi.forbidden() }),
+    to: specValueSchema.when('operator', { is: 'between', otherwise: Joi.forbidden() }),
+    unit: whenOperator('relativeDate', Joi.string().valid('day', 'week', 'month', 'quarter', 'year')),
+    last: whenOperator('relativeDate', Joi.number().integer().min(1).max(1000)),
+    includeCurrent: Joi.boolean().when('operator', { is: 'relativeDate', otherwise: Joi.forbidden() })
+  })).max(50).default([]),
+  orderBy: Joi.array().items(Joi.object({
+    column: specColumnSchema,
+    measure: Joi.string().min(1).max(200),
+    direction: Joi.string().valid('asc', 'desc').insensitive().default('asc')
+  }).xor('column', 'measure')).max(10).default([]),
+  top: Joi.number().integer().min(1).max(100000),
+  compileOnly: Joi.boolean().default(false),
+  useCache: Joi.boolean().default(true),
+  credentialType: credentialTypeSchema,
+  impersonation: impersonationSchema,
+  format: resultFormatSchema,
+  shape: resultShapeSchema
+}).custom((spec, helpers) => (
+  spec.groupBy.length > 0 || spec.measures.length > 0
+    ? spec
+    : helpers.message('A query spec needs at least one groupBy column or measure')
+));
+
+const semanticContextSchema = Joi.object({
+  question: Joi.string().trim().max(1000),
+  tokenBudget: Joi.number().integer().min(100).max(200000),
+  format: Joi.string().valid('text', 'markdown', 'json').default('text')
+});
+
+const askSchema = Joi.object({
+  question: Joi.string().trim().required().min(3).max(1000),
+  execute: Joi.boolean().default(true),
+  useCache: Joi.boolean().default(true),
+  credentialType: credentialTypeSchema,
+  impersonation: impersonationSchema,
+  shape: resultShapeSchema
+});
+
+const savedQueryRequestSchema = Joi.object({
+  id: Joi.string().guid(),
+  version: Joi.number().integer().min(1),
+  search: Joi.string().max(200),
+  limit: Joi.number().integer().min(1).max(200),
+  offset: Joi.number().integer().min(0)
+});
+
+// Checks the :id route parameter and the query string of saved-query routes
+const validateSavedQueryRequest = (req, res, next) => {
+  const { error } = savedQueryRequestSchema.validate({ ...req.query, id: req.params.id });
+  if (error) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+const poolFilterSchema = Joi.object({
+  tenantId: Joi.string().max(100),
+  workspaceId: Joi.string().max(100),
+  userId: Joi.string().max(100),
+  credentialType: Joi.string().valid('delegated', 'service-principal')
+});
+
+const drainPoolSchema = Joi.object({
+  timeoutMs: Joi.number().integer().min(0).max(300000)
+});
+
+const resetCircuitBreakerSchema = Joi.object({
+  key: Joi.string().pattern(/^(workspace|capacity):.+$/)
 });
 
 // XMLA Connection Routes
@@ -25,23 +311,76 @@ router.post('/datasets/:datasetId/test-connection', XMLAController.testConnectio
 
 /**
  * @route POST /xmla/datasets/:datasetId/execute
- * @desc Execute DAX query via XMLA interface
+ * @desc Execute DAX query via XMLA interface (results cached; X-Cache header reports HIT/MISS).
+ *       Send X-Query-Id to be able to cancel the query while it runs; the ID is echoed back.
+ *       credentialType "service-principal" runs as the tenant's app identity (admins, or allowAllUsers tenants).
+ *       impersonation { effectiveUserName } runs the query as that user for RLS, subject to tenant policy.
+ *       executeQueries takes no role list, so the user's own role memberships apply; roles can't be requested.
+ *       format "csv", "xlsx", "arrow" or "parquet" (or the matching Accept type) streams the result as a download
+ *       (encoded in batches; the query result itself is still held in memory in full).
+ *       shape "normalized" returns typed tables (columns with source table, DAX type, nullability) instead of the raw response.
+ *       paging { pageSize, cursor } returns one page of an ORDER BY query plus a nextCursor (also in X-Next-Cursor).
  * @access Private
  */
 router.post('/datasets/:datasetId/execute', 
   (req, res, next) => {
-    const { error } = queryValidationSchema.validate(req.body);
+    const { error, value } = executeQuerySchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: 'Validation Error',
         message: error.details[0].message
       });
     }
+    req.body = value;
     next();
   },
   XMLAController.executeQuery
 );
 
+/**
+ * @route POST /xmla/datasets/:datasetId/execute-batch
+ * @desc Execute named DAX queries, streaming results as NDJSON or Server-Sent Events
+ * @access Private
+ */
+router.post('/datasets/:datasetId/execute-batch',
+  (req, res, next) => {
+    const { error, value } = executeBatchSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.executeBatch
+);
+
+/**
+ * @route DELETE /xmla/queries/:queryId
+ * @desc Cancel a running query or batch (batch queries are also cancellable as "<batchId>:<index>").
+ *       The user who started it, an admin of its tenant, or a platform admin may cancel it.
+ * @access Private
+ */
+router.delete('/queries/:queryId', XMLAController.cancelQuery);
+
+/**
+ * @route GET /xmla/history
+ * @desc Query history, newest first. Filters: userId, workspaceId / datasetId (Power BI IDs), status,
+ *       errorClass, effectiveUserName, since, until, limit, offset.
+ *       Users see their own executions, admins their tenant's; ?scope=global (and tenantId) for platform admins
+ * @access Private
+ */
+router.get('/history', validateHistoryQuery, XMLAController.getQueryHistory);
+
+/**
+ * @route GET /xmla/datasets/:datasetId/history
+ * @desc Query history of one dataset, with the same filters and pagination as /xmla/history
+ * @access Private
+ */
+router.get('/datasets/:datasetId/history', validateHistoryQuery, XMLAController.getDatasetQueryHistory);
+
 /**
  * @route GET /xmla/datasets/:datasetId/metadata
  * @desc Get dataset metadata (tables, columns, measures)
@@ -72,18 +411,19 @@ router.post('/datasets/:datasetId/common-queries', XMLAController.executeCommonQ
 
 /**
  * @route POST /xmla/validate-query
- * @desc Validate DAX query syntax
+ * @desc Validate DAX query syntax; mode "schema" also checks references against a dataset's cached metadata
  * @access Private
  */
 router.post('/validate-query',
   (req, res, next) => {
-    const { error } = queryValidationSchema.validate(req.body);
+    const { error, value } = validateQueryRequestSchema.validate(req.body);
     if (error) {
       return res.status(400).json({
         error: 'Validation Error',
         message: error.details[0].message
       });
     }
+    req.body = value;
     next();
   },
   XMLAController.validateQuery
@@ -95,24 +435,268 @@ router.post('/validate-query',
 
 /**
  * @route GET /xmla/pool/stats
- * @desc Get connection pool statistics
- * @access Private
+ * @desc Get connection pool statistics for the caller's tenant; ?scope=global for platform admins
+ * @access Admin
  */
-router.get('/pool/stats', XMLAController.getPoolStats);
+router.get('/pool/stats', requireAdmin, validateStatsQuery, XMLAController.getPoolStats);
 
 /**
  * @route POST /xmla/pool/test
- * @desc Test connection pool health
- * @access Private
+ * @desc Test connection pool health against one of the tenant's synced workspaces
+ * @access Admin
+ */
+router.post('/pool/test', requireAdmin, XMLAController.testConnectionPool);
+
+/**
+ * @route POST /xmla/pool/invalidate
+ * @desc Invalidate connections by tenantId, workspaceId, userId and/or credentialType;
+ *       leased connections are removed when their queries finish. Tenant admins are limited to their tenant.
+ * @access Admin
+ */
+router.post('/pool/invalidate',
+  requireAdmin,
+  (req, res, next) => {
+    const { error, value } = poolFilterSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.invalidatePoolConnections
+);
+
+/**
+ * @route POST /xmla/pool/evict
+ * @desc Remove matching connections immediately, even while leased (same filters as invalidate)
+ * @access Admin
+ */
+router.post('/pool/evict',
+  requireAdmin,
+  (req, res, next) => {
+    const { error, value } = poolFilterSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.evictPoolConnections
+);
+
+/**
+ * @route POST /xmla/pool/drain
+ * @desc Refuse new connections, wait up to timeoutMs for in-flight queries, then clear the pool
+ * @access Platform Admin
  */
-router.post('/pool/test', XMLAController.testConnectionPool);
+router.post('/pool/drain',
+  requirePlatformAdmin,
+  (req, res, next) => {
+    const { error, value } = drainPoolSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.drainPool
+);
 
 /**
  * @route GET /xmla/executor/stats
- * @desc Get query executor statistics
+ * @desc Get query executor statistics for the caller's tenant, including circuit breaker states
+ *       of its workspaces; ?scope=global for platform admins
+ * @access Admin
+ */
+router.get('/executor/stats', requireAdmin, validateStatsQuery, XMLAController.getExecutorStats);
+
+/**
+ * @route GET /xmla/executor/slow-queries
+ * @desc Search the slow-query log, slowest first. Filters: datasetId / workspaceId (Power BI IDs),
+ *       userId, queryHash, status, minDurationMs, since, until, limit, offset.
+ *       Scoped to the caller's tenant; platform admins may pass ?scope=global and an optional tenantId
+ * @access Admin
+ */
+router.get('/executor/slow-queries',
+  requireAdmin,
+  (req, res, next) => {
+    const { error } = slowQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    next();
+  },
+  XMLAController.getSlowQueries
+);
+
+/**
+ * @route POST /xmla/executor/circuit-breakers/reset
+ * @desc Reset one circuit breaker by key ("workspace:<id>" / "capacity:<id>"), or all of them.
+ *       Tenant admins may only reset their own workspaces' breakers.
+ * @access Admin
+ */
+router.post('/executor/circuit-breakers/reset',
+  requireAdmin,
+  (req, res, next) => {
+    const { error, value } = resetCircuitBreakerSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.resetCircuitBreakers
+);
+
+/**
+ * @route GET /xmla/datasets/:datasetId/saved-queries
+ * @desc List a dataset's saved queries at their current version; ?search, limit, offset
+ * @access Private
+ */
+router.get('/datasets/:datasetId/saved-queries', validateSavedQueryRequest, XMLAController.listSavedQueries);
+
+/**
+ * @route POST /xmla/datasets/:datasetId/saved-queries
+ * @desc Save a named DAX query with typed parameters (string, number, date, list)
+ * @access Private
+ */
+router.post('/datasets/:datasetId/saved-queries',
+  (req, res, next) => {
+    const { error, value } = createSavedQuerySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.createSavedQuery
+);
+
+/**
+ * @route GET /xmla/saved-queries/:id
+ * @desc Get a saved query at its current version, or ?version=n
+ * @access Private
+ */
+router.get('/saved-queries/:id', validateSavedQueryRequest, XMLAController.getSavedQuery);
+
+/**
+ * @route GET /xmla/saved-queries/:id/versions
+ * @desc List every version of a saved query, newest first
+ * @access Private
+ */
+router.get('/saved-queries/:id/versions', validateSavedQueryRequest, XMLAController.getSavedQueryVersions);
+
+/**
+ * @route PUT /xmla/saved-queries/:id
+ * @desc Update a saved query; changing the query or parameters adds a version
+ * @access Private (creator or admin)
+ */
+router.put('/saved-queries/:id',
+  validateSavedQueryRequest,
+  (req, res, next) => {
+    const { error, value } = updateSavedQuerySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.updateSavedQuery
+);
+
+/**
+ * @route DELETE /xmla/saved-queries/:id
+ * @desc Delete a saved query
+ * @access Private (creator or admin)
+ */
+router.delete('/saved-queries/:id', validateSavedQueryRequest, XMLAController.deleteSavedQuery);
+
+/**
+ * @route POST /xmla/saved-queries/:id/run
+ * @desc Run a saved query with parameter values; honours X-Query-Id, format and shape like /execute
+ * @access Private
+ */
+router.post('/saved-queries/:id/run',
+  validateSavedQueryRequest,
+  (req, res, next) => {
+    const { error, value } = runSavedQuerySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.runSavedQuery
+);
+
+/**
+ * @route POST /xmla/datasets/:datasetId/query
+ * @desc Compile a structured query spec (groupBy, measures, filters, orderBy, top) to DAX,
+ *       checked against the dataset's cached metadata, and run it like /execute.
+ *       Filters: equals (value), in (values), between (from/to), relativeDate (unit, last, includeCurrent).
+ *       compileOnly returns the DAX without running it.
+ * @access Private
+ */
+router.post('/datasets/:datasetId/query',
+  (req, res, next) => {
+    const { error, value } = querySpecSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.executeQuerySpec
+);
+
+/**
+ * @route POST /xmla/datasets/:datasetId/ask
+ * @desc Answer a natural language question: a model provider (XMLA_NL_PROVIDER) writes DAX
+ *       from the dataset's semantic context, which is validated against the cached metadata
+ *       and run like /execute. execute: false returns the DAX and explanation only.
  * @access Private
  */
-router.get('/executor/stats', XMLAController.getExecutorStats);
+router.post('/datasets/:datasetId/ask',
+  (req, res, next) => {
+    const { error, value } = askSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.askQuestion
+);
 
 /**
  * @route POST /xmla/datasets/:datasetId/extract-metadata
@@ -123,10 +707,25 @@ router.post('/datasets/:datasetId/extract-metadata', XMLAController.extractSeman
 
 /**
  * @route POST /xmla/datasets/:datasetId/semantic-context
- * @desc Generate semantic context for AI
+ * @desc Generate semantic context for AI. textContext is ranked by relevance to the optional
+ *       question, cut to tokenBudget (default XMLA_CONTEXT_TOKEN_BUDGET) and rendered as
+ *       text, markdown or json; contextReport lists what was left out.
  * @access Private
  */
-router.post('/datasets/:datasetId/semantic-context', XMLAController.getSemanticContext);
+router.post('/datasets/:datasetId/semantic-context',
+  (req, res, next) => {
+    const { error, value } = semanticContextSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+    req.body = value;
+    next();
+  },
+  XMLAController.getSemanticContext
+);
 
 /**
  * @route GET /xmla/datasets/:datasetId/cached-metadata
@@ -135,4 +734,8 @@ router.post('/datasets/:datasetId/semantic-context', XMLAController.getSemanticC
  */
 router.get('/datasets/:datasetId/cached-metadata', XMLAController.getCachedMetadata);
 
+// Mounting the routes is what makes this process the XMLA API server, so that is where
+// the history purge and the SIGTERM/SIGINT drain start (scripts requiring the services don't)
+XMLAQueryExecutorService.start();
+
 module.exports = router;